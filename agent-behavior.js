@@ -6,8 +6,11 @@
  * 
  * Behavior Rules:
  * - Maintain Backlog <= 10 cards (generate new ideas if < 10)
- * - Only pick unclaimed cards in "To Do"
+ * - Take "To Do" work from POST /api/v2/tasks/claim-next (unclaimed, unblocked,
+ *   best priority / due date / rank first), after resuming cards it already holds
+ * - Send heartbeats for every card it holds so its claim leases don't expire
  * - Claim → move to Ongoing → comment progress
+ * - Stop picking up work when Ongoing is at its WIP limit
  * - When finished, move to Review
  * - Never move Review → Done
  * 
@@ -15,7 +18,10 @@
  * - AGENT_API_KEY (required): API key for authentication
  * - BEHAVIOR_INTERVAL_MS (optional): Loop interval in ms (default: 30000)
  * - KANBAN_BASE_URL (optional): API base URL (default: http://localhost:3000)
- * - AGENT_ID (optional): Agent identifier (default: auto-agent)
+ * - AGENT_ID (optional): The agent id bound to AGENT_API_KEY (default: legacy-shared, the shared key's id)
+ * - HEARTBEAT_INTERVAL_MS (optional): Claim heartbeat interval in ms (default: 60000)
+ * - AGENT_CAPABILITIES (optional): Comma-separated capabilities for "requires:" labels
+ * - AGENT_MAX_IN_FLIGHT (optional): Stop claiming once this many cards are in progress
  */
 
 require('dotenv').config();
@@ -24,7 +30,11 @@ require('dotenv').config();
 const API_KEY = process.env.AGENT_API_KEY;
 const INTERVAL_MS = parseInt(process.env.BEHAVIOR_INTERVAL_MS) || 30000;
 const BASE_URL = process.env.KANBAN_BASE_URL || 'http://localhost:3000';
-const AGENT_ID = process.env.AGENT_ID || 'auto-agent';
+const AGENT_ID = process.env.AGENT_ID || 'legacy-shared';
+const HEARTBEAT_INTERVAL_MS = parseInt(process.env.HEARTBEAT_INTERVAL_MS) || 60000;
+const CAPABILITIES = (process.env.AGENT_CAPABILITIES || '').split(',').map(c => c.trim()).filter(Boolean);
+const MAX_IN_FLIGHT = parseInt(process.env.AGENT_MAX_IN_FLIGHT) || null;
+const MAX_CLAIMS_PER_LOOP = 5;
 
 // ============ Validation ============
 if (!API_KEY) {
@@ -47,7 +57,7 @@ function request(method, path, body = null) {
         const options = {
             hostname: url.hostname,
             port: url.port,
-            path: url.pathname,
+            path: url.pathname + url.search,
             method: method,
             headers: {
                 'Content-Type': 'application/json',
@@ -128,7 +138,7 @@ function generateIdea() {
  */
 async function getCardsByStatus(status) {
     try {
-        const res = await request('GET', `/api/cards?status=${encodeURIComponent(status)}`);
+        const res = await request('GET', `/api/v2/tasks?status=${encodeURIComponent(status)}`);
         if (res.status === 200 && Array.isArray(res.data)) {
             return res.data;
         }
@@ -139,13 +149,32 @@ async function getCardsByStatus(status) {
     }
 }
 
+/**
+ * Fetch one card by ID; null if it no longer exists
+ */
+async function getCard(cardId) {
+    try {
+        const res = await request('GET', `/api/v2/tasks/${encodeURIComponent(cardId)}`);
+        if (res.status === 200) {
+            return res.data;
+        }
+        if (res.status !== 404) {
+            logError('getCard', res);
+        }
+        return null;
+    } catch (err) {
+        logError('getCard', err);
+        return null;
+    }
+}
+
 /**
  * Generate and create new card in Backlog
  */
 async function generateBacklogCard() {
     const title = generateIdea();
     try {
-        const res = await request('POST', '/api/cards', {
+        const res = await request('POST', '/api/v2/tasks', {
             title,
             description: `Auto-generated idea by ${AGENT_ID}`,
             priority: 'Medium',
@@ -166,36 +195,40 @@ async function generateBacklogCard() {
 }
 
 /**
- * Get unclaimed cards in "To Do"
+ * Get "To Do" cards this agent claimed earlier but could not start
+ * (e.g. Ongoing was at its WIP limit). Blocked cards are left alone.
  */
-async function getUnclaimedToDoCards() {
+async function getHeldToDoCards() {
     try {
-        const res = await request('GET', '/api/cards?status=To+Do');
+        const res = await request('GET',
+            `/api/v2/tasks?status=To+Do&unblocked=true&owner_agent=${encodeURIComponent(AGENT_ID)}`);
         if (res.status === 200 && Array.isArray(res.data)) {
-            // Filter for unclaimed cards (owner_agent is null/empty)
-            return res.data.filter(card => !card.owner_agent || card.owner_agent === '');
+            return res.data;
         }
         return [];
     } catch (err) {
-        logError('getUnclaimedToDoCards', err);
+        logError('getHeldToDoCards', err);
         return [];
     }
 }
 
 /**
- * Claim a card
+ * Claim the next card from the To Do queue (server picks by priority, due date and rank)
  */
-async function claimCard(cardId) {
+async function claimNextCard() {
     try {
-        const res = await request('POST', `/api/cards/${cardId}/claim`);
-        
+        const body = { status: 'To Do', capabilities: CAPABILITIES };
+        if (MAX_IN_FLIGHT) body.max_in_flight = MAX_IN_FLIGHT;
+        const res = await request('POST', '/api/v2/tasks/claim-next', body);
+
         if (res.status === 200) {
-            log('claim', `Claimed card`, { cardId, owner: res.data.owner_agent });
+            log('claim', `Claimed next card`, { cardId: res.data.id, title: res.data.title });
             return { success: true, data: res.data };
+        } else if (res.status === 204) {
+            return { success: false, reason: 'empty' };
         } else if (res.status === 409) {
-            // Already claimed
-            log('claim', `Card already claimed`, { cardId });
-            return { success: false, reason: 'already_claimed' };
+            log('claim', `Claim denied`, { reason: res.data?.reason });
+            return { success: false, reason: 'wip_limit' };
         } else {
             logError('claim', res);
             return { success: false, reason: 'error' };
@@ -206,12 +239,35 @@ async function claimCard(cardId) {
     }
 }
 
+// Cards this agent has claimed and still holds a lease on
+const heldCards = new Set();
+
+/**
+ * Extend the claim lease on every held card; drop cards whose claim is gone
+ * (lease expired, released, or no longer leased after moving to Review)
+ */
+async function sendHeartbeats() {
+    for (const cardId of heldCards) {
+        try {
+            const res = await request('POST', `/api/v2/tasks/${cardId}/heartbeat`);
+            if (res.status === 409 || res.status === 404) {
+                heldCards.delete(cardId);
+                log('heartbeat', `No longer holding card`, { cardId, reason: res.data?.reason });
+            } else if (res.status !== 200) {
+                logError('heartbeat', res);
+            }
+        } catch (err) {
+            logError('heartbeat', err);
+        }
+    }
+}
+
 /**
  * Transition card to a new status
  */
 async function transitionCard(cardId, newStatus) {
     try {
-        const res = await request('POST', `/api/cards/${cardId}/transition`, {
+        const res = await request('POST', `/api/v2/tasks/${cardId}/transition`, {
             status: newStatus
         });
         
@@ -223,11 +279,17 @@ async function transitionCard(cardId, newStatus) {
             });
             return { success: true, data: res.data };
         } else if (res.status === 403) {
-            log('transition', `Transition denied (Review → Done restricted)`, { 
+            log('transition', `Transition denied`, { 
                 cardId, 
                 reason: res.data?.reason 
             });
             return { success: false, reason: 'forbidden' };
+        } else if (res.status === 409) {
+            log('transition', `WIP limit reached`, { 
+                cardId, 
+                reason: res.data?.reason 
+            });
+            return { success: false, reason: 'wip_limit' };
         } else {
             logError('transition', res);
             return { success: false, reason: 'error' };
@@ -243,7 +305,7 @@ async function transitionCard(cardId, newStatus) {
  */
 async function addComment(cardId, content) {
     try {
-        const res = await request('POST', `/api/cards/${cardId}/comment`, { content });
+        const res = await request('POST', `/api/v2/tasks/${cardId}/comments`, { content });
         
         if (res.status === 201) {
             log('comment', `Added progress comment`, { cardId, content: content.substring(0, 50) });
@@ -260,6 +322,59 @@ async function addComment(cardId, content) {
 
 // ============ Main Agent Loop ============
 
+/**
+ * Take a claimed To Do card through Ongoing to Review.
+ * Returns 'wip_limit' when Ongoing is full, 'skipped' if it can't start, else 'done'.
+ */
+async function workOnCard(card) {
+    log('loop', `Processing card`, { id: card.id, title: card.title });
+
+    // Move to Ongoing
+    const transitionToOngoing = await transitionCard(card.id, 'Ongoing');
+    if (transitionToOngoing.reason === 'wip_limit') {
+        log('loop', 'Ongoing is at its WIP limit, leaving remaining cards for later');
+        return 'wip_limit';
+    }
+    if (!transitionToOngoing.success) {
+        return 'skipped';
+    }
+
+    await new Promise(resolve => setTimeout(resolve, 300));
+
+    // Add progress comment
+    await addComment(card.id, `🤖 [${AGENT_ID}] Started working on this task`);
+
+    // Simulate work done - move to Review
+    // In a real scenario, this would wait for actual completion
+    log('loop', `Simulating work completion, moving to Review`, { cardId: card.id });
+    await new Promise(resolve => setTimeout(resolve, 500));
+
+    // The card may have been reassigned, moved or deleted while we worked on it
+    const current = await getCard(card.id);
+    if (!current || current.owner_agent !== AGENT_ID || current.status !== 'Ongoing') {
+        log('loop', `Card changed while working on it, not moving to Review`, {
+            cardId: card.id,
+            status: current?.status,
+            owner: current?.owner_agent
+        });
+        heldCards.delete(card.id);
+        return 'skipped';
+    }
+
+    // Move to Review (agent can do this); the claim no longer needs a lease
+    const transitionToReview = await transitionCard(card.id, 'Review');
+    if (transitionToReview.success) {
+        heldCards.delete(card.id);
+    }
+
+    log('loop', `Card processed successfully`, {
+        id: card.id,
+        title: card.title,
+        finalStatus: 'Review'
+    });
+    return 'done';
+}
+
 async function runAgentLoop() {
     const loopStart = Date.now();
     log('loop', 'Starting agent loop');
@@ -283,51 +398,35 @@ async function runAgentLoop() {
             log('loop', `Backlog has ${backlogCount} cards (healthy)`);
         }
 
-        // Step 2: Find and process unclaimed To Do cards
-        log('loop', 'Checking for unclaimed To Do cards');
-        const unclaimedCards = await getUnclaimedToDoCards();
-        
-        if (unclaimedCards.length === 0) {
-            log('loop', 'No unclaimed To Do cards found');
-        } else {
-            // Process each unclaimed card
-            for (const card of unclaimedCards) {
-                log('loop', `Processing card`, { id: card.id, title: card.title });
-                
-                // Step 2a: Claim the card
-                const claimResult = await claimCard(card.id);
-                if (!claimResult.success) {
-                    continue; // Skip if already claimed
-                }
-                
-                // Small delay between operations
-                await new Promise(resolve => setTimeout(resolve, 300));
-                
-                // Step 2b: Move to Ongoing
-                const transitionToOngoing = await transitionCard(card.id, 'Ongoing');
-                if (!transitionToOngoing.success) {
-                    continue;
-                }
-                
-                await new Promise(resolve => setTimeout(resolve, 300));
-                
-                // Step 2c: Add progress comment
-                await addComment(card.id, `🤖 [${AGENT_ID}] Started working on this task`);
-                
-                // Simulate work done - move to Review
-                // In a real scenario, this would wait for actual completion
-                log('loop', `Simulating work completion, moving to Review`, { cardId: card.id });
-                await new Promise(resolve => setTimeout(resolve, 500));
-                
-                // Step 2d: Move to Review (agent can do this)
-                await transitionCard(card.id, 'Review');
-                
-                log('loop', `Card processed successfully`, { 
-                    id: card.id, 
-                    title: card.title,
-                    finalStatus: 'Review'
-                });
+        // Step 2: Resume To Do cards we already hold, then take new ones from the queue
+        log('loop', 'Checking for To Do work');
+        let atCapacity = false;
+        for (const card of await getHeldToDoCards()) {
+            if (card.claim_expires_at) {
+                heldCards.add(card.id);
             }
+            if (await workOnCard(card) === 'wip_limit') {
+                atCapacity = true;
+                break;
+            }
+        }
+
+        for (let claimed = 0; !atCapacity && claimed < MAX_CLAIMS_PER_LOOP; claimed++) {
+            const claimResult = await claimNextCard();
+            if (claimResult.reason === 'empty') {
+                log('loop', 'No eligible To Do cards');
+                break;
+            }
+            if (!claimResult.success) {
+                break; // At capacity or error - try again next loop
+            }
+            if (claimResult.data.claim_expires_at) {
+                heldCards.add(claimResult.data.id);
+            }
+
+            // Small delay between operations
+            await new Promise(resolve => setTimeout(resolve, 300));
+            atCapacity = await workOnCard(claimResult.data) === 'wip_limit';
         }
 
         // Step 3: Note on Review → Done restriction
@@ -352,6 +451,7 @@ console.log('🚀 Agent is running. Press Ctrl+C to stop.\n');
 runAgentLoop().then(() => {
     // Schedule periodic runs
     setInterval(runAgentLoop, INTERVAL_MS);
+    setInterval(sendHeartbeats, HEARTBEAT_INTERVAL_MS);
 }).catch(err => {
     console.error('Fatal error:', err);
     process.exit(1);
@@ -65,6 +65,18 @@ for (let i = 0; i < args.length; i++) {
     }
 }
 
+// Board-scoped path for --board (or KANBAN_BOARD); unscoped routes use the default board
+function boardPath(resource) {
+    const board = flags.board || process.env.KANBAN_BOARD;
+    return board ? `/api/boards/${encodeURIComponent(board)}/${resource}` : `/api/${resource}`;
+}
+
+// The v2 tasks collection, scoped the same way as boardPath
+function tasksPath(suffix = '') {
+    const board = flags.board || process.env.KANBAN_BOARD;
+    return (board ? `/api/v2/boards/${encodeURIComponent(board)}/tasks` : '/api/v2/tasks') + suffix;
+}
+
 // Helper to make API requests
 function apiRequest(method, endpoint, data = null, options = {}) {
     return new Promise((resolve, reject) => {
@@ -93,9 +105,9 @@ function apiRequest(method, endpoint, data = null, options = {}) {
                 try {
                     const json = body ? JSON.parse(body) : {};
                     if (res.statusCode >= 400) {
-                        reject({ statusCode: res.statusCode, error: json.error || json.message || 'Request failed' });
+                        reject({ statusCode: res.statusCode, error: json.error || json.message || 'Request failed', reason: json.reason, fields: json.fields });
                     } else {
-                        resolve(json);
+                        resolve(options.withHeaders ? { data: json, headers: res.headers } : json);
                     }
                 } catch (e) {
                     reject({ statusCode: res.statusCode, error: 'Invalid JSON response' });
@@ -112,6 +124,33 @@ function apiRequest(method, endpoint, data = null, options = {}) {
     });
 }
 
+// GET every page of a list endpoint, following X-Next-Cursor
+async function fetchAllPages(path, params = new URLSearchParams()) {
+    const rows = [];
+    let cursor = null;
+    do {
+        const page = new URLSearchParams(params);
+        page.set('limit', '200');
+        if (cursor) page.set('cursor', cursor);
+        const { data, headers } = await apiRequest('GET', `${path}?${page}`, null, { withHeaders: true });
+        rows.push(...data);
+        cursor = headers['x-next-cursor'];
+    } while (cursor);
+    return rows;
+}
+
+// Print an API error with its reason or per-field details (400s) and exit
+function fail(err) {
+    console.error(`Error: ${err.error || err.message}`);
+    if (err.reason) {
+        console.error(`Reason: ${err.reason}`);
+    }
+    if (err.fields) {
+        Object.entries(err.fields).forEach(([field, message]) => console.error(`  ${field}: ${message}`));
+    }
+    process.exit(1);
+}
+
 // Format output
 function output(data, format = 'json') {
     if (format === 'table') {
@@ -147,15 +186,29 @@ function output(data, format = 'json') {
 const commands = {
     // List tasks
     list: async () => {
-        const status = flags.status;
         const format = flags.format || flags.f || 'json';
+        const params = new URLSearchParams();
+        if (flags.status) params.set('status', flags.status);
+        if (flags.label) params.set('label', flags.label);
+        if (flags['label-not']) params.set('label_not', flags['label-not']);
+        if (flags.unblocked) params.set('unblocked', 'true');
+        if (flags.priority) params.set('priority', flags.priority);
+        if (flags.owner) params.set('owner_agent', flags.owner);
+        if (flags.overdue) params.set('overdue', 'true');
+        if (flags['due-before']) params.set('due_before', flags['due-before']);
+        if (flags['updated-since']) params.set('updated_since', flags['updated-since']);
         
         try {
-            const tasks = await apiRequest('GET', `/api/cards${status ? `?status=${encodeURIComponent(status)}` : ''}`);
+            let tasks;
+            if (flags.limit) {
+                params.set('limit', flags.limit);
+                tasks = await apiRequest('GET', `${tasksPath()}?${params}`);
+            } else {
+                tasks = await fetchAllPages(tasksPath(), params);
+            }
             output(tasks, format);
         } catch (err) {
-            console.error(`Error: ${err.error || err.message}`);
-            process.exit(1);
+            fail(err);
         }
     },
 
@@ -168,29 +221,63 @@ const commands = {
             process.exit(1);
         }
 
+        const include = flags.history ? 'comments,history' : 'comments';
         try {
-            // Fetch all tasks and find the one with matching ID
-            const tasks = await apiRequest('GET', '/api/cards');
-            const task = tasks.find(t => t.id === taskId);
-            
-            if (!task) {
-                console.error(`Error: Task ${taskId} not found`);
-                process.exit(1);
+            let task;
+            try {
+                task = await apiRequest('GET', `/api/v2/tasks/${encodeURIComponent(taskId)}?include=${include}`);
+            } catch (err) {
+                if (err.statusCode === 404) {
+                    console.error(`Error: Task ${taskId} not found`);
+                    process.exit(1);
+                }
+                throw err;
             }
-            
-            const comments = await apiRequest('GET', `/api/cards/${taskId}/comments`);
-            
+
+            const { comments, history, ...fields } = task;
             console.log('\n=== TASK ===');
-            console.log(JSON.stringify(task, null, 2));
+            console.log(JSON.stringify(fields, null, 2));
             
             if (comments && comments.length > 0) {
                 console.log('\n=== COMMENTS ===');
                 console.log(JSON.stringify(comments, null, 2));
             }
+
+            if (history) {
+                console.log('\n=== HISTORY ===');
+                console.log(JSON.stringify(history, null, 2));
+            }
         } catch (err) {
-            console.error(`Error: ${err.error || err.message}`);
+            fail(err);
+        }
+    },
+
+    // Show a task's timeline: field changes, transitions, claims and comments
+    history: async () => {
+        const taskId = commandArgs[0];
+        if (!taskId) {
+            console.error('Error: Task ID required');
+            console.error('Usage: agent-cli history <task-id>');
             process.exit(1);
         }
+
+        const format = flags.format || flags.f || 'json';
+        try {
+            const history = await apiRequest('GET', `/api/v2/tasks/${taskId}/history`);
+            if (format !== 'table') {
+                output(history.timeline, format);
+                return;
+            }
+            const show = value => (Array.isArray(value) ? value.join(', ') : value) || 'none';
+            history.timeline.forEach(entry => {
+                const what = entry.type === 'change' ? `${entry.field}: ${show(entry.from)} → ${show(entry.to)}`
+                    : entry.type === 'comment' ? entry.content
+                    : entry.details;
+                console.log(`${entry.created_at} | ${(entry.agent_id || 'system').padEnd(16)} | ${entry.type.padEnd(12)} | ${what}`);
+            });
+        } catch (err) {
+            fail(err);
+        }
     },
 
     // Claim a task
@@ -203,17 +290,73 @@ const commands = {
         }
 
         try {
-            const result = await apiRequest('POST', `/api/tasks/${taskId}/claim`, {}, {
-                headers: {
-                    'x-owner-password': flags.password || process.env.OWNER_PASSWORD || 'kanban123'
-                }
-            });
+            const result = await apiRequest('POST', `/api/v2/tasks/${taskId}/claim`);
             console.log(`✅ Task ${taskId} claimed successfully`);
             console.log(`   Owner: ${result.owner_agent}`);
         } catch (err) {
-            console.error(`Error: ${err.error || err.message}`);
+            fail(err);
+        }
+    },
+
+    // Claim the next card from the work queue
+    next: async () => {
+        const body = { status: flags.status || 'To Do' };
+        if (flags.label) body.labels = String(flags.label).split(',');
+        if (flags.capabilities) body.capabilities = String(flags.capabilities).split(',');
+        if (flags['max-in-flight']) body.max_in_flight = parseInt(flags['max-in-flight']);
+
+        try {
+            const task = await apiRequest('POST', tasksPath('/claim-next'), body);
+            if (!task.id) {
+                console.log('Nothing to do - no eligible cards');
+                return;
+            }
+            if ((flags.format || flags.f) === 'json') {
+                console.log(JSON.stringify(task, null, 2));
+                return;
+            }
+            console.log(`✅ Claimed ${task.id}: ${task.title}`);
+            console.log(`   Priority: ${task.priority}${task.due_date ? ` · due ${task.due_date}` : ''}`);
+            if (task.claim_expires_at) {
+                console.log(`   Lease until: ${task.claim_expires_at} (renew with: agent-cli heartbeat ${task.id})`);
+            }
+        } catch (err) {
+            fail(err);
+        }
+    },
+
+    // Extend the claim lease on a task
+    heartbeat: async () => {
+        const taskId = commandArgs[0];
+        if (!taskId) {
+            console.error('Error: Task ID required');
+            console.error('Usage: agent-cli heartbeat <task-id>');
+            process.exit(1);
+        }
+
+        try {
+            const result = await apiRequest('POST', `/api/v2/tasks/${taskId}/heartbeat`);
+            console.log(`✅ Claim on ${taskId} extended until ${result.claim_expires_at}`);
+        } catch (err) {
+            fail(err);
+        }
+    },
+
+    // Give up a claim so another agent can take the task
+    release: async () => {
+        const taskId = commandArgs[0];
+        if (!taskId) {
+            console.error('Error: Task ID required');
+            console.error('Usage: agent-cli release <task-id>');
             process.exit(1);
         }
+
+        try {
+            await apiRequest('POST', `/api/v2/tasks/${taskId}/release`);
+            console.log(`✅ Task ${taskId} released (now unassigned)`);
+        } catch (err) {
+            fail(err);
+        }
     },
 
     // Move/transition task
@@ -224,19 +367,20 @@ const commands = {
         if (!taskId || !newStatus) {
             console.error('Error: Task ID and new status required');
             console.error('Usage: agent-cli move <task-id> <status>');
-            console.error('Valid statuses: Agent Inbox, Ongoing, Review, Done, Backlog, To Do');
+            try {
+                const workflow = await apiRequest('GET', boardPath('workflow'));
+                console.error(`Valid statuses: ${workflow.statuses.map(s => s.name).join(', ')}`);
+            } catch (err) {
+                console.error('Run "agent-cli workflow" to see valid statuses');
+            }
             process.exit(1);
         }
 
         try {
-            const result = await apiRequest('POST', `/api/cards/${taskId}/transition`, { status: newStatus });
+            const result = await apiRequest('POST', `/api/v2/tasks/${taskId}/transition`, { status: newStatus });
             console.log(`✅ Task ${taskId} moved: ${result.from_status} → ${result.to_status}`);
         } catch (err) {
-            console.error(`Error: ${err.error || err.message}`);
-            if (err.reason) {
-                console.error(`Reason: ${err.reason}`);
-            }
-            process.exit(1);
+            fail(err);
         }
     },
 
@@ -252,14 +396,47 @@ const commands = {
         }
 
         try {
-            const result = await apiRequest('POST', `/api/cards/${taskId}/comment`, { content: message });
+            const result = await apiRequest('POST', `/api/v2/tasks/${taskId}/comments`, { content: message });
             console.log(`✅ Comment added to task ${taskId}`);
             console.log(`   ID: ${result.id}`);
             console.log(`   Agent: ${result.agent_id} (${result.agent_role})`);
         } catch (err) {
-            console.error(`Error: ${err.error || err.message}`);
+            fail(err);
+        }
+    },
+
+    // Mark a task as blocked by another task
+    block: async () => {
+        const [taskId, blockerId] = commandArgs;
+        if (!taskId || !blockerId) {
+            console.error('Error: Task ID and blocking task ID required');
+            console.error('Usage: agent-cli block <task-id> <blocked-by-task-id>');
+            process.exit(1);
+        }
+
+        try {
+            await apiRequest('POST', `/api/v2/tasks/${taskId}/dependencies`, { blocked_by: blockerId });
+            console.log(`✅ Task ${taskId} is now blocked by ${blockerId}`);
+        } catch (err) {
+            fail(err);
+        }
+    },
+
+    // Remove a blocker from a task
+    unblock: async () => {
+        const [taskId, blockerId] = commandArgs;
+        if (!taskId || !blockerId) {
+            console.error('Error: Task ID and blocking task ID required');
+            console.error('Usage: agent-cli unblock <task-id> <blocked-by-task-id>');
             process.exit(1);
         }
+
+        try {
+            await apiRequest('DELETE', `/api/v2/tasks/${taskId}/dependencies/${blockerId}`);
+            console.log(`✅ Task ${taskId} is no longer blocked by ${blockerId}`);
+        } catch (err) {
+            fail(err);
+        }
     },
 
     // Create new task
@@ -267,7 +444,7 @@ const commands = {
         const title = flags.title || flags.t;
         const description = flags.description || flags.d || '';
         const priority = flags.priority || flags.p || 'Medium';
-        const owner = flags.owner || flags.o || DEFAULT_AGENT_ID;
+        const owner = flags.owner || flags.o;
         const dueDate = flags.due || flags.dueDate || null;
         
         if (!title) {
@@ -280,22 +457,65 @@ const commands = {
             title,
             description,
             priority,
-            owner_agent: owner,
             due_date: dueDate,
             status: flags.status || 'Agent Inbox'
         };
+        // Without --owner the server makes the key's agent the owner
+        if (owner) {
+            taskData.owner_agent = owner;
+        }
+        if (flags.label) {
+            taskData.labels = String(flags.label).split(',').map(name => name.trim()).filter(Boolean);
+        }
 
         try {
-            const result = await apiRequest('POST', '/api/cards', taskData);
+            const result = await apiRequest('POST', tasksPath(), taskData);
             console.log(`✅ Task created successfully`);
             console.log(`   ID: ${result.id}`);
             console.log(`   Title: ${result.title}`);
             console.log(`   Status: ${result.status}`);
             console.log(`   Owner: ${result.owner_agent}`);
         } catch (err) {
-            console.error(`Error: ${err.error || err.message}`);
+            fail(err);
+        }
+    },
+
+    // Full-text search over tasks and comments
+    search: async () => {
+        const query = commandArgs.join(' ');
+        const format = flags.format || flags.f || 'text';
+        const limit = flags.limit || 20;
+
+        if (!query) {
+            console.error('Error: Search query required');
+            console.error('Usage: agent-cli search <query> [--limit=20] [--format=text|json|table]');
             process.exit(1);
         }
+
+        try {
+            const results = await apiRequest('GET', `${boardPath('search')}?q=${encodeURIComponent(query)}&limit=${limit}`);
+            if (format !== 'text') {
+                output(results, format);
+                return;
+            }
+            if (results.length === 0) {
+                console.log(`No matches for "${query}"`);
+                return;
+            }
+
+            // Highlight matches in bold on a terminal, otherwise just drop the markers
+            const highlight = text => process.stdout.isTTY
+                ? text.replace(/<mark>/g, '\x1b[1m').replace(/<\/mark>/g, '\x1b[0m')
+                : text.replace(/<\/?mark>/g, '');
+            results.forEach(task => {
+                console.log(`${task.id}  [${task.status}]  ${task.title}`);
+                task.snippets.forEach(snippet => {
+                    console.log(`    ${snippet.source === 'comment' ? 'comment: ' : ''}${highlight(snippet.text)}`);
+                });
+            });
+        } catch (err) {
+            fail(err);
+        }
     },
 
     // Show tasks assigned to current agent
@@ -304,11 +524,13 @@ const commands = {
         const agentId = flags.agent || flags['agent-id'] || DEFAULT_AGENT_ID;
         
         try {
-            // Get all tasks and filter for this agent
-            const allTasks = await apiRequest('GET', '/api/cards');
-            const myTasks = allTasks.filter(t => 
-                t.owner_agent === agentId || t.assignee === agentId
-            );
+            // Owned or assigned: two filtered queries, merged back into rank order
+            const [owned, assigned] = await Promise.all([
+                fetchAllPages(tasksPath(), new URLSearchParams({ owner_agent: agentId })),
+                fetchAllPages(tasksPath(), new URLSearchParams({ assignee: agentId }))
+            ]);
+            const byId = new Map([...owned, ...assigned].map(t => [t.id, t]));
+            const myTasks = [...byId.values()].sort((a, b) => a.rank - b.rank);
             
             if (myTasks.length === 0) {
                 console.log(`No tasks found for agent: ${agentId}`);
@@ -316,8 +538,35 @@ const commands = {
                 output(myTasks, format);
             }
         } catch (err) {
-            console.error(`Error: ${err.error || err.message}`);
-            process.exit(1);
+            fail(err);
+        }
+    },
+
+    // Show the board's statuses and transition rules
+    workflow: async () => {
+        const format = flags.format || flags.f || 'table';
+
+        try {
+            const workflow = await apiRequest('GET', boardPath('workflow'));
+            if (format === 'json') {
+                console.log(JSON.stringify(workflow, null, 2));
+                return;
+            }
+
+            console.log(`Workflow for board: ${workflow.board_id}\n`);
+            workflow.statuses.forEach((status, i) => {
+                const rule = workflow.transitions[status.name];
+                const label = status.emoji ? `${status.emoji} ${status.name}` : status.name;
+                console.log(`${i + 1}. ${label}`);
+                if (rule) {
+                    if (rule.from_statuses) console.log(`     from: ${rule.from_statuses.join(', ')}`);
+                    if (rule.allowed_roles) console.log(`     roles: ${rule.allowed_roles.join(', ')}`);
+                    if (rule.requires_ownership) console.log('     requires: assigned agent');
+                    if (rule.requires_founder) console.log('     requires: founder');
+                }
+            });
+        } catch (err) {
+            fail(err);
         }
     },
 
@@ -330,42 +579,75 @@ Agent CLI for Kanban MVP
 Usage: agent-cli <command> [options]
 
 Commands:
-  list [--status=<status>]      List all tasks (optional: filter by status)
-  get <task-id>                 Show task details
+  list [--status=<status>]      List all tasks (optional: filter by status and labels)
+  get <task-id> [--history]     Show task details and comments (and its timeline)
+  history <task-id>             Show a task's timeline (changes, moves, claims, comments)
   claim <task-id>               Claim an unassigned task
+  next                          Claim the best eligible To Do card (priority, due date, rank)
+  heartbeat <task-id>           Extend your claim lease on a task
+  release <task-id>             Release your claim (task becomes unassigned)
   move <task-id> <status>       Move task to new status
   comment <task-id> <message>   Add comment to task
+  block <task-id> <blocker-id>  Mark task as blocked by another task
+  unblock <task-id> <blocker-id> Remove a blocker from a task
   create --title="..."          Create new task
   mine                          Show tasks assigned to me
+  workflow                      Show the board's statuses and transition rules
+  search <query>                Search titles, descriptions, branches, repos and comments
   help                          Show this help
 
 Global Options:
-  --status=<status>             Filter by status (Agent Inbox, Ongoing, Review, Done)
-  --priority=<priority>         Task priority (Low, Medium, High)
-  --owner=<agent-id>            Task owner/assignee
+  --status=<status>             Filter by status (see: agent-cli workflow)
+  --label=<a,b>                 Labels to set on create; on list/next, tasks must have all of them
+  --label-not=<a,b>             On list, skip tasks with any of these labels
+  --unblocked                   On list, only tasks whose blockers are all done
+  --owner=<agent-id>            On list, only tasks owned by this agent
+  --priority=<a,b>              On list, only these priorities
+  --overdue                     On list, only tasks past their due date and not done
+  --due-before=<YYYY-MM-DD>     On list, only tasks due on or before this date
+  --updated-since=<timestamp>   On list, only tasks changed since (ISO 8601)
+  --limit=<n>                   On list, return the first n tasks (default: all pages)
+  --capabilities=<a,b>          On next, capabilities covering "requires:<a>" labels
+  --max-in-flight=<n>           On next, claim nothing if you already have n cards in progress
+  --priority=<priority>         On create, task priority (Low, Medium, High)
+  --owner=<agent-id>            On create, task owner (default: the key's agent)
   --format=<json|table>         Output format (default: json)
-  --agent-id=<id>               Agent ID (default: manager)
+  --board=<board-id>            Board to work on (default: default board)
+  --agent-id=<id>               Agent ID for mine (default: manager)
   --agent-role=<role>           Agent role (founder, agent, member)
   --api-key=<key>               API key
   --base-url=<url>              Kanban server URL
 
 Environment Variables:
-  AGENT_ID          Agent ID (default: manager)
+  AGENT_ID          Agent ID for mine (default: manager; the shared key acts as legacy-shared)
   AGENT_ROLE        Agent role (default: member)
-  AGENT_API_KEY     API key for authentication
+  AGENT_API_KEY     API key for authentication (per-agent keys set ID and role)
+  KANBAN_BOARD      Board ID (default: default board)
   KANBAN_BASE_URL   Kanban server URL (default: http://localhost:3000)
 
 Examples:
   agent-cli list --status="Agent Inbox"
   agent-cli get abc123
+  agent-cli get abc123 --history
+  agent-cli history abc123 --format=table
   agent-cli claim abc123
   agent-cli move abc123 "Ongoing"
   agent-cli comment abc123 "Starting work on this"
   agent-cli create --title="Fix bug" --priority=High
+  agent-cli create --title="Fix login" --label=bug,frontend
+  agent-cli list --label=bug --label-not=blocked
+  agent-cli block abc123 def456
+  agent-cli list --status="To Do" --unblocked
+  agent-cli list --overdue --priority=High --format=table
+  agent-cli next --capabilities=python --max-in-flight=2
   agent-cli mine --format=table
+  agent-cli list --board=product-two --status="To Do"
+  agent-cli workflow --board=product-two
+  agent-cli search login redirect
 
 Status Values:
-  Agent Inbox, Ongoing, Review, Done, Backlog, To Do
+  Statuses are configured per board - run "agent-cli workflow" to list them.
+  The default workflow is: Agent Inbox, Backlog, To Do, Ongoing, Review, Done
 `);
     }
 };
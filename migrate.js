@@ -1,205 +1,126 @@
 #!/usr/bin/env node
 /**
  * Migration script for kanban-mvp
- * Creates tables in PostgreSQL or SQLite depending on DATABASE_URL
+ * Applies the numbered migrations in ./migrations to PostgreSQL or SQLite
+ * depending on DATABASE_URL.
+ *
+ * Usage:
+ *   node migrate.js [up]        Apply pending migrations
+ *   node migrate.js --dry-run   Print the SQL pending migrations would run
+ *   node migrate.js status      List applied and pending migrations
  */
 
+require('dotenv').config();
+
 const { Client } = require('pg');
 const sqlite3 = require('sqlite3').verbose();
 const fs = require('fs');
 const path = require('path');
+const { getMigrationStatus, runMigrations } = require('./migrator');
 
 const DATABASE_URL = process.env.DATABASE_URL;
 const DB_PATH = process.env.DB_PATH || './kanban.db';
 
-const SCHEMA = `
-CREATE TABLE IF NOT EXISTS tasks (
-    id TEXT PRIMARY KEY,
-    title TEXT NOT NULL,
-    description TEXT,
-    assignee TEXT,
-    owner_agent TEXT,
-    status TEXT DEFAULT 'Backlog',
-    priority TEXT DEFAULT 'Medium',
-    due_date TEXT,
-    branch TEXT,
-    repo TEXT,
-    created_at TEXT DEFAULT (datetime('now')),
-    updated_at TEXT DEFAULT (datetime('now'))
-);
-
-CREATE TABLE IF NOT EXISTS activity_log (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    action TEXT NOT NULL,
-    task_id TEXT,
-    task_title TEXT,
-    details TEXT,
-    agent_id TEXT,
-    agent_role TEXT,
-    from_status TEXT,
-    to_status TEXT,
-    branch TEXT,
-    repo TEXT,
-    transition_allowed INTEGER DEFAULT 1,
-    denial_reason TEXT,
-    created_at TEXT DEFAULT (datetime('now'))
-);
-
-CREATE TABLE IF NOT EXISTS reminders (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    task_id TEXT NOT NULL,
-    task_title TEXT,
-    due_date TEXT,
-    notified INTEGER DEFAULT 0,
-    created_at TEXT DEFAULT (datetime('now'))
-);
-
-CREATE TABLE IF NOT EXISTS comments (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    task_id TEXT NOT NULL,
-    content TEXT NOT NULL,
-    agent_id TEXT,
-    agent_role TEXT,
-    created_at TEXT DEFAULT (datetime('now'))
-);
-`;
-
-async function migratePostgres() {
+// Minimal get/all/run connection with the same contract as the server's wrappers
+async function openPostgres() {
     console.log('🔄 Connecting to PostgreSQL...');
     const client = new Client({ connectionString: DATABASE_URL });
-    
-    try {
-        await client.connect();
-        console.log('✅ Connected to PostgreSQL');
-        
-        // Execute schema
-        // Note: PostgreSQL uses CURRENT_TIMESTAMP instead of datetime('now')
-        const schemaPg = SCHEMA.replace(/datetime\('now'\)/g, "CURRENT_TIMESTAMP");
-        
-        // Split and execute each statement
-        const statements = schemaPg.split(';').filter(s => s.trim());
-        
-        for (const stmt of statements) {
-            if (stmt.trim()) {
-                await client.query(stmt);
-            }
-        }
-        
-        console.log('✅ PostgreSQL schema created successfully');
-        await client.end();
-        return true;
-    } catch (err) {
-        console.error('❌ PostgreSQL migration failed:', err.message);
-        await client.end();
-        throw err;
-    }
+    await client.connect();
+    console.log('✅ Connected to PostgreSQL');
+    return {
+        get: async (sql, params = []) => (await client.query(sql, params)).rows[0] || null,
+        all: async (sql, params = []) => (await client.query(sql, params)).rows,
+        run: (sql, params = []) => client.query(sql, params),
+        close: () => client.end()
+    };
 }
 
-function migrateSqlite() {
+function openSqlite() {
+    const dbPathDir = path.dirname(DB_PATH);
+    if (!fs.existsSync(dbPathDir)) {
+        fs.mkdirSync(dbPathDir, { recursive: true });
+        console.log(`📁 Created database directory: ${dbPathDir}`);
+    }
+
     return new Promise((resolve, reject) => {
-        console.log('🔄 Using SQLite fallback...');
-        
-        const dbPathDir = path.dirname(DB_PATH);
-        if (!fs.existsSync(dbPathDir)) {
-            fs.mkdirSync(dbPathDir, { recursive: true });
-            console.log(`📁 Created database directory: ${dbPathDir}`);
-        }
-        
-        const db = new sqlite3.Database(DB_PATH, (err) => {
+        const database = new sqlite3.Database(DB_PATH, (err) => {
             if (err) {
                 console.error('❌ Failed to open SQLite database:', err.message);
                 return reject(err);
             }
             console.log('✅ Connected to SQLite database');
-            
-            db.serialize(() => {
-                // Create tasks table
-                db.run(`CREATE TABLE IF NOT EXISTS tasks (
-                    id TEXT PRIMARY KEY,
-                    title TEXT NOT NULL,
-                    description TEXT,
-                    assignee TEXT,
-                    owner_agent TEXT,
-                    status TEXT DEFAULT 'Backlog',
-                    priority TEXT DEFAULT 'Medium',
-                    due_date TEXT,
-                    branch TEXT,
-                    repo TEXT,
-                    created_at TEXT DEFAULT (datetime('now')),
-                    updated_at TEXT DEFAULT (datetime('now'))
-                )`);
-                
-                // Activity log
-                db.run(`CREATE TABLE IF NOT EXISTS activity_log (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    action TEXT NOT NULL,
-                    task_id TEXT,
-                    task_title TEXT,
-                    details TEXT,
-                    agent_id TEXT,
-                    agent_role TEXT,
-                    from_status TEXT,
-                    to_status TEXT,
-                    branch TEXT,
-                    repo TEXT,
-                    transition_allowed INTEGER DEFAULT 1,
-                    denial_reason TEXT,
-                    created_at TEXT DEFAULT (datetime('now'))
-                )`);
-                
-                // Reminders
-                db.run(`CREATE TABLE IF NOT EXISTS reminders (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    task_id TEXT NOT NULL,
-                    task_title TEXT,
-                    due_date TEXT,
-                    notified INTEGER DEFAULT 0,
-                    created_at TEXT DEFAULT (datetime('now'))
-                )`);
-                
-                // Comments
-                db.run(`CREATE TABLE IF NOT EXISTS comments (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    task_id TEXT NOT NULL,
-                    content TEXT NOT NULL,
-                    agent_id TEXT,
-                    agent_role TEXT,
-                    created_at TEXT DEFAULT (datetime('now'))
-                )`);
-                
-                console.log('✅ SQLite schema created successfully');
-                db.close();
-                resolve(true);
+            const call = (method) => (sql, params = []) => new Promise((res, rej) => {
+                database[method](sql.replace(/\$(\d+)/g, '?$1'), params, (e, result) => (e ? rej(e) : res(result)));
+            });
+            resolve({
+                get: async (sql, params) => (await call('get')(sql, params)) || null,
+                all: call('all'),
+                run: call('run'),
+                close: () => new Promise((res, rej) => database.close(e => (e ? rej(e) : res())))
             });
         });
     });
 }
 
+function formatVersion(version) {
+    return String(version).padStart(3, '0');
+}
+
+async function printStatus(db, dialect) {
+    const status = await getMigrationStatus(db, dialect);
+    console.log(`📋 Schema version ${formatVersion(status.current)} (latest ${formatVersion(status.latest)})`);
+    for (const row of status.applied) {
+        console.log(`   ✅ ${formatVersion(row.version)}_${row.name}  applied ${row.applied_at}`);
+    }
+    for (const migration of status.pending) {
+        console.log(`   ⏳ ${formatVersion(migration.version)}_${migration.name}  pending — ${migration.description}`);
+    }
+    for (const row of status.unknown) {
+        console.log(`   ⚠️  ${formatVersion(row.version)}_${row.name}  applied but not found in ./migrations`);
+    }
+    if (status.pending.length === 0) {
+        console.log('✅ Database is up to date');
+    }
+}
+
 async function main() {
+    const args = process.argv.slice(2);
+    const command = args.find(arg => !arg.startsWith('--')) || 'up';
+    const dryRun = args.includes('--dry-run');
+
+    if (!['up', 'status'].includes(command)) {
+        console.error(`Unknown command "${command}". Use: up, status (or --dry-run)`);
+        process.exit(1);
+    }
+
     console.log('🚀 Kanban MVP Migration Script');
     console.log('==============================');
-    
-    if (DATABASE_URL) {
-        console.log(`📦 Database: PostgreSQL (DATABASE_URL set)`);
-        try {
-            await migratePostgres();
-            console.log('✅ Migration complete!');
-            process.exit(0);
-        } catch (err) {
-            console.error('💥 PostgreSQL migration failed, falling back to SQLite...');
-            await migrateSqlite();
-            console.log('✅ Migration complete (SQLite fallback)!');
-            process.exit(0);
+
+    const dialect = DATABASE_URL ? 'postgres' : 'sqlite';
+    console.log(DATABASE_URL
+        ? '📦 Database: PostgreSQL (DATABASE_URL set)'
+        : `📦 Database: SQLite (${DB_PATH})`);
+
+    const db = DATABASE_URL ? await openPostgres() : await openSqlite();
+    try {
+        if (command === 'status') {
+            await printStatus(db, dialect);
+        } else {
+            const applied = await runMigrations(db, dialect, { dryRun });
+            if (applied.length === 0) {
+                console.log('✅ Database is up to date');
+            } else if (dryRun) {
+                console.log(`🔎 Dry run: ${applied.length} migration(s) pending, nothing applied`);
+            } else {
+                console.log(`✅ Migration complete! Applied ${applied.length} migration(s)`);
+            }
         }
-    } else {
-        console.log(`📦 Database: SQLite (${DB_PATH})`);
-        await migrateSqlite();
-        console.log('✅ Migration complete!');
-        process.exit(0);
+    } finally {
+        await db.close();
     }
 }
 
 main().catch(err => {
-    console.error('💥 Migration failed:', err);
+    console.error('💥 Migration failed:', err.message);
     process.exit(1);
 });
@@ -0,0 +1,232 @@
+/**
+ * Baseline schema.
+ *
+ * Databases created before versioned migrations already have these tables,
+ * possibly without columns that used to be added ad hoc at startup, so
+ * every statement here is idempotent and the late columns are backfilled.
+ */
+
+exports.description = 'Baseline tables for tasks, activity, auth, boards, webhooks and labels';
+
+exports.up = async (m) => {
+    const { SERIAL, NOW, DOUBLE } = m.types;
+
+    await m.exec(`CREATE TABLE IF NOT EXISTS tasks (
+        id TEXT PRIMARY KEY,
+        title TEXT NOT NULL,
+        description TEXT,
+        assignee TEXT,
+        owner_agent TEXT,
+        status TEXT DEFAULT 'Backlog',
+        priority TEXT DEFAULT 'Medium',
+        due_date TEXT,
+        branch TEXT,
+        repo TEXT,
+        board_id TEXT,
+        rank ${DOUBLE},
+        claim_expires_at TEXT,
+        version INTEGER NOT NULL DEFAULT 1,
+        deleted_at TEXT,
+        deleted_by TEXT,
+        archived_at TEXT,
+        archived_by TEXT,
+        created_at TEXT DEFAULT ${NOW},
+        updated_at TEXT DEFAULT ${NOW}
+    )`);
+    await m.addColumn('tasks', 'owner_agent', 'TEXT');
+    await m.addColumn('tasks', 'branch', 'TEXT');
+    await m.addColumn('tasks', 'repo', 'TEXT');
+    await m.addColumn('tasks', 'board_id', 'TEXT');
+    await m.addColumn('tasks', 'rank', DOUBLE);
+    await m.addColumn('tasks', 'claim_expires_at', 'TEXT');
+    await m.addColumn('tasks', 'version', 'INTEGER NOT NULL DEFAULT 1');
+    await m.addColumn('tasks', 'deleted_at', 'TEXT');
+    await m.addColumn('tasks', 'deleted_by', 'TEXT');
+    await m.addColumn('tasks', 'archived_at', 'TEXT');
+    await m.addColumn('tasks', 'archived_by', 'TEXT');
+    await m.exec(`CREATE INDEX IF NOT EXISTS idx_tasks_board_rank ON tasks (board_id, rank)`);
+
+    await m.exec(`CREATE TABLE IF NOT EXISTS activity_log (
+        id ${SERIAL},
+        action TEXT NOT NULL,
+        task_id TEXT,
+        task_title TEXT,
+        details TEXT,
+        agent_id TEXT,
+        agent_role TEXT,
+        from_status TEXT,
+        to_status TEXT,
+        branch TEXT,
+        repo TEXT,
+        transition_allowed INTEGER DEFAULT 1,
+        denial_reason TEXT,
+        board_id TEXT,
+        changes TEXT,
+        reverted_at TEXT,
+        reverted_by TEXT,
+        created_at TEXT DEFAULT ${NOW}
+    )`);
+    await m.addColumn('activity_log', 'agent_id', 'TEXT');
+    await m.addColumn('activity_log', 'agent_role', 'TEXT');
+    await m.addColumn('activity_log', 'from_status', 'TEXT');
+    await m.addColumn('activity_log', 'to_status', 'TEXT');
+    await m.addColumn('activity_log', 'branch', 'TEXT');
+    await m.addColumn('activity_log', 'repo', 'TEXT');
+    await m.addColumn('activity_log', 'transition_allowed', 'INTEGER DEFAULT 1');
+    await m.addColumn('activity_log', 'denial_reason', 'TEXT');
+    await m.addColumn('activity_log', 'board_id', 'TEXT');
+    await m.addColumn('activity_log', 'changes', 'TEXT');
+    await m.addColumn('activity_log', 'reverted_at', 'TEXT');
+    await m.addColumn('activity_log', 'reverted_by', 'TEXT');
+
+    await m.exec(`CREATE TABLE IF NOT EXISTS reminders (
+        id ${SERIAL},
+        task_id TEXT NOT NULL,
+        task_title TEXT,
+        due_date TEXT,
+        notified INTEGER DEFAULT 0,
+        created_at TEXT DEFAULT ${NOW}
+    )`);
+
+    await m.exec(`CREATE TABLE IF NOT EXISTS comments (
+        id ${SERIAL},
+        task_id TEXT NOT NULL,
+        content TEXT NOT NULL,
+        agent_id TEXT,
+        agent_role TEXT,
+        board_id TEXT,
+        created_at TEXT DEFAULT ${NOW}
+    )`);
+    await m.addColumn('comments', 'board_id', 'TEXT');
+
+    await m.exec(`CREATE TABLE IF NOT EXISTS api_keys (
+        id TEXT PRIMARY KEY,
+        name TEXT,
+        key_hash TEXT NOT NULL UNIQUE,
+        key_prefix TEXT NOT NULL,
+        agent_id TEXT NOT NULL,
+        agent_role TEXT NOT NULL DEFAULT 'agent',
+        scopes TEXT NOT NULL DEFAULT 'read',
+        created_by TEXT,
+        created_at TEXT DEFAULT ${NOW},
+        rotated_at TEXT,
+        last_used_at TEXT,
+        revoked_at TEXT
+    )`);
+
+    await m.exec(`CREATE TABLE IF NOT EXISTS users (
+        id TEXT PRIMARY KEY,
+        username TEXT NOT NULL UNIQUE,
+        display_name TEXT,
+        password_hash TEXT NOT NULL,
+        role TEXT NOT NULL DEFAULT 'member',
+        disabled INTEGER DEFAULT 0,
+        created_at TEXT DEFAULT ${NOW},
+        last_login_at TEXT
+    )`);
+
+    await m.exec(`CREATE TABLE IF NOT EXISTS sessions (
+        token_hash TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        created_at TEXT DEFAULT ${NOW}
+    )`);
+
+    await m.exec(`CREATE TABLE IF NOT EXISTS boards (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        description TEXT,
+        created_by TEXT,
+        created_at TEXT DEFAULT ${NOW}
+    )`);
+
+    await m.exec(`CREATE TABLE IF NOT EXISTS board_members (
+        board_id TEXT NOT NULL,
+        member_id TEXT NOT NULL,
+        role TEXT NOT NULL DEFAULT 'member',
+        created_at TEXT DEFAULT ${NOW},
+        PRIMARY KEY (board_id, member_id)
+    )`);
+
+    await m.exec(`CREATE TABLE IF NOT EXISTS workflows (
+        board_id TEXT PRIMARY KEY,
+        definition TEXT NOT NULL,
+        updated_by TEXT,
+        updated_at TEXT DEFAULT ${NOW}
+    )`);
+
+    await m.exec(`CREATE TABLE IF NOT EXISTS webhooks (
+        id TEXT PRIMARY KEY,
+        url TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        events TEXT NOT NULL DEFAULT '*',
+        board_id TEXT,
+        description TEXT,
+        active INTEGER DEFAULT 1,
+        created_by TEXT,
+        created_at TEXT DEFAULT ${NOW},
+        updated_at TEXT DEFAULT ${NOW}
+    )`);
+
+    await m.exec(`CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id TEXT PRIMARY KEY,
+        webhook_id TEXT NOT NULL,
+        event_type TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER DEFAULT 0,
+        next_attempt_at TEXT,
+        last_status_code INTEGER,
+        last_error TEXT,
+        created_at TEXT DEFAULT ${NOW},
+        delivered_at TEXT
+    )`);
+
+    await m.exec(`CREATE TABLE IF NOT EXISTS webhook_delivery_logs (
+        id ${SERIAL},
+        delivery_id TEXT NOT NULL,
+        webhook_id TEXT NOT NULL,
+        attempt INTEGER NOT NULL,
+        status_code INTEGER,
+        error TEXT,
+        duration_ms INTEGER,
+        created_at TEXT DEFAULT ${NOW}
+    )`);
+
+    await m.exec(`CREATE TABLE IF NOT EXISTS labels (
+        id TEXT PRIMARY KEY,
+        board_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        color TEXT NOT NULL DEFAULT '#6b7280',
+        created_by TEXT,
+        created_at TEXT DEFAULT ${NOW},
+        UNIQUE (board_id, name)
+    )`);
+
+    await m.exec(`CREATE TABLE IF NOT EXISTS task_labels (
+        task_id TEXT NOT NULL,
+        label_id TEXT NOT NULL,
+        PRIMARY KEY (task_id, label_id)
+    )`);
+
+    await m.exec(`CREATE TABLE IF NOT EXISTS task_dependencies (
+        task_id TEXT NOT NULL,
+        blocked_by TEXT NOT NULL,
+        created_by TEXT,
+        created_at TEXT DEFAULT ${NOW},
+        PRIMARY KEY (task_id, blocked_by)
+    )`);
+
+    await m.exec(`CREATE TABLE IF NOT EXISTS task_changes (
+        id ${SERIAL},
+        task_id TEXT NOT NULL,
+        board_id TEXT,
+        field TEXT NOT NULL,
+        old_value TEXT,
+        new_value TEXT,
+        agent_id TEXT,
+        agent_role TEXT,
+        created_at TEXT DEFAULT ${NOW}
+    )`);
+    await m.exec(`CREATE INDEX IF NOT EXISTS idx_task_changes_task ON task_changes (task_id, created_at)`);
+};
@@ -0,0 +1,59 @@
+/**
+ * Full-text search over tasks and comments.
+ *
+ * Postgres: GIN indexes on weighted tsvector expressions. The expressions
+ * must match TASK_SEARCH_VECTOR / COMMENT_SEARCH_VECTOR in server.js or the
+ * planner will not use the indexes.
+ * SQLite: FTS5 external-content tables kept in sync by triggers.
+ */
+
+exports.description = 'Full-text search indexes for tasks and comments';
+
+exports.up = async (m) => {
+    if (m.dialect === 'postgres') {
+        await m.exec(`CREATE INDEX IF NOT EXISTS idx_tasks_search ON tasks USING GIN ((
+            setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+            setweight(to_tsvector('english', coalesce(description, '')), 'B') ||
+            setweight(to_tsvector('english', coalesce(branch, '') || ' ' || coalesce(repo, '')), 'C')
+        ))`);
+        await m.exec(`CREATE INDEX IF NOT EXISTS idx_comments_search ON comments
+            USING GIN ((to_tsvector('english', coalesce(content, ''))))`);
+        return;
+    }
+
+    await m.exec(`CREATE VIRTUAL TABLE IF NOT EXISTS tasks_fts USING fts5(
+        title, description, branch, repo, content='tasks', content_rowid='rowid'
+    )`);
+    await m.exec(`CREATE TRIGGER IF NOT EXISTS tasks_fts_ai AFTER INSERT ON tasks BEGIN
+        INSERT INTO tasks_fts(rowid, title, description, branch, repo)
+        VALUES (new.rowid, new.title, new.description, new.branch, new.repo);
+    END`);
+    await m.exec(`CREATE TRIGGER IF NOT EXISTS tasks_fts_ad AFTER DELETE ON tasks BEGIN
+        INSERT INTO tasks_fts(tasks_fts, rowid, title, description, branch, repo)
+        VALUES ('delete', old.rowid, old.title, old.description, old.branch, old.repo);
+    END`);
+    await m.exec(`CREATE TRIGGER IF NOT EXISTS tasks_fts_au AFTER UPDATE ON tasks BEGIN
+        INSERT INTO tasks_fts(tasks_fts, rowid, title, description, branch, repo)
+        VALUES ('delete', old.rowid, old.title, old.description, old.branch, old.repo);
+        INSERT INTO tasks_fts(rowid, title, description, branch, repo)
+        VALUES (new.rowid, new.title, new.description, new.branch, new.repo);
+    END`);
+
+    await m.exec(`CREATE VIRTUAL TABLE IF NOT EXISTS comments_fts USING fts5(
+        content, content='comments', content_rowid='id'
+    )`);
+    await m.exec(`CREATE TRIGGER IF NOT EXISTS comments_fts_ai AFTER INSERT ON comments BEGIN
+        INSERT INTO comments_fts(rowid, content) VALUES (new.id, new.content);
+    END`);
+    await m.exec(`CREATE TRIGGER IF NOT EXISTS comments_fts_ad AFTER DELETE ON comments BEGIN
+        INSERT INTO comments_fts(comments_fts, rowid, content) VALUES ('delete', old.id, old.content);
+    END`);
+    await m.exec(`CREATE TRIGGER IF NOT EXISTS comments_fts_au AFTER UPDATE ON comments BEGIN
+        INSERT INTO comments_fts(comments_fts, rowid, content) VALUES ('delete', old.id, old.content);
+        INSERT INTO comments_fts(rowid, content) VALUES (new.id, new.content);
+    END`);
+
+    // Index rows written before the FTS tables existed
+    await m.exec(`INSERT INTO tasks_fts(tasks_fts) VALUES ('rebuild')`);
+    await m.exec(`INSERT INTO comments_fts(comments_fts) VALUES ('rebuild')`);
+};
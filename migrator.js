@@ -0,0 +1,180 @@
+/**
+ * Versioned schema migrations shared by server.js and migrate.js
+ *
+ * Migrations live in ./migrations as numbered files (001_initial_schema.js,
+ * 002_full_text_search.js, ...). Each exports `description` and an async
+ * `up(m)` that receives a small dialect-aware context:
+ *
+ *   m.dialect                 'postgres' | 'sqlite'
+ *   m.types.SERIAL            auto-increment integer primary key
+ *   m.types.NOW               timestamp column default
+ *   m.types.DOUBLE            double-precision float
+ *   m.exec(sql)               run one statement
+ *   m.addColumn(t, col, def)  add a column unless it already exists
+ *
+ * Applied versions are recorded in the `schema_migrations` table. Each
+ * migration runs in its own transaction together with its bookkeeping row,
+ * so a failure leaves the database at the previous version.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d+)_([a-z0-9_]+)\.js$/;
+
+const TYPES = {
+    postgres: {
+        SERIAL: 'SERIAL PRIMARY KEY',
+        NOW: 'CURRENT_TIMESTAMP',
+        DOUBLE: 'DOUBLE PRECISION'
+    },
+    sqlite: {
+        SERIAL: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+        NOW: "(datetime('now'))",
+        DOUBLE: 'REAL'
+    }
+};
+
+// Load migration files in version order; duplicate versions are a hard error
+function loadMigrations(dir = MIGRATIONS_DIR) {
+    const migrations = fs.readdirSync(dir)
+        .map(file => ({ file, match: MIGRATION_FILE.exec(file) }))
+        .filter(({ match }) => match)
+        .map(({ file, match }) => {
+            const mod = require(path.join(dir, file));
+            if (typeof mod.up !== 'function') {
+                throw new Error(`Migration ${file} does not export an up() function`);
+            }
+            return {
+                version: parseInt(match[1], 10),
+                name: match[2],
+                description: mod.description || match[2].replace(/_/g, ' '),
+                up: mod.up
+            };
+        })
+        .sort((a, b) => a.version - b.version);
+
+    for (let i = 1; i < migrations.length; i++) {
+        if (migrations[i].version === migrations[i - 1].version) {
+            throw new Error(`Duplicate migration version ${migrations[i].version}`);
+        }
+    }
+    return migrations;
+}
+
+async function ensureMigrationsTable(db) {
+    await db.run(`CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT NOT NULL
+    )`);
+}
+
+async function tableExists(db, dialect, table) {
+    const row = dialect === 'postgres'
+        ? await db.get(`SELECT 1 AS found FROM information_schema.tables
+                        WHERE table_schema = current_schema() AND table_name = $1`, [table])
+        : await db.get(`SELECT 1 AS found FROM sqlite_master WHERE type = 'table' AND name = $1`, [table]);
+    return !!row;
+}
+
+async function columnExists(db, dialect, table, column) {
+    if (dialect === 'postgres') {
+        const row = await db.get(
+            `SELECT 1 AS found FROM information_schema.columns
+             WHERE table_schema = current_schema() AND table_name = $1 AND column_name = $2`,
+            [table, column]
+        );
+        return !!row;
+    }
+    const columns = await db.all(`PRAGMA table_info(${table})`);
+    return columns.some(col => col.name === column);
+}
+
+/**
+ * Report applied and pending migrations. `unknown` lists versions recorded in
+ * the database that have no file here (the database is newer than the code).
+ * Reading status never creates schema_migrations.
+ */
+async function getMigrationStatus(db, dialect) {
+    const migrations = loadMigrations();
+    const applied = await tableExists(db, dialect, 'schema_migrations')
+        ? await db.all('SELECT version, name, applied_at FROM schema_migrations ORDER BY version')
+        : [];
+    const appliedVersions = new Set(applied.map(row => Number(row.version)));
+    const known = new Set(migrations.map(m => m.version));
+
+    return {
+        current: applied.length ? Math.max(...appliedVersions) : 0,
+        latest: migrations.length ? migrations[migrations.length - 1].version : 0,
+        applied,
+        pending: migrations.filter(m => !appliedVersions.has(m.version)),
+        unknown: applied.filter(row => !known.has(Number(row.version)))
+    };
+}
+
+/**
+ * Apply pending migrations in order. With `dryRun`, statements are passed to
+ * `log` instead of being executed and nothing is recorded.
+ * Resolves to the list of migrations that were (or would be) applied.
+ */
+async function runMigrations(db, dialect, { dryRun = false, log = console.log } = {}) {
+    const { pending } = await getMigrationStatus(db, dialect);
+    if (!dryRun) {
+        await ensureMigrationsTable(db);
+    }
+
+    for (const migration of pending) {
+        const label = `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+        log(`${dryRun ? '🔎 Would apply' : '⏳ Applying'} ${label}: ${migration.description}`);
+
+        const context = {
+            dialect,
+            types: TYPES[dialect],
+            exec: async (sql) => {
+                if (dryRun) {
+                    log(`   ${sql.replace(/\s+/g, ' ').trim()};`);
+                    return;
+                }
+                await db.run(sql);
+            },
+            addColumn: async (table, column, definition) => {
+                // In a dry run the table may only exist once an earlier
+                // CREATE TABLE in this migration has run, which already has the column
+                if (dryRun && !await tableExists(db, dialect, table)) return;
+                if (await columnExists(db, dialect, table, column)) return;
+                await context.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+            }
+        };
+
+        if (dryRun) {
+            await migration.up(context);
+            continue;
+        }
+
+        await db.run('BEGIN');
+        try {
+            await migration.up(context);
+            await db.run(
+                'INSERT INTO schema_migrations (version, name, applied_at) VALUES ($1, $2, $3)',
+                [migration.version, migration.name, new Date().toISOString()]
+            );
+            await db.run('COMMIT');
+        } catch (err) {
+            await db.run('ROLLBACK').catch(() => {});
+            err.message = `Migration ${label} failed: ${err.message}`;
+            throw err;
+        }
+        log(`✅ Applied ${label}`);
+    }
+
+    return pending;
+}
+
+module.exports = {
+    MIGRATIONS_DIR,
+    loadMigrations,
+    getMigrationStatus,
+    runMigrations
+};
@@ -47,7 +47,7 @@ if (!AGENT_API_KEY) {
  * Fetch all tasks from the Kanban API
  */
 async function fetchAllTasks() {
-    const url = `${KANBAN_BASE_URL}/api/cards`;
+    const url = `${KANBAN_BASE_URL}/api/v2/tasks`;
     
     try {
         const response = await fetch(url, {
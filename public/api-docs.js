@@ -0,0 +1,215 @@
+// Interactive reference for /api/openapi.json: operations grouped by tag, with a
+// "try it" form that sends the credentials entered in the header.
+let spec = null;
+
+// Credentials stay in memory; the session token is prefilled from the board UI's login
+const credentialInputs = {
+    apiKey: document.getElementById('cred-apiKey'),
+    ownerPassword: document.getElementById('cred-ownerPassword'),
+    session: document.getElementById('cred-session')
+};
+credentialInputs.session.value = localStorage.getItem('sessionToken') || '';
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+// Follow a local "#/components/..." reference
+function resolveRef(ref) {
+    return ref.slice(2).split('/').reduce((node, key) => node && node[key], spec);
+}
+
+function deref(node) {
+    return node && node.$ref ? resolveRef(node.$ref) : node;
+}
+
+// Inline $refs (once per name, so recursive schemas stay finite) for display
+function expandSchema(schema, seen = new Set()) {
+    if (Array.isArray(schema)) return schema.map(item => expandSchema(item, seen));
+    if (!schema || typeof schema !== 'object') return schema;
+    if (schema.$ref) {
+        if (seen.has(schema.$ref)) return { $ref: schema.$ref };
+        return expandSchema(resolveRef(schema.$ref), new Set([...seen, schema.$ref]));
+    }
+    return Object.fromEntries(Object.entries(schema).map(([key, value]) => [key, expandSchema(value, seen)]));
+}
+
+// A request body skeleton: required fields plus any with an obvious sample value
+function exampleFor(schema) {
+    schema = deref(schema);
+    if (!schema) return null;
+    if (schema.oneOf) return exampleFor(schema.oneOf[0]);
+    if (schema.enum) return schema.enum[0];
+    switch (schema.type) {
+        case 'object': {
+            const example = {};
+            for (const name of schema.required || Object.keys(schema.properties || {}).slice(0, 3)) {
+                example[name] = exampleFor(schema.properties[name]);
+            }
+            return example;
+        }
+        case 'array': return [exampleFor(schema.items)];
+        case 'integer': return schema.minimum || 1;
+        case 'boolean': return true;
+        default: return schema.format === 'date' ? new Date().toISOString().slice(0, 10) : '';
+    }
+}
+
+function describeSecurity(security) {
+    if (!security || security.length === 0) return 'public';
+    return security.map(requirement => Object.keys(requirement)[0]).join(' | ');
+}
+
+function renderParameters(parameters) {
+    if (parameters.length === 0) return '';
+    const rows = parameters.map(param => `
+        <tr>
+            <td><code>${escapeHtml(param.name)}</code></td>
+            <td>${escapeHtml(param.in)}${param.required ? ' · required' : ''}</td>
+            <td>${escapeHtml(param.schema.type || '')}${param.schema.format ? ` (${escapeHtml(param.schema.format)})` : ''}</td>
+            <td>${escapeHtml(param.description || '')}</td>
+        </tr>`).join('');
+    return `<h4>Parameters</h4><table>${rows}</table>`;
+}
+
+function renderResponses(responses) {
+    const rows = Object.entries(responses).map(([code, response]) => {
+        const resolved = deref(response);
+        const content = resolved.content && Object.values(resolved.content)[0];
+        const schemaName = content && content.schema && (content.schema.$ref || (content.schema.items && content.schema.items.$ref));
+        const shape = schemaName ? schemaName.split('/').pop() + (content.schema.items ? '[]' : '') : '';
+        return `<tr><td><code>${code}</code></td><td>${escapeHtml(resolved.description)}</td><td><code>${escapeHtml(shape)}</code></td></tr>`;
+    }).join('');
+    return `<h4>Responses</h4><table>${rows}</table>`;
+}
+
+function renderTryIt(id, parameters, requestBody) {
+    const inputs = parameters
+        .filter(param => param.in !== 'header')
+        .map(param => `
+            <tr>
+                <td><code>${escapeHtml(param.name)}</code></td>
+                <td><input data-param="${escapeHtml(param.name)}" data-in="${escapeHtml(param.in)}"
+                    placeholder="${escapeHtml(param.in)}${param.required ? ' (required)' : ''}"></td>
+            </tr>`).join('');
+    const body = requestBody
+        ? `<textarea data-body>${escapeHtml(JSON.stringify(exampleFor(requestBody.content['application/json'].schema), null, 2))}</textarea>`
+        : '';
+    return `
+        <h4>Try it</h4>
+        <div class="try" id="try-${id}">
+            ${inputs ? `<table>${inputs}</table>` : ''}
+            ${body}
+            <button data-send="${id}">Send</button>
+            <div data-result></div>
+        </div>`;
+}
+
+function renderOperation(id, path, method, operation) {
+    const parameters = (operation.parameters || []).map(deref);
+    const schema = operation.requestBody && operation.requestBody.content['application/json'].schema;
+    return `
+        <details class="op" data-id="${id}">
+            <summary>
+                <span class="method ${method}">${method}</span>
+                <span class="path">${escapeHtml(path)}</span>
+                <span class="summary">${escapeHtml(operation.summary)}</span>
+                <span class="auth">${escapeHtml(describeSecurity(operation.security))}</span>
+            </summary>
+            <div class="body">
+                ${operation.description ? `<p>${escapeHtml(operation.description)}</p>` : ''}
+                <p>Auth: <code>${escapeHtml(describeSecurity(operation.security))}</code></p>
+                ${renderParameters(parameters)}
+                ${schema ? `<h4>Request body</h4><pre>${escapeHtml(JSON.stringify(expandSchema(schema), null, 2))}</pre>` : ''}
+                ${renderResponses(operation.responses)}
+                ${renderTryIt(id, parameters, operation.requestBody)}
+            </div>
+        </details>`;
+}
+
+// Send with every credential that has a value; the server picks the one the route accepts
+async function sendRequest(button) {
+    const { path, method } = operations[button.dataset.send];
+    const form = button.parentElement;
+    const result = form.querySelector('[data-result]');
+    let url = path;
+    const query = new URLSearchParams();
+    for (const input of form.querySelectorAll('[data-param]')) {
+        if (!input.value) continue;
+        if (input.dataset.in === 'path') {
+            url = url.replace(`{${input.dataset.param}}`, encodeURIComponent(input.value));
+        } else {
+            query.set(input.dataset.param, input.value);
+        }
+    }
+    if (query.toString()) url += '?' + query;
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (credentialInputs.apiKey.value) headers['X-Api-Key'] = credentialInputs.apiKey.value;
+    if (credentialInputs.ownerPassword.value) headers['X-Owner-Password'] = credentialInputs.ownerPassword.value;
+    if (credentialInputs.session.value) headers['Authorization'] = `Bearer ${credentialInputs.session.value}`;
+
+    const bodyInput = form.querySelector('[data-body]');
+    result.innerHTML = '<p>Sending…</p>';
+    try {
+        const response = await fetch(url, {
+            method: method.toUpperCase(),
+            headers,
+            body: bodyInput ? bodyInput.value : undefined
+        });
+        const text = response.headers.get('content-type')?.includes('event-stream')
+            ? '(event stream - open it with EventSource)'
+            : await response.text();
+        let pretty = text;
+        try { pretty = JSON.stringify(JSON.parse(text), null, 2); } catch (e) { /* not JSON */ }
+        result.innerHTML = `
+            <p class="${response.ok ? 'status-ok' : 'status-error'}">${method.toUpperCase()} ${escapeHtml(url)} → ${response.status}</p>
+            <pre>${escapeHtml(pretty)}</pre>`;
+    } catch (err) {
+        result.innerHTML = `<p class="status-error">${escapeHtml(err.message)}</p>`;
+    }
+}
+
+// Operations by render id, for the Send buttons
+const operations = [];
+
+function render() {
+    document.getElementById('intro').textContent = `${spec.info.title} ${spec.info.version}. ${spec.info.description}`;
+    const byTag = {};
+    for (const [path, methods] of Object.entries(spec.paths)) {
+        for (const [method, operation] of Object.entries(methods)) {
+            const tag = operation.tags[0];
+            (byTag[tag] = byTag[tag] || []).push({ path, method, operation });
+        }
+    }
+
+    document.getElementById('nav').innerHTML = Object.keys(byTag)
+        .map(tag => `<a href="#tag-${escapeHtml(tag)}">${escapeHtml(tag)}</a>`).join('');
+    document.getElementById('operations').innerHTML = Object.entries(byTag).map(([tag, entries]) => `
+        <h2 id="tag-${escapeHtml(tag)}">${escapeHtml(tag)}</h2>
+        ${entries.map(entry => {
+            operations.push(entry);
+            return renderOperation(operations.length - 1, entry.path, entry.method, entry.operation);
+        }).join('')}`).join('');
+}
+
+document.getElementById('operations').addEventListener('click', (event) => {
+    if (event.target.dataset.send !== undefined) {
+        sendRequest(event.target);
+    }
+});
+
+fetch('/api/openapi.json')
+    .then(response => {
+        if (!response.ok) throw new Error(`GET /api/openapi.json returned ${response.status}`);
+        return response.json();
+    })
+    .then(openApi => {
+        spec = openApi;
+        render();
+    })
+    .catch(err => {
+        document.getElementById('intro').textContent = `Could not load the API description: ${err.message}`;
+    });
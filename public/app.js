@@ -4,6 +4,11 @@ let currentView = 'all';
 let isSaving = false;
 let saveTimeout = null;
 let authTimeout = null;
+let currentBoard = localStorage.getItem('currentBoard') || 'default';
+let workflow = { statuses: [], transitions: {} };
+let eventSource = null;
+let editingTask = null;   // task as it was when the edit modal opened (its version goes in If-Match)
+let conflictTask = null;  // the newer version returned with a 412
 
 // Agent identity (can be set by external systems)
 let agentIdentity = {
@@ -16,14 +21,14 @@ let agentIdentity = {
 // Set current date in header
 document.getElementById('current-date').textContent = new Date().toLocaleDateString('en-US', { weekday: 'long', month: 'short', day: 'numeric' });
 
-// Centralized API fetch with auth header and agent identity
+// Centralized API fetch with session token and agent identity
 function apiFetch(url, options = {}) {
-    const password = localStorage.getItem('ownerPassword') || '';
+    const token = localStorage.getItem('sessionToken') || '';
     return fetch(url, {
         ...options,
         headers: {
             'Content-Type': 'application/json',
-            'x-owner-password': password,
+            'Authorization': `Bearer ${token}`,
             'x-agent-id': agentIdentity.agentId,
             'x-agent-role': agentIdentity.agentRole,
             ...(options.headers || {})
@@ -31,16 +36,274 @@ function apiFetch(url, options = {}) {
     });
 }
 
-// Test if password is valid
+// Test if the stored session is valid
 async function testAuth() {
     try {
-        const res = await apiFetch('/api/tasks');
+        const res = await apiFetch('/api/auth/me');
         return res.ok;
     } catch {
         return false;
     }
 }
 
+// Identity comes from the signed-in user's account
+function setCurrentUser(user) {
+    agentIdentity.agentId = user.username;
+    agentIdentity.agentRole = user.role;
+    localStorage.setItem('agentId', user.username);
+    localStorage.setItem('agentRole', user.role);
+    document.getElementById('current-user').textContent = `${user.display_name || user.username} (${user.role})`;
+}
+
+// Switch from the auth screen to the board
+async function showApp() {
+    document.getElementById('auth-screen').classList.add('hidden');
+    document.getElementById('app-screen').classList.remove('hidden');
+    await loadBoards();
+    await loadWorkflow();
+    loadTasks();
+    loadReminders();
+    connectEvents();
+}
+
+// Board-scoped API path for the current board
+function boardUrl(path) {
+    return `/api/boards/${encodeURIComponent(currentBoard)}${path}`;
+}
+
+// The current board's v2 task collection
+function tasksUrl(path = '') {
+    return `/api/v2/boards/${encodeURIComponent(currentBoard)}/tasks${path}`;
+}
+
+// Load the boards this user can open and restore the last one used
+async function loadBoards() {
+    const select = document.getElementById('board-select');
+    try {
+        const res = await apiFetch('/api/boards');
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const boards = await res.json();
+
+        if (boards.length && !boards.some(b => b.id === currentBoard)) {
+            currentBoard = boards[0].id;
+            localStorage.setItem('currentBoard', currentBoard);
+        }
+
+        select.innerHTML = boards.map(b =>
+            `<option value="${escapeHtml(b.id)}">${escapeHtml(b.name)}</option>`
+        ).join('');
+        select.value = currentBoard;
+        select.classList.toggle('hidden', boards.length <= 1);
+    } catch (err) {
+        console.error('Failed to load boards:', err);
+    }
+}
+
+// Load the current board's workflow - it drives the columns and status choices
+async function loadWorkflow() {
+    try {
+        const res = await apiFetch(boardUrl('/workflow'));
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        workflow = await res.json();
+    } catch (err) {
+        console.error('Failed to load workflow:', err);
+    }
+    populateStatusOptions();
+}
+
+// Fill the task modal's status select from the workflow (new tasks default to Backlog)
+function populateStatusOptions() {
+    const select = document.getElementById('task-status');
+    select.innerHTML = workflow.statuses.map(s =>
+        `<option value="${escapeHtml(s.name)}"${s.name === 'Backlog' ? ' selected' : ''}>${escapeHtml(s.name)}</option>`
+    ).join('');
+}
+
+// Terminal column of the workflow (counts as done for stats and reminders)
+function doneStatus() {
+    const statuses = workflow.statuses;
+    return statuses.length ? statuses[statuses.length - 1].name : 'Done';
+}
+
+// Switch board and remember it for next time
+async function switchBoard(boardId) {
+    currentBoard = boardId;
+    localStorage.setItem('currentBoard', boardId);
+    await loadWorkflow();
+    loadTasks();
+    loadReminders();
+    connectEvents();
+}
+
+// ============ Live Updates (SSE) ============
+
+// Subscribe to the current board's event stream; changes made by agents are
+// patched into `tasks` without a reload
+function connectEvents() {
+    disconnectEvents();
+    const token = localStorage.getItem('sessionToken') || '';
+    eventSource = new EventSource(`${boardUrl('/events')}?token=${encodeURIComponent(token)}`);
+
+    ['task.created', 'task.updated', 'task.transitioned', 'task.claimed'].forEach(type => {
+        eventSource.addEventListener(type, e => upsertTask(JSON.parse(e.data).data));
+    });
+
+    ['task.deleted', 'task.archived'].forEach(type => {
+        eventSource.addEventListener(type, e => {
+            const { id } = JSON.parse(e.data).data;
+            tasks = tasks.filter(t => t.id !== id);
+            refreshBoard();
+        });
+    });
+
+    // A task restored from the trash may still be archived
+    eventSource.addEventListener('task.restored', e => {
+        const task = JSON.parse(e.data).data;
+        if (!task.archived_at) upsertTask(task);
+    });
+
+    eventSource.addEventListener('comment.added', e => {
+        const comment = JSON.parse(e.data).data;
+        if (comment.agent_id === agentIdentity.agentId) return;
+        const task = tasks.find(t => t.id === comment.task_id);
+        showNotification(`💬 ${comment.agent_id} commented on "${task ? task.title : comment.task_id}"`);
+    });
+
+    // EventSource reconnects by itself; reload once it does in case we missed events
+    let dropped = false;
+    eventSource.onerror = () => { dropped = true; };
+    eventSource.onopen = () => {
+        if (dropped) {
+            dropped = false;
+            loadTasks();
+        }
+    };
+}
+
+function disconnectEvents() {
+    if (eventSource) {
+        eventSource.close();
+        eventSource = null;
+    }
+}
+
+// Replace a task in place (or add it), keep rank order like GET /tasks, and redraw
+function upsertTask(task) {
+    const index = tasks.findIndex(t => t.id === task.id);
+    if (index === -1) {
+        tasks.push(task);
+    } else {
+        tasks[index] = task;
+    }
+    tasks.sort((a, b) => a.rank - b.rank);
+    refreshBoard();
+}
+
+function refreshBoard() {
+    updateStats();
+    renderBoard();
+}
+
+// ============ Search ============
+
+let searchTimeout = null;
+let searchResults = [];
+let searchIndex = -1;
+
+// Debounced search as the user types
+function onSearchInput(value) {
+    clearTimeout(searchTimeout);
+    if (!value.trim()) {
+        hideSearchResults();
+        return;
+    }
+    searchTimeout = setTimeout(() => runSearch(value), 250);
+}
+
+async function runSearch(query) {
+    try {
+        const res = await apiFetch(boardUrl(`/search?q=${encodeURIComponent(query)}`));
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        searchResults = await res.json();
+        searchIndex = searchResults.length ? 0 : -1;
+        renderSearchResults();
+    } catch (err) {
+        console.error('Search error:', err);
+    }
+}
+
+// Snippets come back with <mark> around matches: escape everything, then restore only those tags
+function renderSnippet(text) {
+    return escapeHtml(text)
+        .replace(/&lt;mark&gt;/g, '<mark class="bg-yellow-200 rounded px-0.5">')
+        .replace(/&lt;\/mark&gt;/g, '</mark>');
+}
+
+function renderSearchResults() {
+    const panel = document.getElementById('search-results');
+    if (searchResults.length === 0) {
+        panel.innerHTML = '<div class="px-4 py-3 text-sm text-gray-500">No matches</div>';
+    } else {
+        panel.innerHTML = searchResults.map((result, i) => `
+            <button type="button" onmousedown="openSearchResult(${i})"
+                class="block w-full text-left px-4 py-2 border-b border-gray-100 last:border-0 ${i === searchIndex ? 'bg-indigo-50' : 'hover:bg-gray-50'}">
+                <div class="flex items-center justify-between gap-2">
+                    <span class="text-sm font-medium text-gray-900 truncate">${escapeHtml(result.title)}</span>
+                    <span class="text-xs text-gray-500 flex-shrink-0">${escapeHtml(result.status)}</span>
+                </div>
+                ${result.snippets.map(snippet => `
+                    <div class="text-xs text-gray-600 truncate">${snippet.source === 'comment' ? '💬 ' : ''}${renderSnippet(snippet.text)}</div>
+                `).join('')}
+            </button>
+        `).join('');
+    }
+    panel.classList.remove('hidden');
+}
+
+function hideSearchResults() {
+    document.getElementById('search-results').classList.add('hidden');
+    searchResults = [];
+    searchIndex = -1;
+}
+
+function openSearchResult(index) {
+    const result = searchResults[index];
+    if (!result) return;
+    const input = document.getElementById('search-input');
+    input.value = '';
+    input.blur();
+    hideSearchResults();
+    editTask(result.id);
+}
+
+// Arrow keys move through results, Enter opens, Escape clears
+function onSearchKeydown(e) {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        if (!searchResults.length) return;
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        searchIndex = (searchIndex + step + searchResults.length) % searchResults.length;
+        renderSearchResults();
+    } else if (e.key === 'Enter') {
+        e.preventDefault();
+        openSearchResult(searchIndex);
+    } else if (e.key === 'Escape') {
+        e.target.value = '';
+        e.target.blur();
+        hideSearchResults();
+    }
+}
+
+// "/" or Ctrl/Cmd+K focuses search from anywhere outside a form field
+document.addEventListener('keydown', e => {
+    const typing = ['INPUT', 'TEXTAREA', 'SELECT'].includes(document.activeElement.tagName);
+    const shortcut = (e.key === '/' && !typing) || (e.key === 'k' && (e.ctrlKey || e.metaKey));
+    if (shortcut && !document.getElementById('app-screen').classList.contains('hidden')) {
+        e.preventDefault();
+        document.getElementById('search-input').focus();
+    }
+});
+
 // Show auth error
 function showAuthError(msg) {
     const err = document.getElementById('auth-error');
@@ -54,17 +317,17 @@ function hideAuthError() {
     err.classList.add('hidden');
 }
 
-// Authenticate - use typed password directly, only save on success
+// Authenticate - exchange username/password for a session token
 async function authenticate() {
-    const password = document.getElementById('owner-password').value.trim();
+    const username = document.getElementById('login-username').value.trim();
+    const password = document.getElementById('login-password').value;
     const btn = document.querySelector('#auth-screen button');
     const originalText = btn.textContent;
     
-    console.log('Authenticate called with password:', password ? '***' : '(empty)');
     hideAuthError();
     
-    if (!password) {
-        showAuthError('Please enter a password');
+    if (!username || !password) {
+        showAuthError('Please enter your username and password');
         return;
     }
     
@@ -80,12 +343,10 @@ async function authenticate() {
     }, 10000);
     
     try {
-        // Test password with DIRECT fetch (not apiFetch, which uses empty localStorage)
-        const res = await fetch('/api/tasks', {
-            headers: {
-                'Content-Type': 'application/json',
-                'x-owner-password': password
-            }
+        const res = await fetch('/api/auth/login', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username, password })
         });
         
         if (authTimeout) {
@@ -94,19 +355,17 @@ async function authenticate() {
         }
         
         console.log('Auth response status:', res.status);
+        btn.textContent = originalText;
+        btn.disabled = false;
         
         if (res.ok) {
-            // Password valid - save and proceed
-            localStorage.setItem('ownerPassword', password);
-            document.getElementById('auth-screen').classList.add('hidden');
-            document.getElementById('app-screen').classList.remove('hidden');
-            loadTasks();
-            loadReminders();
+            const data = await res.json();
+            localStorage.setItem('sessionToken', data.token);
+            document.getElementById('login-password').value = '';
+            setCurrentUser(data.user);
+            showApp();
         } else {
-            // Password invalid - don't clear stored password, just show error
-            btn.textContent = originalText;
-            btn.disabled = false;
-            showAuthError('Incorrect password');
+            showAuthError('Incorrect username or password');
         }
     } catch (err) {
         if (authTimeout) {
@@ -120,48 +379,31 @@ async function authenticate() {
     }
 }
 
-// Check stored password on page load
+// Check stored session on page load
 async function checkStoredAuth() {
-    const storedPassword = localStorage.getItem('ownerPassword');
-    if (!storedPassword) return false;
-    
-    console.log('Testing stored password...');
+    // Passwords are no longer kept in the browser
+    localStorage.removeItem('ownerPassword');
+
+    const storedToken = localStorage.getItem('sessionToken');
+    if (!storedToken) return false;
     
-    // Set timeout
-    authTimeout = setTimeout(() => {
-        console.log('Auth check timeout');
-        localStorage.removeItem('ownerPassword');
-        return false;
-    }, 10000);
+    console.log('Testing stored session...');
     
     try {
-        const res = await apiFetch('/api/tasks');
-        
-        if (authTimeout) {
-            clearTimeout(authTimeout);
-            authTimeout = null;
-        }
+        const res = await apiFetch('/api/auth/me');
         
         if (res.ok) {
-            console.log('Stored password valid');
-            document.getElementById('owner-password').value = storedPassword;
-            document.getElementById('auth-screen').classList.add('hidden');
-            document.getElementById('app-screen').classList.remove('hidden');
-            loadTasks();
-            loadReminders();
+            console.log('Stored session valid');
+            setCurrentUser(await res.json());
+            showApp();
             return true;
         } else {
-            console.log('Stored password invalid');
-            localStorage.removeItem('ownerPassword');
+            console.log('Stored session expired');
+            localStorage.removeItem('sessionToken');
             return false;
         }
     } catch (err) {
-        if (authTimeout) {
-            clearTimeout(authTimeout);
-            authTimeout = null;
-        }
         console.error('Auth check failed:', err);
-        localStorage.removeItem('ownerPassword');
         return false;
     }
 }
@@ -176,7 +418,7 @@ function loadTasks() {
         legacyPillPresent: !!document.getElementById('global-task-pill')
     });
 
-    apiFetch('/api/tasks')
+    apiFetch(tasksUrl())
     .then(res => {
         if (!res.ok) {
             if (res.status === 401) {
@@ -235,12 +477,21 @@ function loadTasks() {
     });
 }
 
+// Sign out - invalidate the session on the server, then log out locally
+function signOut() {
+    apiFetch('/api/auth/logout', { method: 'POST' })
+    .catch(err => console.error('Sign out error:', err))
+    .finally(() => logout());
+}
+
 // Force logout
 function logout() {
-    localStorage.removeItem('ownerPassword');
+    disconnectEvents();
+    localStorage.removeItem('sessionToken');
     document.getElementById('auth-screen').classList.remove('hidden');
     document.getElementById('app-screen').classList.add('hidden');
-    document.getElementById('owner-password').value = '';
+    document.getElementById('login-password').value = '';
+    document.getElementById('current-user').textContent = '';
     hideAuthError();
     tasks = [];
     updateStats();
@@ -257,9 +508,9 @@ function getFilteredTasks() {
 function updateStats() {
     const filteredTasks = getFilteredTasks();
     const total = filteredTasks.length;
-    const done = filteredTasks.filter(t => t.status === 'Done').length;
+    const done = filteredTasks.filter(t => t.status === doneStatus()).length;
     const overdue = filteredTasks.filter(t => {
-        if (!t.due_date || t.status === 'Done') return false;
+        if (!t.due_date || t.status === doneStatus()) return false;
         return new Date(t.due_date) < new Date();
     }).length;
 
@@ -316,17 +567,45 @@ function isMyTask(task) {
            assignee === userId;
 }
 
+// Column header count, with count/limit and over-limit state when the status has a WIP limit.
+// Limits apply to every task in the column, not just the current view.
+function getWipBadge(col, allColTasks, colTasks) {
+    if (!col.wipLimit) {
+        return { label: `${colTasks.length}`, title: '', over: false };
+    }
+
+    if (col.wipScope === 'owner_agent') {
+        const perOwner = {};
+        allColTasks.forEach(t => {
+            if (t.owner_agent) perOwner[t.owner_agent] = (perOwner[t.owner_agent] || 0) + 1;
+        });
+        const overOwners = Object.keys(perOwner).filter(owner => perOwner[owner] > col.wipLimit);
+        return {
+            label: `${colTasks.length} · ${col.wipLimit}/agent`,
+            title: overOwners.length
+                ? `Over WIP limit: ${escapeHtml(overOwners.join(', '))}`
+                : `WIP limit: ${col.wipLimit} per agent`,
+            over: overOwners.length > 0
+        };
+    }
+
+    return {
+        label: `${allColTasks.length}/${col.wipLimit}`,
+        title: `WIP limit: ${col.wipLimit}`,
+        over: allColTasks.length > col.wipLimit
+    };
+}
+
 // Render board
 function renderBoard() {
     const board = document.getElementById('board');
     board.innerHTML = '';
-    const columns = [
-        { id: 'Backlog', emoji: '🗂' },
-        { id: 'To Do', emoji: '📝' },
-        { id: 'Ongoing', emoji: '🚧' },
-        { id: 'Review', emoji: '👀' },
-        { id: 'Done', emoji: '✅' }
-    ];
+    const columns = workflow.statuses.map(s => ({
+        id: s.name,
+        emoji: s.emoji || '',
+        wipLimit: s.wip_limit || null,
+        wipScope: s.wip_limit_scope || 'global'
+    }));
 
     // Single source of truth: filter from current tasks state (API-derived)
     const isMyTasksView = currentView === 'my';
@@ -380,14 +659,16 @@ function renderBoard() {
             ? allColTasks.filter(t => isMyTask(t))
             : allColTasks;
 
+        const wip = getWipBadge(col, allColTasks, colTasks);
+
         const colDiv = document.createElement('div');
-        colDiv.className = 'kanban-column rounded-xl p-3 flex flex-col h-full';
+        colDiv.className = `kanban-column rounded-xl p-3 flex flex-col h-full${wip.over ? ' wip-over' : ''}`;
         colDiv.innerHTML = `
             <div class="flex items-center justify-between mb-3 flex-shrink-0">
-                <h2 class="font-semibold text-gray-700 text-sm uppercase tracking-wide flex items-center gap-1.5">${col.emoji} ${col.id}</h2>
-                <span class="px-2 py-0.5 bg-white/50 text-gray-600 text-xs rounded-full font-medium">${colTasks.length}</span>
+                <h2 class="font-semibold text-gray-700 text-sm uppercase tracking-wide flex items-center gap-1.5">${escapeHtml(col.emoji)} ${escapeHtml(col.id)}</h2>
+                <span class="px-2 py-0.5 ${wip.over ? 'bg-red-100 text-red-700' : 'bg-white/50 text-gray-600'} text-xs rounded-full font-medium" title="${wip.title}">${wip.label}</span>
             </div>
-            <div class="space-y-2 column flex-1 overflow-y-auto" data-status="${col.id}"></div>
+            <div class="space-y-2 column flex-1 overflow-y-auto" data-status="${escapeHtml(col.id)}"></div>
         `;
 
         const taskList = colDiv.querySelector('.column');
@@ -402,7 +683,7 @@ function renderBoard() {
             e.preventDefault();
             taskList.classList.remove('drag-over');
             const taskId = e.dataTransfer.getData('text/plain');
-            moveTask(taskId, col.id);
+            moveTask(taskId, col.id, getDropPlacement(taskList, e.clientY, taskId));
         });
 
         // Render tasks from the same filtered array used for counter
@@ -452,8 +733,9 @@ function createTaskCard(task) {
     const card = document.createElement('div');
     card.className = 'task-card bg-white rounded-lg p-3 cursor-grab shadow-sm border border-gray-200';
     card.draggable = true;
+    card.dataset.id = task.id;
 
-    const isOverdue = task.due_date && new Date(task.due_date) < new Date() && task.status !== 'Done';
+    const isOverdue = task.due_date && new Date(task.due_date) < new Date() && task.status !== doneStatus();
     const priorityColors = {
         'High': 'bg-red-100 text-red-700',
         'Medium': 'bg-amber-100 text-amber-700',
@@ -486,12 +768,26 @@ function createTaskCard(task) {
         metadataHtml.push(`<span class="text-xs text-gray-500">📦 ${escapeHtml(task.repo)}</span>`);
     }
 
+    // Label chips, tinted with the board's label colour
+    const labelsHtml = (task.labels || []).map(label =>
+        `<span class="label-chip text-xs px-2 py-0.5 rounded-full text-white" style="background-color: ${escapeHtml(label.color || '#6b7280')}">${escapeHtml(label.name)}</span>`
+    ).join('');
+
     // Claim button (only for agents on unassigned tasks)
     const isAgent = agentIdentity.agentRole === 'agent' || agentIdentity.agentRole === 'founder';
     const claimButtonHtml = (isUnassigned && isAgent)
         ? `<button onclick="claimTask('${task.id}')" class="claim-btn flex-1 py-1 text-xs text-indigo-600 hover:text-white hover:bg-indigo-600 rounded transition" title="Claim this task">Claim</button>`
         : '';
 
+    // Finished cards can be archived off the board
+    const archiveButtonHtml = task.status === doneStatus()
+        ? `<button onclick="archiveTask('${task.id}')" class="flex-1 py-1 text-xs text-gray-500 hover:text-indigo-600 hover:bg-indigo-50 rounded transition" title="Archive">
+                <svg class="w-3.5 h-3.5 mx-auto" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M5 8h14M5 8a2 2 0 110-4h14a2 2 0 110 4M5 8v10a2 2 0 002 2h10a2 2 0 002-2V8m-9 4h4"></path>
+                </svg>
+            </button>`
+        : '';
+
     card.innerHTML = `
         <div class="flex items-start justify-between gap-2 mb-2">
             <h3 class="font-medium text-gray-900 text-sm leading-tight">${escapeHtml(task.title)}</h3>
@@ -499,6 +795,7 @@ function createTaskCard(task) {
         </div>
         ${task.description ? `<p class="text-xs text-gray-500 mb-2">${escapeHtml(task.description)}</p>` : ''}
         ${metadataHtml.length ? `<div class="flex gap-2 mb-2">${metadataHtml.join('')}</div>` : ''}
+        ${labelsHtml ? `<div class="flex flex-wrap gap-1 mb-2">${labelsHtml}</div>` : ''}
         <div class="flex items-center justify-between text-xs mt-auto pt-2 border-t border-gray-100 flex-shrink-0">
             <span class="flex items-center gap-1 text-gray-500">
                 <svg class="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -520,7 +817,8 @@ function createTaskCard(task) {
                     <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z"></path>
                 </svg>
             </button>
-            <button onclick="deleteTask('${task.id}')" class="flex-1 py-1 text-xs text-gray-500 hover:text-red-600 hover:bg-red-50 rounded transition" title="Delete">
+            ${archiveButtonHtml}
+            <button onclick="deleteTask('${task.id}')" class="flex-1 py-1 text-xs text-gray-500 hover:text-red-600 hover:bg-red-50 rounded transition" title="Move to trash">
                 <svg class="w-3.5 h-3.5 mx-auto" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                     <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"></path>
                 </svg>
@@ -539,35 +837,68 @@ function createTaskCard(task) {
     return card;
 }
 
-// Move task
-function moveTask(taskId, newStatus) {
+// Where a dragged card lands in a column: before the first card whose middle
+// is below the pointer, otherwise after the last card (null for an empty column)
+function getDropPlacement(taskList, clientY, draggedId) {
+    const cards = [...taskList.querySelectorAll('.task-card')].filter(c => c.dataset.id !== draggedId);
+    const next = cards.find(c => {
+        const box = c.getBoundingClientRect();
+        return clientY < box.top + box.height / 2;
+    });
+    if (next) return { before: next.dataset.id };
+    if (cards.length) return { after: cards[cards.length - 1].dataset.id };
+    return null;
+}
+
+// Move task to a column and, when dropped next to another card, to that spot
+async function moveTask(taskId, newStatus, placement = null) {
     const task = tasks.find(t => t.id === taskId);
-    if (!task || task.status === newStatus) return;
+    if (!task) return;
+    if (task.status === newStatus && !placement) return;
 
-    apiFetch(`/api/tasks/${taskId}`, {
-        method: 'PUT',
-        body: JSON.stringify({ status: newStatus })
-    })
-    .then(res => {
-        if (!res.ok) {
-            if (res.status === 401) {
-                logout();
-                return;
-            }
-            if (res.status === 403) {
-                // Transition denied - show the reason
-                return res.json().then(errData => {
+    try {
+        let moveActivityId = null;
+        if (task.status !== newStatus) {
+            const res = await apiFetch(`/api/v2/tasks/${taskId}`, {
+                method: 'PATCH',
+                body: JSON.stringify({ status: newStatus })
+            });
+            if (!res.ok) {
+                if (res.status === 401) {
+                    logout();
+                    return;
+                }
+                if (res.status === 403 || res.status === 409) {
+                    // Transition denied or WIP limit reached - show the reason
+                    const errData = await res.json();
                     throw new Error(errData.reason || 'Transition denied by safety gates');
-                });
+                }
+                throw new Error('Failed to move task');
+            }
+            moveActivityId = (await res.json()).activity_id;
+        }
+
+        if (placement) {
+            const res = await apiFetch(`/api/v2/tasks/${taskId}/reorder`, {
+                method: 'POST',
+                body: JSON.stringify(placement)
+            });
+            if (!res.ok) {
+                if (res.status === 401) {
+                    logout();
+                    return;
+                }
+                throw new Error('Failed to reorder task');
             }
-            throw new Error('Failed to move task');
         }
         loadTasks();
-    })
-    .catch(err => {
+        if (moveActivityId) {
+            showNotification(`Moved to ${newStatus}`, moveActivityId);
+        }
+    } catch (err) {
         console.error('Move task error:', err);
         showNotification('Error: ' + err.message);
-    });
+    }
 }
 
 // Claim task
@@ -582,7 +913,7 @@ function claimTask(taskId) {
 
     if (!confirm(`Claim task "${task.title}"? You will become the owner.`)) return;
 
-    apiFetch(`/api/tasks/${taskId}/claim`, {
+    apiFetch(`/api/v2/tasks/${taskId}/claim`, {
         method: 'POST'
     })
     .then(res => {
@@ -591,7 +922,7 @@ function claimTask(taskId) {
                 logout();
                 return;
             }
-            if (res.status === 403) {
+            if (res.status === 403 || res.status === 409) {
                 return res.json().then(data => {
                     throw new Error(data.reason || 'Claim denied');
                 });
@@ -605,7 +936,7 @@ function claimTask(taskId) {
             console.log('Claim success:', data);
             loadTasks();
             loadReminders();
-            showNotification('Task claimed!');
+            showNotification('Task claimed!', data.activity_id);
         }
     })
     .catch(err => {
@@ -617,9 +948,13 @@ function claimTask(taskId) {
 // Add/Edit Task
 async function showAddTask() {
     resetFormState();
+    editingTask = null;
+    hideConflict();
     document.getElementById('modal-title').textContent = 'Add Task';
     document.getElementById('task-form').reset();
     document.getElementById('task-id').value = '';
+    document.getElementById('task-tabs').classList.add('hidden');
+    switchTaskTab('details');
     await populateOwnerAgentDropdown('');
     document.getElementById('task-modal').classList.remove('hidden');
 }
@@ -629,6 +964,8 @@ async function editTask(id) {
     if (!task) return;
 
     resetFormState();
+    editingTask = { ...task };
+    hideConflict();
     document.getElementById('modal-title').textContent = 'Edit Task';
     document.getElementById('task-id').value = task.id;
     document.getElementById('task-title').value = task.title;
@@ -652,6 +989,11 @@ async function editTask(id) {
     const repoEl = document.getElementById('task-repo');
     if (repoEl) repoEl.value = task.repo || '';
 
+    const labelsEl = document.getElementById('task-labels');
+    if (labelsEl) labelsEl.value = (task.labels || []).map(l => l.name).join(', ');
+
+    document.getElementById('task-tabs').classList.remove('hidden');
+    switchTaskTab('details');
     document.getElementById('task-modal').classList.remove('hidden');
 }
 
@@ -772,6 +1114,7 @@ function saveTask(e) {
     const ownerAgentEl = document.getElementById('task-owner-agent');
     const branchEl = document.getElementById('task-branch');
     const repoEl = document.getElementById('task-repo');
+    const labelsEl = document.getElementById('task-labels');
 
     const taskData = {
         title: document.getElementById('task-title').value.trim(),
@@ -782,7 +1125,8 @@ function saveTask(e) {
         status: document.getElementById('task-status').value,
         due_date: (dueEl && dueEl.value) ? dueEl.value : null,
         branch: branchEl ? branchEl.value.trim() : '',
-        repo: repoEl ? repoEl.value.trim() : ''
+        repo: repoEl ? repoEl.value.trim() : '',
+        labels: labelsEl ? labelsEl.value.split(',').map(name => name.trim()).filter(Boolean) : []
     };
 
     // Auto-populate agent identity for new tasks if owner is Unassigned and user is an agent
@@ -803,8 +1147,8 @@ function saveTask(e) {
         return false;
     }
 
-    const method = id ? 'PUT' : 'POST';
-    const endpoint = id ? `/api/tasks/${id}` : '/api/tasks';
+    const method = id ? 'PATCH' : 'POST';
+    const endpoint = id ? `/api/v2/tasks/${id}` : tasksUrl();
 
     // 10-second timeout as escape hatch
     saveTimeout = setTimeout(() => {
@@ -813,8 +1157,12 @@ function saveTask(e) {
         resetFormState();
     }, 10000);
 
+    // Edits are conditional on the version we loaded, so we never overwrite someone else's change
+    const headers = (id && editingTask) ? { 'If-Match': `"${editingTask.version}"` } : {};
+
     apiFetch(endpoint, {
         method,
+        headers,
         body: JSON.stringify(taskData)
     })
     .then(res => {
@@ -828,10 +1176,24 @@ function saveTask(e) {
             return;
         }
 
-        if (res.status === 403) {
-            // Transition denied - show the reason
+        if (res.status === 412) {
+            return res.json().then(errData => {
+                showConflict(errData.task);
+                return null;
+            });
+        }
+
+        if (res.status === 403 || res.status === 409) {
+            // Transition denied or WIP limit reached - show the reason
             return res.json().then(errData => {
-                throw new Error(`Transition denied: ${errData.reason || 'Unknown reason'}`);
+                throw new Error(`${errData.error || 'Transition denied'}: ${errData.reason || 'Unknown reason'}`);
+            });
+        }
+
+        if (res.status === 400) {
+            return res.json().then(errData => {
+                const fields = Object.entries(errData.fields || {}).map(([field, message]) => `${field} ${message}`);
+                throw new Error(fields.join('; ') || errData.error);
             });
         }
 
@@ -846,7 +1208,8 @@ function saveTask(e) {
             closeModal();
             loadTasks();
             loadReminders();
-            showNotification('Task saved!');
+            // Edits can be undone; new tasks are simply deleted
+            showNotification('Task saved!', id ? data.activity_id : null);
         }
     })
     .catch(err => {
@@ -865,23 +1228,230 @@ function saveTask(e) {
     return false;
 }
 
+// ============ Edit Conflicts ============
+
+const CONFLICT_FIELDS = [
+    ['title', 'Title'], ['description', 'Description'], ['assignee', 'Assignee'],
+    ['owner_agent', 'Owner'], ['priority', 'Priority'], ['status', 'Status'],
+    ['due_date', 'Due date'], ['branch', 'Branch'], ['repo', 'Repository']
+];
+
+function labelNames(task) {
+    return (task.labels || []).map(l => l.name).join(', ');
+}
+
+// Show which fields changed since the modal opened, and let the user pick a side
+function showConflict(current) {
+    if (!current) {
+        alert('This task was deleted while you were editing it.');
+        return;
+    }
+    conflictTask = current;
+    const rows = CONFLICT_FIELDS
+        .filter(([key]) => (editingTask[key] || '') !== (current[key] || ''))
+        .map(([key, label]) => [label, editingTask[key], current[key]]);
+    if (labelNames(editingTask) !== labelNames(current)) {
+        rows.push(['Labels', labelNames(editingTask), labelNames(current)]);
+    }
+
+    const banner = document.getElementById('conflict-banner');
+    banner.innerHTML = `
+        <p class="font-medium mb-2">Someone else changed this task while you were editing:</p>
+        <ul class="space-y-1 mb-3">
+            ${rows.map(([label, before, after]) => `
+                <li><span class="font-medium">${escapeHtml(label)}:</span>
+                    <span class="line-through text-amber-700">${escapeHtml(String(before || '—'))}</span>
+                    → ${escapeHtml(String(after || '—'))}</li>`).join('') || '<li>Ownership or status details changed.</li>'}
+        </ul>
+        <div class="flex gap-2">
+            <button type="button" onclick="loadTheirVersion()" class="px-3 py-1.5 bg-white border border-amber-300 rounded-lg hover:bg-amber-100 transition">Load their version</button>
+            <button type="button" onclick="saveMineAnyway()" class="px-3 py-1.5 bg-amber-600 text-white rounded-lg hover:bg-amber-700 transition">Keep my edits</button>
+        </div>
+    `;
+    banner.classList.remove('hidden');
+}
+
+function hideConflict() {
+    conflictTask = null;
+    const banner = document.getElementById('conflict-banner');
+    banner.classList.add('hidden');
+    banner.innerHTML = '';
+}
+
+// Discard my edits and reopen the modal on the latest version
+function loadTheirVersion() {
+    upsertTask(conflictTask);
+    editTask(conflictTask.id);
+}
+
+// Save my form over the latest version (If-Match now names it)
+function saveMineAnyway() {
+    editingTask = { ...conflictTask };
+    hideConflict();
+    document.getElementById('task-form').requestSubmit();
+}
+
 function deleteTask(id) {
-    if (!confirm('Delete this task?')) return;
+    if (!confirm('Move this task to the trash?')) return;
     
-    apiFetch(`/api/tasks/${id}`, { method: 'DELETE' })
+    apiFetch(`/api/v2/tasks/${id}`, { method: 'DELETE' })
     .then(res => {
         if (res.status === 401) {
             logout();
             return;
         }
         if (!res.ok) {
-            throw new Error('Failed to delete');
+            return res.json().then(errData => {
+                throw new Error(errData.reason || errData.error || 'Failed to delete');
+            });
         }
-        loadTasks();
-        loadReminders();
+        return res.json().then(data => {
+            loadTasks();
+            loadReminders();
+            showNotification('Moved to trash', data.activity_id);
+        });
     })
     .catch(err => {
         console.error('Delete error:', err);
+        showNotification('Error deleting task: ' + err.message);
+    });
+}
+
+// ============ Trash & Archive ============
+
+let shelfView = 'archive';
+
+function archiveTask(id) {
+    apiFetch(`/api/v2/tasks/${id}/archive`, { method: 'POST' })
+    .then(res => {
+        if (res.status === 401) {
+            logout();
+            return;
+        }
+        if (!res.ok) {
+            return res.json().then(errData => {
+                throw new Error(errData.reason || errData.error);
+            });
+        }
+        tasks = tasks.filter(t => t.id !== id);
+        refreshBoard();
+        showNotification('Task archived');
+    })
+    .catch(err => {
+        console.error('Archive error:', err);
+        showNotification('Error archiving task: ' + err.message);
+    });
+}
+
+function toggleShelf() {
+    const modal = document.getElementById('shelf-modal');
+    if (modal.classList.contains('hidden')) {
+        switchShelf(shelfView);
+        modal.classList.remove('hidden');
+    } else {
+        modal.classList.add('hidden');
+    }
+}
+
+function switchShelf(view) {
+    shelfView = view;
+    for (const [id, active] of [['shelf-tab-archive', view === 'archive'], ['shelf-tab-trash', view === 'trash']]) {
+        const btn = document.getElementById(id);
+        btn.classList.toggle('bg-white', active);
+        btn.classList.toggle('text-gray-900', active);
+        btn.classList.toggle('shadow-sm', active);
+        btn.classList.toggle('text-gray-500', !active);
+    }
+    loadShelf();
+}
+
+// Archive: GET /tasks?archived=true; Trash: GET /trash (with purge dates)
+function loadShelf() {
+    const list = document.getElementById('shelf-list');
+    const url = shelfView === 'trash' ? boardUrl('/trash') : tasksUrl('?archived=true');
+    apiFetch(url)
+    .then(res => {
+        if (res.status === 401) {
+            logout();
+            return null;
+        }
+        if (!res.ok) throw new Error('Failed to load ' + shelfView);
+        return res.json();
+    })
+    .then(data => {
+        if (!data) return;
+        const items = shelfView === 'trash' ? data.tasks : data;
+        const note = document.getElementById('shelf-note');
+        note.textContent = shelfView === 'trash'
+            ? `Deleted tasks are kept for ${data.retention_days} days, then purged for good.`
+            : 'Archived tasks are hidden from the board and task lists.';
+        if (items.length === 0) {
+            list.innerHTML = `<p class="text-gray-500 text-center py-8">${shelfView === 'trash' ? 'Trash is empty.' : 'Nothing archived yet.'}</p>`;
+            return;
+        }
+        const isFounder = agentIdentity.agentRole === 'founder';
+        list.innerHTML = items.map(task => {
+            const when = shelfView === 'trash'
+                ? `Deleted ${new Date(task.deleted_at).toLocaleString()}${task.deleted_by ? ` by ${escapeHtml(task.deleted_by)}` : ''} · purged ${new Date(task.purge_at).toLocaleDateString()}`
+                : `Archived ${new Date(task.archived_at).toLocaleString()}${task.archived_by ? ` by ${escapeHtml(task.archived_by)}` : ''}`;
+            const purgeButton = shelfView === 'trash' && isFounder
+                ? `<button onclick="purgeTask('${task.id}')" class="px-3 py-1 text-xs text-red-600 hover:bg-red-50 rounded-lg transition">Delete forever</button>`
+                : '';
+            return `
+                <div class="flex items-center gap-3 p-3 bg-gray-50 rounded-lg">
+                    <div class="flex-1 min-w-0">
+                        <p class="text-sm text-gray-900 truncate">${escapeHtml(task.title)}</p>
+                        <p class="text-xs text-gray-500 mt-0.5">${escapeHtml(task.status)} · ${when}</p>
+                    </div>
+                    <button onclick="restoreTask('${task.id}')" class="px-3 py-1 text-xs text-indigo-600 hover:bg-indigo-50 rounded-lg transition">Restore</button>
+                    ${purgeButton}
+                </div>
+            `;
+        }).join('');
+    })
+    .catch(err => {
+        console.error('Shelf error:', err);
+        list.innerHTML = '<p class="text-red-500 text-center py-8">Could not load this list.</p>';
+    });
+}
+
+function restoreTask(id) {
+    const url = shelfView === 'trash' ? `/api/trash/${id}/restore` : `/api/v2/tasks/${id}/unarchive`;
+    apiFetch(url, { method: 'POST' })
+    .then(res => {
+        if (res.status === 401) {
+            logout();
+            return;
+        }
+        if (!res.ok) {
+            return res.json().then(errData => {
+                throw new Error(errData.reason || errData.error || 'Failed to restore');
+            });
+        }
+        loadShelf();
+        loadTasks();
+        showNotification('Task restored');
+    })
+    .catch(err => {
+        console.error('Restore error:', err);
+        showNotification('Error restoring task: ' + err.message);
+    });
+}
+
+function purgeTask(id) {
+    if (!confirm('Permanently delete this task and its comments? This cannot be undone.')) return;
+
+    apiFetch(`/api/trash/${id}`, { method: 'DELETE' })
+    .then(res => {
+        if (res.status === 401) {
+            logout();
+            return;
+        }
+        if (!res.ok) throw new Error('Failed to delete');
+        loadShelf();
+    })
+    .catch(err => {
+        console.error('Purge error:', err);
         showNotification('Error deleting task');
     });
 }
@@ -890,6 +1460,7 @@ function closeModal() {
     resetFormState();
     document.getElementById('task-modal').classList.add('hidden');
     document.getElementById('activity-modal').classList.add('hidden');
+    document.getElementById('shelf-modal').classList.add('hidden');
     document.getElementById('task-form').reset();
     document.getElementById('task-id').value = '';
     
@@ -913,6 +1484,79 @@ function resetFormState() {
     inputs.forEach(input => input.disabled = false);
 }
 
+// ============ Task Timeline ============
+
+function switchTaskTab(tab) {
+    const showTimeline = tab === 'timeline';
+    document.getElementById('task-details').classList.toggle('hidden', showTimeline);
+    document.getElementById('task-timeline').classList.toggle('hidden', !showTimeline);
+    for (const [id, active] of [['tab-details', !showTimeline], ['tab-timeline', showTimeline]]) {
+        const btn = document.getElementById(id);
+        btn.classList.toggle('border-indigo-600', active);
+        btn.classList.toggle('text-indigo-600', active);
+        btn.classList.toggle('border-transparent', !active);
+        btn.classList.toggle('text-gray-500', !active);
+    }
+    if (showTimeline) {
+        loadTaskTimeline(document.getElementById('task-id').value);
+    }
+}
+
+function formatHistoryValue(value) {
+    if (Array.isArray(value)) return value.join(', ') || 'none';
+    return value === null || value === '' ? 'none' : String(value);
+}
+
+// One line of text per timeline entry
+function describeTimelineEntry(entry) {
+    switch (entry.type) {
+        case 'change':
+            return `changed ${entry.field}: ${formatHistoryValue(entry.from)} → ${formatHistoryValue(entry.to)}`;
+        case 'transition':
+            return entry.allowed
+                ? `moved ${entry.from_status} → ${entry.to_status}`
+                : `was denied ${entry.from_status} → ${entry.to_status}: ${entry.denial_reason || 'no reason given'}`;
+        case 'comment':
+            return `commented: ${entry.content}`;
+        default:
+            return entry.details || entry.type;
+    }
+}
+
+function loadTaskTimeline(taskId) {
+    const list = document.getElementById('task-timeline');
+    list.innerHTML = '<p class="text-gray-500 text-center py-8">Loading…</p>';
+    apiFetch(`/api/v2/tasks/${taskId}/history`)
+    .then(res => {
+        if (res.status === 401) {
+            logout();
+            return null;
+        }
+        if (!res.ok) throw new Error('Failed to load history');
+        return res.json();
+    })
+    .then(history => {
+        if (!history) return;
+        if (history.timeline.length === 0) {
+            list.innerHTML = '<p class="text-gray-500 text-center py-8">No history yet.</p>';
+            return;
+        }
+        list.innerHTML = history.timeline.map(entry => `
+            <div class="flex items-start gap-3">
+                <div class="w-2 h-2 mt-1.5 rounded-full flex-shrink-0 ${entry.type === 'transition' && !entry.allowed ? 'bg-red-400' : entry.type === 'comment' ? 'bg-amber-400' : 'bg-indigo-400'}"></div>
+                <div class="flex-1 min-w-0">
+                    <p class="text-sm text-gray-900 break-words"><span class="font-medium">${escapeHtml(entry.agent_id || 'system')}</span> ${escapeHtml(describeTimelineEntry(entry))}</p>
+                    <p class="text-xs text-gray-500 mt-0.5">${new Date(entry.created_at).toLocaleString()}</p>
+                </div>
+            </div>
+        `).join('');
+    })
+    .catch(err => {
+        console.error('Timeline error:', err);
+        list.innerHTML = '<p class="text-red-500 text-center py-8">Could not load history.</p>';
+    });
+}
+
 // Activity Log
 function toggleActivityLog() {
     const modal = document.getElementById('activity-modal');
@@ -925,7 +1569,7 @@ function toggleActivityLog() {
 }
 
 function loadActivityLog() {
-    apiFetch('/api/activity?limit=100')
+    apiFetch(boardUrl('/activity?limit=100'))
     .then(res => {
         if (res.status === 401) {
             logout();
@@ -940,6 +1584,8 @@ function loadActivityLog() {
             list.innerHTML = '<p class="text-gray-500 text-center py-8">No activity yet.</p>';
             return;
         }
+        // Founders can revert anyone's change from here
+        const canRevert = agentIdentity.agentRole === 'founder';
         list.innerHTML = logs.map(log => `
             <div class="flex items-start gap-3 p-3 bg-gray-50 rounded-lg">
                 <div class="w-8 h-8 bg-indigo-100 rounded-full flex items-center justify-center flex-shrink-0">
@@ -949,8 +1595,11 @@ function loadActivityLog() {
                 </div>
                 <div class="flex-1 min-w-0">
                     <p class="text-sm text-gray-900">${escapeHtml(log.details || log.action)}</p>
-                    <p class="text-xs text-gray-500 mt-0.5">${new Date(log.created_at).toLocaleString()}</p>
+                    <p class="text-xs text-gray-500 mt-0.5">${escapeHtml(log.agent_id || 'system')} · ${new Date(log.created_at).toLocaleString()}${log.reverted_at ? ` · reverted by ${escapeHtml(log.reverted_by || 'unknown')}` : ''}</p>
                 </div>
+                ${canRevert && log.revertible
+                    ? `<button onclick="revertActivity(${Number(log.id)})" class="px-2 py-1 text-xs text-indigo-600 hover:bg-indigo-50 rounded-lg transition flex-shrink-0">Revert</button>`
+                    : ''}
             </div>
         `).join('');
     })
@@ -961,7 +1610,7 @@ function loadActivityLog() {
 
 // Reminders
 function loadReminders() {
-    apiFetch('/api/reminders')
+    apiFetch(boardUrl('/reminders'))
     .then(res => {
         if (res.status === 401) {
             logout();
@@ -975,7 +1624,7 @@ function loadReminders() {
         const list = document.getElementById('reminders-list');
         
         const upcoming = reminders.filter(t => {
-            if (!t.due_date || t.status === 'Done') return false;
+            if (!t.due_date || t.status === doneStatus()) return false;
             const due = new Date(t.due_date);
             const now = new Date();
             const daysUntil = (due - now) / (1000 * 60 * 60 * 24);
@@ -1011,13 +1660,53 @@ function escapeHtml(text) {
     return div.innerHTML;
 }
 
-// Notification
-function showNotification(message) {
+// Notification; pass the activity id of a change to offer Undo
+function showNotification(message, undoActivityId = null) {
     const notif = document.createElement('div');
-    notif.className = 'fixed bottom-4 right-4 bg-green-500 text-white px-4 py-2 rounded-lg shadow-lg z-50';
-    notif.textContent = message;
+    notif.className = 'fixed bottom-4 right-4 bg-green-500 text-white px-4 py-2 rounded-lg shadow-lg z-50 flex items-center gap-3';
+    const text = document.createElement('span');
+    text.textContent = message;
+    notif.appendChild(text);
+    if (undoActivityId) {
+        const undo = document.createElement('button');
+        undo.className = 'font-semibold underline hover:no-underline';
+        undo.textContent = 'Undo';
+        undo.onclick = () => {
+            notif.remove();
+            revertActivity(undoActivityId);
+        };
+        notif.appendChild(undo);
+    }
     document.body.appendChild(notif);
-    setTimeout(() => notif.remove(), 3000);
+    setTimeout(() => notif.remove(), undoActivityId ? 8000 : 3000);
+}
+
+// Reverse a logged change on the server (still subject to the workflow's safety gates)
+function revertActivity(activityId) {
+    return apiFetch(`/api/activity/${activityId}/revert`, { method: 'POST' })
+    .then(res => {
+        if (res.status === 401) {
+            logout();
+            return null;
+        }
+        return res.json().then(data => {
+            if (!res.ok) throw new Error(data.reason || data.error);
+            return data;
+        });
+    })
+    .then(data => {
+        if (!data) return;
+        loadTasks();
+        loadReminders();
+        showNotification('Change undone');
+        if (!document.getElementById('activity-modal').classList.contains('hidden')) {
+            loadActivityLog();
+        }
+    })
+    .catch(err => {
+        console.error('Revert error:', err);
+        alert('Could not undo: ' + err.message);
+    });
 }
 
 // Version info - fetch from backend to ensure consistency
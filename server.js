@@ -5,8 +5,11 @@ const express = require('express');
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const pkg = require('./package.json');
-const { Client } = require('pg');
+const { AsyncLocalStorage } = require('async_hooks');
+const { Pool } = require('pg');
+const { getMigrationStatus } = require('./migrator');
 
 // ============ Environment Validation ============
 const REQUIRED_ENV_VARS = ['AGENT_API_KEY', 'OWNER_PASSWORD'];
@@ -39,34 +42,224 @@ console.log(`   DB_PATH: ${DB_PATH || 'N/A (PostgreSQL mode)'}`);
 
 let db;
 let isPostgres = false;
+let schemaVersion = 0;
 
-// PostgreSQL client wrapper for sqlite-like API
+// Weighted search documents for Postgres full-text search. The same expressions
+// back the GIN indexes (migrations/002_full_text_search.js), so keep them identical.
+const TASK_SEARCH_VECTOR = `(setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(description, '')), 'B') ||
+    setweight(to_tsvector('english', coalesce(branch, '') || ' ' || coalesce(repo, '')), 'C'))`;
+const COMMENT_SEARCH_VECTOR = `to_tsvector('english', coalesce(content, ''))`;
+
+// Postgres connections in the pool (SQLite uses one connection)
+const DB_POOL_SIZE = parseInt(process.env.DB_POOL_SIZE, 10) || 10;
+
+// The open transaction, if any, for the current async call chain: { owner, client }.
+// While set, every db.get/all/run made from inside withTransaction(fn) - including
+// ones in shared helpers - runs on the transaction's connection.
+const transactionScope = new AsyncLocalStorage();
+
+// PostgreSQL pool wrapper for sqlite-like API
 class PostgresWrapper {
-    constructor(client) {
-        this.client = client;
+    constructor(pool) {
+        this.pool = pool;
+    }
+
+    query(sql, params) {
+        const scope = transactionScope.getStore();
+        const target = scope && scope.owner === this ? scope.client : this.pool;
+        return target.query(sql, params);
     }
 
     async get(sql, params = []) {
-        const result = await this.client.query(sql, params);
+        const result = await this.query(sql, params);
         return result.rows[0] || null;
     }
 
     async all(sql, params = []) {
-        const result = await this.client.query(sql, params);
+        const result = await this.query(sql, params);
         return result.rows;
     }
 
     async run(sql, params = []) {
-        const result = await this.client.query(sql, params);
+        const result = await this.query(sql, params);
         return { lastID: result.rowCount, changes: result.rowCount };
     }
 
+    // Run fn on a dedicated pooled connection inside BEGIN/COMMIT; rolls back if fn throws.
+    // Lock the rows you are about to change with SELECT ... FOR UPDATE (see selectTaskForUpdate).
+    async withTransaction(fn) {
+        const scope = transactionScope.getStore();
+        if (scope && scope.owner === this) {
+            return fn(this);
+        }
+
+        const client = await this.pool.connect();
+        let broken;
+        try {
+            return await transactionScope.run({ owner: this, client }, async () => {
+                await client.query('BEGIN');
+                try {
+                    const result = await fn(this);
+                    await client.query('COMMIT');
+                    return result;
+                } catch (err) {
+                    await client.query('ROLLBACK').catch(rollbackErr => { broken = rollbackErr; });
+                    throw err;
+                }
+            });
+        } finally {
+            // A connection that failed to roll back is discarded instead of reused
+            client.release(broken);
+        }
+    }
+
     serialize(callback) {
         callback();
     }
 
+    // Ranked full-text search over tasks and comments (tsvector + GIN indexes)
+    async searchTasks(terms, boardId, limit) {
+        const query = terms.map(term => `${term}:*`).join(' & ');
+        const headline = `'StartSel=<mark>, StopSel=</mark>, MaxWords=20, MinWords=5, ShortWord=2'`;
+        return this.all(
+            `SELECT t.id AS task_id, 'task' AS source,
+                    ts_headline('english', coalesce(t.title, '') || ' ' || coalesce(t.description, '') || ' ' || coalesce(t.branch, '') || ' ' || coalesce(t.repo, ''), q, ${headline}) AS snippet,
+                    ts_rank(${TASK_SEARCH_VECTOR}, q) AS rank
+             FROM tasks t, to_tsquery('english', $1) q
+             WHERE ${TASK_SEARCH_VECTOR} @@ q AND t.board_id = $2 AND t.deleted_at IS NULL AND t.archived_at IS NULL
+             UNION ALL
+             SELECT c.task_id, 'comment' AS source,
+                    ts_headline('english', coalesce(c.content, ''), q, ${headline}) AS snippet,
+                    ts_rank(${COMMENT_SEARCH_VECTOR}, q) AS rank
+             FROM comments c JOIN tasks t ON t.id = c.task_id, to_tsquery('english', $1) q
+             WHERE ${COMMENT_SEARCH_VECTOR} @@ q AND t.board_id = $2 AND t.deleted_at IS NULL AND t.archived_at IS NULL
+             ORDER BY rank DESC
+             LIMIT $3`,
+            [query, boardId, limit]
+        );
+    }
+
     async close() {
-        await this.client.end();
+        await this.pool.end();
+    }
+}
+
+// SQLite wrapper with the same promise API as PostgresWrapper.
+// $1-style placeholders are rewritten to SQLite's numbered ?1 form.
+// SQLite has a single writer, so there is no pool: withTransaction checks the one
+// connection out exclusively and other statements wait until it commits.
+class SqliteWrapper {
+    constructor(database) {
+        this.database = database;
+        // Run statements in the order they were issued, so nothing queued before
+        // a BEGIN can land inside that transaction
+        this.database.serialize();
+        this.database.configure('busyTimeout', 5000);
+        // Settles when the open transaction finishes
+        this.transaction = null;
+    }
+
+    static toSqlite(sql) {
+        return sql.replace(/\$(\d+)/g, '?$1');
+    }
+
+    // Issue a statement now, or once the open transaction (if it isn't ours) finishes.
+    // The check and the call happen in the same tick so nothing slips in behind a BEGIN.
+    whenFree(issue) {
+        const scope = transactionScope.getStore();
+        if (!this.transaction || (scope && scope.owner === this)) {
+            return issue();
+        }
+        return this.transaction.then(() => this.whenFree(issue));
+    }
+
+    // Run fn inside BEGIN IMMEDIATE/COMMIT with the connection to itself; rolls back if fn throws
+    async withTransaction(fn) {
+        const scope = transactionScope.getStore();
+        if (scope && scope.owner === this) {
+            return fn(this);
+        }
+
+        while (this.transaction) {
+            await this.transaction;
+        }
+        let finish;
+        this.transaction = new Promise(resolve => { finish = resolve; });
+        try {
+            return await transactionScope.run({ owner: this }, async () => {
+                await this.run('BEGIN IMMEDIATE');
+                try {
+                    const result = await fn(this);
+                    await this.run('COMMIT');
+                    return result;
+                } catch (err) {
+                    await this.run('ROLLBACK').catch(() => {});
+                    throw err;
+                }
+            });
+        } finally {
+            this.transaction = null;
+            finish();
+        }
+    }
+
+    get(sql, params = []) {
+        return this.whenFree(() => new Promise((resolve, reject) => {
+            this.database.get(SqliteWrapper.toSqlite(sql), params, (err, row) => {
+                if (err) return reject(err);
+                resolve(row || null);
+            });
+        }));
+    }
+
+    all(sql, params = []) {
+        return this.whenFree(() => new Promise((resolve, reject) => {
+            this.database.all(SqliteWrapper.toSqlite(sql), params, (err, rows) => {
+                if (err) return reject(err);
+                resolve(rows);
+            });
+        }));
+    }
+
+    run(sql, params = []) {
+        return this.whenFree(() => new Promise((resolve, reject) => {
+            this.database.run(SqliteWrapper.toSqlite(sql), params, function (err) {
+                if (err) return reject(err);
+                resolve({ lastID: this.lastID, changes: this.changes });
+            });
+        }));
+    }
+
+    serialize(callback) {
+        this.database.serialize(callback);
+    }
+
+    // Ranked full-text search over tasks and comments (FTS5; bm25 is lower-is-better)
+    async searchTasks(terms, boardId, limit) {
+        const query = terms.map(term => `"${term}"*`).join(' ');
+        return this.all(
+            `SELECT t.id AS task_id, 'task' AS source,
+                    snippet(tasks_fts, -1, '<mark>', '</mark>', '…', 16) AS snippet,
+                    -bm25(tasks_fts, 10.0, 4.0, 2.0, 2.0) AS rank
+             FROM tasks_fts JOIN tasks t ON t.rowid = tasks_fts.rowid
+             WHERE tasks_fts MATCH $1 AND t.board_id = $2 AND t.deleted_at IS NULL AND t.archived_at IS NULL
+             UNION ALL
+             SELECT c.task_id, 'comment' AS source,
+                    snippet(comments_fts, 0, '<mark>', '</mark>', '…', 16) AS snippet,
+                    -bm25(comments_fts) AS rank
+             FROM comments_fts JOIN comments c ON c.id = comments_fts.rowid JOIN tasks t ON t.id = c.task_id
+             WHERE comments_fts MATCH $1 AND t.board_id = $2 AND t.deleted_at IS NULL AND t.archived_at IS NULL
+             ORDER BY rank DESC
+             LIMIT $3`,
+            [query, boardId, limit]
+        );
+    }
+
+    close() {
+        return new Promise((resolve, reject) => {
+            this.database.close(err => (err ? reject(err) : resolve()));
+        });
     }
 }
 
@@ -74,14 +267,12 @@ class PostgresWrapper {
 async function initDatabase() {
     if (DATABASE_URL) {
         console.log('📦 Connecting to PostgreSQL...');
-        const client = new Client({ connectionString: DATABASE_URL });
-        await client.connect();
-        console.log('✅ Connected to PostgreSQL');
-        db = new PostgresWrapper(client);
+        const pool = new Pool({ connectionString: DATABASE_URL, max: DB_POOL_SIZE });
+        pool.on('error', err => console.error('PostgreSQL pool error:', err.message));
+        await pool.query('SELECT 1');
+        console.log(`✅ Connected to PostgreSQL (pool of ${DB_POOL_SIZE})`);
+        db = new PostgresWrapper(pool);
         isPostgres = true;
-        
-        // Run migrations
-        await runMigrations();
     } else {
         console.log(`📦 Connecting to SQLite (${DB_PATH})...`);
         const dbPathDir = path.dirname(DB_PATH);
@@ -90,147 +281,37 @@ async function initDatabase() {
             console.log(`📁 Created database directory: ${dbPathDir}`);
         }
         
-        db = await new Promise((resolve, reject) => {
-            const sqliteDb = new sqlite3.Database(DB_PATH, (err) => {
+        const sqliteDb = await new Promise((resolve, reject) => {
+            const database = new sqlite3.Database(DB_PATH, (err) => {
                 if (err) {
                     console.error(`❌ Failed to open SQLite database: ${err.message}`);
                     process.exit(1);
                 }
                 console.log('✅ Connected to SQLite database');
-                resolve(sqliteDb);
+                resolve(database);
             });
         });
         
-        // Run SQLite migrations synchronously
-        runSqliteMigrations();
-    }
-}
-
-// PostgreSQL migrations
-async function runMigrations() {
-    const migrations = [
-        `CREATE TABLE IF NOT EXISTS tasks (
-            id TEXT PRIMARY KEY,
-            title TEXT NOT NULL,
-            description TEXT,
-            assignee TEXT,
-            owner_agent TEXT,
-            status TEXT DEFAULT 'Backlog',
-            priority TEXT DEFAULT 'Medium',
-            due_date TEXT,
-            branch TEXT,
-            repo TEXT,
-            created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-            updated_at TEXT DEFAULT CURRENT_TIMESTAMP
-        )`,
-        `CREATE TABLE IF NOT EXISTS activity_log (
-            id SERIAL PRIMARY KEY,
-            action TEXT NOT NULL,
-            task_id TEXT,
-            task_title TEXT,
-            details TEXT,
-            agent_id TEXT,
-            agent_role TEXT,
-            from_status TEXT,
-            to_status TEXT,
-            branch TEXT,
-            repo TEXT,
-            transition_allowed INTEGER DEFAULT 1,
-            denial_reason TEXT,
-            created_at TEXT DEFAULT CURRENT_TIMESTAMP
-        )`,
-        `CREATE TABLE IF NOT EXISTS reminders (
-            id SERIAL PRIMARY KEY,
-            task_id TEXT NOT NULL,
-            task_title TEXT,
-            due_date TEXT,
-            notified INTEGER DEFAULT 0,
-            created_at TEXT DEFAULT CURRENT_TIMESTAMP
-        )`,
-        `CREATE TABLE IF NOT EXISTS comments (
-            id SERIAL PRIMARY KEY,
-            task_id TEXT NOT NULL,
-            content TEXT NOT NULL,
-            agent_id TEXT,
-            agent_role TEXT,
-            created_at TEXT DEFAULT CURRENT_TIMESTAMP
-        )`
-    ];
-    
-    for (const sql of migrations) {
-        await db.run(sql);
-    }
-    console.log('✅ Database migrations complete');
-}
-
-// SQLite migrations (synchronous)
-function runSqliteMigrations() {
-    db.serialize(() => {
-        db.run(`CREATE TABLE IF NOT EXISTS tasks (
-            id TEXT PRIMARY KEY,
-            title TEXT NOT NULL,
-            description TEXT,
-            assignee TEXT,
-            owner_agent TEXT,
-            status TEXT DEFAULT 'Backlog',
-            priority TEXT DEFAULT 'Medium',
-            due_date TEXT,
-            branch TEXT,
-            repo TEXT,
-            created_at TEXT DEFAULT (datetime('now')),
-            updated_at TEXT DEFAULT (datetime('now'))
-        )`);
-
-        db.run(`ALTER TABLE tasks ADD COLUMN owner_agent TEXT`, () => {});
-        db.run(`ALTER TABLE tasks ADD COLUMN branch TEXT`, () => {});
-        db.run(`ALTER TABLE tasks ADD COLUMN repo TEXT`, () => {});
-
-        db.run(`CREATE TABLE IF NOT EXISTS activity_log (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            action TEXT NOT NULL,
-            task_id TEXT,
-            task_title TEXT,
-            details TEXT,
-            agent_id TEXT,
-            agent_role TEXT,
-            from_status TEXT,
-            to_status TEXT,
-            branch TEXT,
-            repo TEXT,
-            transition_allowed INTEGER DEFAULT 1,
-            denial_reason TEXT,
-            created_at TEXT DEFAULT (datetime('now'))
-        )`);
-
-        db.run(`ALTER TABLE activity_log ADD COLUMN agent_id TEXT`, () => {});
-        db.run(`ALTER TABLE activity_log ADD COLUMN agent_role TEXT`, () => {});
-        db.run(`ALTER TABLE activity_log ADD COLUMN from_status TEXT`, () => {});
-        db.run(`ALTER TABLE activity_log ADD COLUMN to_status TEXT`, () => {});
-        db.run(`ALTER TABLE activity_log ADD COLUMN branch TEXT`, () => {});
-        db.run(`ALTER TABLE activity_log ADD COLUMN repo TEXT`, () => {});
-        db.run(`ALTER TABLE activity_log ADD COLUMN transition_allowed INTEGER DEFAULT 1`, () => {});
-        db.run(`ALTER TABLE activity_log ADD COLUMN denial_reason TEXT`, () => {});
-
-        db.run(`CREATE TABLE IF NOT EXISTS reminders (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            task_id TEXT NOT NULL,
-            task_title TEXT,
-            due_date TEXT,
-            notified INTEGER DEFAULT 0,
-            created_at TEXT DEFAULT (datetime('now'))
-        )`);
-
-        db.run(`CREATE TABLE IF NOT EXISTS comments (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            task_id TEXT NOT NULL,
-            content TEXT NOT NULL,
-            agent_id TEXT,
-            agent_role TEXT,
-            created_at TEXT DEFAULT (datetime('now'))
-        )`);
-        
-        console.log('✅ Database migrations complete');
-    });
+        db = new SqliteWrapper(sqliteDb);
+    }
+
+    await assertSchemaCurrent();
+}
+
+// Refuse to start against a schema that migrate.js has not brought up to date
+async function assertSchemaCurrent() {
+    const status = await getMigrationStatus(db, isPostgres ? 'postgres' : 'sqlite');
+    if (status.pending.length > 0) {
+        console.error('❌ Database schema is out of date. Pending migrations:');
+        status.pending.forEach(m => console.error(`   - ${String(m.version).padStart(3, '0')}_${m.name}: ${m.description}`));
+        console.error('Run `npm run migrate` and start the server again.');
+        process.exit(1);
+    }
+    if (status.unknown.length > 0) {
+        console.warn(`⚠️ Database has migrations this build does not know about: ${status.unknown.map(row => row.version).join(', ')}`);
+    }
+    schemaVersion = status.current;
+    console.log(`✅ Database schema at version ${schemaVersion}`);
 }
 
 // ============ Helper Functions ============
@@ -240,683 +321,4127 @@ function now() {
     return isPostgres ? 'CURRENT_TIMESTAMP' : "datetime('now')";
 }
 
-// Helper for async logging
+// Read a task inside db.withTransaction and hold it until commit. Postgres locks
+// the row; SQLite's BEGIN IMMEDIATE already holds the database write lock.
+function selectTaskForUpdate(taskId) {
+    return db.get('SELECT * FROM tasks WHERE id = $1' + (isPostgres ? ' FOR UPDATE' : ''), [taskId]);
+}
+
+// API keys and session tokens are only ever stored as SHA-256 hashes
+function hashToken(rawToken) {
+    return crypto.createHash('sha256').update(rawToken).digest('hex');
+}
+
+// Helper for async logging; resolves to the new entry's id (null if logging failed)
 function logActivity(action, taskId, taskTitle, details, agentInfo = {}, transitionInfo = {}) {
-    const { agentId, agentRole } = agentInfo;
-    const { fromStatus, toStatus, branch, repo, allowed, denialReason } = transitionInfo;
+    const { agentId, agentRole, boardId } = agentInfo;
+    const { fromStatus, toStatus, branch, repo, allowed, denialReason, changes } = transitionInfo;
     
     const sql = `INSERT INTO activity_log
-     (action, task_id, task_title, details, agent_id, agent_role, from_status, to_status, branch, repo, transition_allowed, denial_reason)
-     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`;
+     (action, task_id, task_title, details, agent_id, agent_role, from_status, to_status, branch, repo, transition_allowed, denial_reason, board_id, changes)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)`;
     
-    db.run(sql, [
+    return db.get(sql + ' RETURNING id', [
         action, taskId, taskTitle, details, agentId, agentRole, 
-        fromStatus, toStatus, branch, repo, allowed ? 1 : 0, denialReason || null
-    ]).catch(err => console.error('Log error:', err));
+        fromStatus, toStatus, branch, repo, allowed ? 1 : 0, denialReason || null, boardId || null,
+        changes ? JSON.stringify(changes) : null
+    ])
+        .then(row => (row ? row.id : null))
+        .catch(err => {
+            console.error('Log error:', err);
+            return null;
+        });
+}
+
+// Actions whose recorded `changes` can be undone via POST /api/activity/:id/revert
+const REVERTIBLE_ACTIONS = ['update', 'transition', 'claim', 'release', 'delete', 'archive', 'unarchive', 'restore'];
+
+function isRevertible(row) {
+    return REVERTIBLE_ACTIONS.includes(row.action) && Boolean(row.changes) && !row.reverted_at;
+}
+
+// Activity rows as served by the API: field-level changes parsed back into objects
+function formatActivity(row) {
+    return { ...row, changes: row.changes ? JSON.parse(row.changes) : null, revertible: isRevertible(row) };
 }
 
 function logTransitionAttempt(taskId, taskTitle, fromStatus, toStatus, agentInfo, allowed, denialReason = null, branch = null, repo = null) {
-    logActivity('transition', taskId, taskTitle,
+    return logActivity('transition', taskId, taskTitle,
         `Status transition: ${fromStatus} → ${toStatus}`,
         agentInfo,
-        { fromStatus, toStatus, branch, repo, allowed, denialReason }
+        {
+            fromStatus, toStatus, branch, repo, allowed, denialReason,
+            changes: allowed ? { status: { from: fromStatus, to: toStatus } } : null
+        }
     );
 }
 
-// ============ App Setup ============
-const app = express();
-const PORT = process.env.PORT || 3000;
-const OWNER_PASSWORD = process.env.OWNER_PASSWORD;
-
-// Debug: Log that OWNER_PASSWORD is defined (not the value)
-console.log('🔐 Owner password:', OWNER_PASSWORD ? 'DEFINED (length: ' + OWNER_PASSWORD.length + ')' : 'NOT DEFINED');
+// ============ Live Events (SSE) ============
 
-// Middleware
-app.use(express.json());
-app.use(express.static('public'));
+// Connected GET /api/events clients: { res, boardId }
+const eventClients = new Set();
+let lastEventId = 0;
 
-// Simple auth middleware
-const authMiddleware = (req, res, next) => {
-    const password = req.headers['x-owner-password'];
-    if (password === OWNER_PASSWORD) {
-        next();
-    } else {
-        res.status(401).json({ error: 'Unauthorized' });
+// Send a typed event to every client watching the board and queue it for webhooks
+function broadcastEvent(type, boardId, data) {
+    const id = ++lastEventId;
+    const frame = `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify({ type, board_id: boardId, data })}\n\n`;
+    for (const client of eventClients) {
+        if (client.boardId === boardId) {
+            client.res.write(frame);
+        }
     }
-};
 
-// Agent API key authentication middleware
-const agentAuthMiddleware = (req, res, next) => {
-    const apiKey = req.headers['x-api-key'];
-    if (apiKey && apiKey === process.env.AGENT_API_KEY) {
-        next();
-    } else {
-        res.status(401).json({ error: 'Invalid or missing API key' });
-    }
-};
+    enqueueWebhookDeliveries(type, boardId, data)
+        .catch(err => console.error('Webhook enqueue error:', err));
+}
 
-// Agent identity extraction
-function getAgentIdentity(req) {
-    const password = req.headers['x-owner-password'];
-    const apiKey = req.headers['x-api-key'];
-    
-    // If using owner password, treat as Founder
-    if (password && password === OWNER_PASSWORD) {
-        return { agentId: 'owner', agentRole: 'founder', ip: req.ip || req.connection?.remoteAddress };
-    }
-    
-    // Otherwise extract from headers
-    const agentId = req.headers['x-agent-id'] || req.headers['x-owner-password'] || 'unknown';
-    const agentRole = req.headers['x-agent-role'] || 'member';
-    return { agentId, agentRole, ip: req.ip || req.connection?.remoteAddress };
+// Publish a task event carrying the task's current row
+function publishTaskEvent(type, taskId) {
+    db.get('SELECT * FROM tasks WHERE id = $1', [taskId])
+        .then(task => (task ? attachLabels([task]) : []))
+        .then(([task]) => {
+            if (task) broadcastEvent(type, task.board_id || DEFAULT_BOARD_ID, task);
+        })
+        .catch(err => console.error('Event error:', err));
 }
 
-// ============ Safety Gate Configuration ============
+// ============ Webhooks ============
 
-// Role definitions
-const ROLES = {
-    FOUNDER: 'founder',
-    AGENT: 'agent',
-    MEMBER: 'member'
-};
+const WEBHOOK_EVENTS = ['task.created', 'task.updated', 'task.transitioned', 'task.claimed', 'comment.added', 'task.deleted', 'task.archived', 'task.restored'];
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const WEBHOOK_RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 30000;
+const WEBHOOK_TIMEOUT_MS = 10000;
+const WEBHOOK_POLL_MS = 5000;
 
-// ============ Unassigned Task Safety ============
+function generateWebhookSecret() {
+    return 'whsec_' + crypto.randomBytes(24).toString('hex');
+}
 
-// Check if task is unassigned (null or empty string)
-function isUnassigned(task) {
-    return !task.owner_agent || task.owner_agent === '' || task.owner_agent === null;
+// HMAC-SHA256 of the raw request body, sent as X-Kanban-Signature: sha256=<hex>
+function signWebhookPayload(secret, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
 }
 
-// Validate action on unassigned task
-function validateUnassignedAction(task, agentInfo, action) {
-    const { agentId, agentRole } = agentInfo;
-    const role = (agentRole || '').toLowerCase();
-    
-    // Unassigned tasks can only be modified by Founder
-    if (isUnassigned(task)) {
-        if (role !== ROLES.FOUNDER) {
-            return {
-                allowed: false,
-                reason: `Cannot ${action} unassigned task. Only Founder can modify unassigned tasks.`
-            };
-        }
+// Stored as CSV; '*' subscribes to every event
+function parseWebhookEvents(events) {
+    if (events === undefined || events === null || events === '' || events === '*') {
+        return ['*'];
     }
-    
-    return { allowed: true };
+    const list = Array.isArray(events) ? events : String(events).split(',');
+    return list.map(e => e.trim()).filter(Boolean);
 }
 
-// Validate claim action
-function validateClaimAction(task, agentInfo) {
-    const { agentId, agentRole } = agentInfo;
-    const role = (agentRole || '').toLowerCase();
-    
-    // Only agents can claim tasks
-    if (role !== ROLES.FOUNDER && role !== ROLES.AGENT) {
-        return {
-            allowed: false,
-            reason: 'Only Founder or Agents can claim tasks'
-        };
-    }
-    
-    // Cannot claim if already assigned to someone
-    if (!isUnassigned(task)) {
-        return {
-            allowed: false,
-            reason: `Task is already assigned to ${task.owner_agent}`
-        };
-    }
-    
-    return { allowed: true };
+// Never return the signing secret after creation
+function serializeWebhook(row) {
+    return {
+        id: row.id,
+        url: row.url,
+        events: row.events.split(','),
+        board_id: row.board_id,
+        description: row.description,
+        active: !!row.active,
+        created_by: row.created_by,
+        created_at: row.created_at,
+        updated_at: row.updated_at
+    };
 }
 
-// Status transition rules with safety gates
-const TRANSITION_RULES = {
-    // Work lock: only assigned agent can move to Ongoing
-    'Ongoing': {
-        requiresOwnership: true,
-        fromStatuses: ['To Do', 'Backlog', 'Agent Inbox'],
-        allowedRoles: [ROLES.FOUNDER, ROLES.AGENT, ROLES.MEMBER]
-    },
-    // Review → Done restriction to Founder only
-    'Done': {
-        requiresFounder: true,
-        fromStatuses: ['Review', 'Ongoing'],
-        allowedRoles: [ROLES.FOUNDER]
-    },
-    // Review entry: assigned agent or founder
-    'Review': {
-        requiresOwnership: true,
-        fromStatuses: ['Ongoing'],
-        allowedRoles: [ROLES.FOUNDER, ROLES.AGENT, ROLES.MEMBER]
-    }
-};
+// Delay before retry n (1-based): base, 2x base, 4x base, ...
+function webhookBackoffMs(attempt) {
+    return WEBHOOK_RETRY_BASE_MS * Math.pow(2, attempt - 1);
+}
 
-// ============ Safety Gate Validation ============
+// Queue one delivery per active webhook subscribed to this event and board
+async function enqueueWebhookDeliveries(type, boardId, data) {
+    const hooks = await db.all('SELECT * FROM webhooks WHERE active = 1', []);
+    const matching = hooks.filter(hook => {
+        const events = hook.events.split(',');
+        return (events.includes('*') || events.includes(type)) &&
+            (!hook.board_id || hook.board_id === boardId);
+    });
+    if (matching.length === 0) return;
 
-function validateTransition(task, newStatus, agentInfo) {
-    const { agentId, agentRole } = agentInfo;
-    const role = (agentRole || '').toLowerCase();
-    
-    // ============ Unassigned Task Safety ============
-    // Only Founder can move/change status of unassigned tasks
-    const unassignedCheck = validateUnassignedAction(task, agentInfo, 'move or change status');
-    if (!unassignedCheck.allowed) {
-        return unassignedCheck;
+    const createdAt = new Date().toISOString();
+    for (const hook of matching) {
+        const id = Date.now().toString(36) + Math.random().toString(36).substr(2);
+        const payload = JSON.stringify({ id, type, board_id: boardId, created_at: createdAt, data });
+        await db.run(
+            'INSERT INTO webhook_deliveries (id, webhook_id, event_type, payload, status, next_attempt_at) VALUES ($1, $2, $3, $4, $5, $6)',
+            [id, hook.id, type, payload, 'pending', createdAt]
+        );
     }
-    // ===============================================
-    
-    const rule = TRANSITION_RULES[newStatus];
 
-    // If no special rule for this transition, allow it
-    if (!rule) {
-        return { allowed: true };
+    setImmediate(processWebhookQueue);
+}
+
+// POST one delivery, log the attempt, then mark it delivered or schedule a retry
+async function attemptWebhookDelivery(delivery) {
+    const hook = await db.get('SELECT * FROM webhooks WHERE id = $1', [delivery.webhook_id]);
+    if (!hook || !hook.active) {
+        await db.run(
+            'UPDATE webhook_deliveries SET status = $1, last_error = $2 WHERE id = $3',
+            ['failed', 'Webhook deleted or disabled', delivery.id]
+        );
+        return;
     }
 
-    // Check if transition is valid for this status
-    if (!rule.fromStatuses.includes(task.status)) {
-        return {
-            allowed: false,
-            reason: `Cannot transition from "${task.status}" to "${newStatus}". Valid from: ${rule.fromStatuses.join(', ')}`
-        };
+    const attempt = (delivery.attempts || 0) + 1;
+    const started = Date.now();
+    let statusCode = null;
+    let error = null;
+
+    try {
+        const response = await fetch(hook.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'kanban-mvp-webhooks',
+                'X-Kanban-Event': delivery.event_type,
+                'X-Kanban-Delivery': delivery.id,
+                'X-Kanban-Signature': signWebhookPayload(hook.secret, delivery.payload)
+            },
+            body: delivery.payload,
+            signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+        });
+        statusCode = response.status;
+        if (!response.ok) {
+            error = `HTTP ${response.status}`;
+        }
+    } catch (err) {
+        error = err.message;
     }
 
-    // Check role restrictions
-    const actorRole = (agentRole || '').toLowerCase();
-    if (rule.requiresFounder && actorRole !== ROLES.FOUNDER) {
-        return {
-            allowed: false,
-            reason: 'Only Founder can complete this transition'
-        };
+    await db.run(
+        'INSERT INTO webhook_delivery_logs (delivery_id, webhook_id, attempt, status_code, error, duration_ms) VALUES ($1, $2, $3, $4, $5, $6)',
+        [delivery.id, hook.id, attempt, statusCode, error, Date.now() - started]
+    );
+
+    if (!error) {
+        await db.run(
+            'UPDATE webhook_deliveries SET status = $1, attempts = $2, last_status_code = $3, last_error = NULL, delivered_at = $4 WHERE id = $5',
+            ['delivered', attempt, statusCode, new Date().toISOString(), delivery.id]
+        );
+    } else if (attempt >= WEBHOOK_MAX_ATTEMPTS) {
+        await db.run(
+            'UPDATE webhook_deliveries SET status = $1, attempts = $2, last_status_code = $3, last_error = $4 WHERE id = $5',
+            ['failed', attempt, statusCode, error, delivery.id]
+        );
+    } else {
+        const nextAttemptAt = new Date(Date.now() + webhookBackoffMs(attempt)).toISOString();
+        await db.run(
+            'UPDATE webhook_deliveries SET attempts = $1, last_status_code = $2, last_error = $3, next_attempt_at = $4 WHERE id = $5',
+            [attempt, statusCode, error, nextAttemptAt, delivery.id]
+        );
     }
+}
 
-    // Check ownership requirement (only assigned agent can move to certain statuses)
-    if (rule.requiresOwnership) {
-        const isOwner = task.owner_agent === agentId || task.assignee === agentId;
-        const isFounder = actorRole === ROLES.FOUNDER;
-        if (!isOwner && !isFounder) {
-            return {
-                allowed: false,
-                reason: `Only the assigned agent (${task.owner_agent || task.assignee}) can move to "${newStatus}"`
-            };
+// Deliver everything that is due. Runs on a timer and right after events are queued;
+// the queue lives in the database, so pending deliveries survive restarts.
+let webhookQueueBusy = false;
+async function processWebhookQueue() {
+    if (webhookQueueBusy) return;
+    webhookQueueBusy = true;
+    try {
+        const due = await db.all(
+            'SELECT * FROM webhook_deliveries WHERE status = $1 AND next_attempt_at <= $2 ORDER BY created_at ASC LIMIT 50',
+            ['pending', new Date().toISOString()]
+        );
+        for (const delivery of due) {
+            await attemptWebhookDelivery(delivery);
         }
+    } catch (err) {
+        console.error('Webhook queue error:', err);
+    } finally {
+        webhookQueueBusy = false;
     }
-
-    return { allowed: true };
 }
 
-// ============ API Routes ============
+// ============ App Setup ============
+const app = express();
+const PORT = process.env.PORT || 3000;
+const OWNER_PASSWORD = process.env.OWNER_PASSWORD;
 
-// Get configured agents (v2 - renamed for clarity)
-app.get('/api/agents', authMiddleware, (req, res) => {
-    const agents = [
-        'founder',
-        'manager',
-        'worker'
-    ];
-    res.json({ agents });
-});
+// Debug: Log that OWNER_PASSWORD is defined (not the value)
+console.log('🔐 Owner password:', OWNER_PASSWORD ? 'DEFINED (length: ' + OWNER_PASSWORD.length + ')' : 'NOT DEFINED');
 
-// Get server version from package.json
-app.get('/api/version', (req, res) => {
-    res.json({ version: pkg.version });
+// Middleware
+app.use(express.json());
+// Malformed JSON gets the same 400 shape as a body that fails validation
+app.use((err, req, res, next) => {
+    if (err.type === 'entity.parse.failed') {
+        return sendValidationError(res, addFieldError({}, 'body', 'invalid_format', 'must be valid JSON'));
+    }
+    next(err);
 });
+app.use(express.static('public'));
 
-// ============ Agent API Endpoints (Phase 1) ============
-
-// GET /api/cards?status= - Get tasks filtered by status (Agent API)
-app.get('/api/cards', agentAuthMiddleware, async (req, res) => {
-    try {
-        const status = req.query.status;
-        let sql = 'SELECT * FROM tasks';
-        const params = [];
+// ============ User Accounts & Sessions ============
 
-        if (status) {
-            sql += ' WHERE status = $1';
-            params.push(status);
-        }
+const SESSION_TTL_HOURS = parseInt(process.env.SESSION_TTL_HOURS) || 24;
+const MIN_PASSWORD_LENGTH = 8;
 
-        sql += ' ORDER BY created_at DESC';
+// Passwords are stored as scrypt$<salt>$<hash>
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+}
 
-        const rows = await db.all(sql, params);
-        res.json(rows);
-    } catch (err) {
-        res.status(500).json({ error: err.message });
+function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = (stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+        return false;
     }
-});
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
 
-// POST /api/cards - Create task with default list = "Agent Inbox" (Agent API)
-app.post('/api/cards', agentAuthMiddleware, async (req, res) => {
-    try {
-        const { title, description, assignee, priority, status, due_date, branch, repo } = req.body;
-        const agentInfo = getAgentIdentity(req);
-        const id = Date.now().toString(36) + Math.random().toString(36).substr(2);
+// Session tokens are sent as "Authorization: Bearer <token>"
+function getSessionToken(req) {
+    const header = req.headers['authorization'] || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : null;
+}
 
-        // Default to "Agent Inbox" if no status provided
-        const finalStatus = status || 'Agent Inbox';
-        const finalOwnerAgent = agentInfo.agentId;
+// Strip credentials before returning a user to clients
+function serializeUser(row) {
+    return {
+        id: row.id,
+        username: row.username,
+        display_name: row.display_name,
+        role: row.role,
+        disabled: !!row.disabled,
+        created_at: row.created_at,
+        last_login_at: row.last_login_at
+    };
+}
+
+// Resolve the session token to an active user, or null
+async function getSessionUser(req) {
+    const token = getSessionToken(req);
+    if (!token) {
+        return null;
+    }
+
+    const tokenHash = hashToken(token);
+    const session = await db.get('SELECT * FROM sessions WHERE token_hash = $1', [tokenHash]);
+    if (!session) {
+        return null;
+    }
+
+    if (new Date(session.expires_at) <= new Date()) {
+        await db.run('DELETE FROM sessions WHERE token_hash = $1', [tokenHash]);
+        return null;
+    }
+
+    const user = await db.get('SELECT * FROM users WHERE id = $1', [session.user_id]);
+    if (!user || user.disabled) {
+        return null;
+    }
+
+    return user;
+}
+
+// Create the initial Founder account from OWNER_PASSWORD on first start
+async function seedOwnerUser() {
+    const existing = await db.get('SELECT COUNT(*) as count FROM users');
+    if (existing && parseInt(existing.count) > 0) {
+        return;
+    }
+
+    const id = Date.now().toString(36) + Math.random().toString(36).substr(2);
+    await db.run(
+        'INSERT INTO users (id, username, display_name, password_hash, role) VALUES ($1, $2, $3, $4, $5)',
+        [id, 'owner', 'Owner', hashPassword(OWNER_PASSWORD), 'founder']
+    );
+    console.log('👤 Created initial founder account "owner" (password: OWNER_PASSWORD)');
+}
+
+function isOwnerPassword(req) {
+    const password = req.headers['x-owner-password'];
+    return Boolean(password) && password === OWNER_PASSWORD;
+}
+
+// Auth middleware: session token, or the legacy x-owner-password header
+const authMiddleware = async (req, res, next) => {
+    try {
+        const user = await getSessionUser(req);
+        if (user) {
+            req.user = user;
+            return next();
+        }
+
+        if (isOwnerPassword(req)) {
+            return next();
+        }
+
+        res.status(401).json({ error: 'Unauthorized' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+};
+
+// ============ API Keys ============
+
+// Scopes a per-agent key can carry
+const API_KEY_SCOPES = ['read', 'write', 'claim', 'transition', 'admin'];
+
+// Scopes granted to the legacy shared AGENT_API_KEY (never admin)
+const LEGACY_KEY_SCOPES = ['read', 'write', 'claim', 'transition'];
+
+// The legacy key can only act as a plain agent or member, whatever x-agent-role says
+const LEGACY_KEY_ROLES = ['agent', 'member'];
+
+// The one agent id the legacy key acts as; x-agent-id is ignored, so holders of the
+// shared key can't pose as other agents (issue per-agent keys to tell agents apart)
+const LEGACY_KEY_AGENT_ID = 'legacy-shared';
+
+// Identity for the legacy shared key. The role still comes from x-agent-role, so it
+// is flagged as header-asserted and never trusted for board membership.
+function legacyKeyIdentity(req) {
+    const agentId = LEGACY_KEY_AGENT_ID;
+    const headerRole = (req.headers['x-agent-role'] || ROLES.MEMBER).toLowerCase();
+    const agentRole = headerRole === ROLES.FOUNDER ? ROLES.AGENT
+        : (LEGACY_KEY_ROLES.includes(headerRole) ? headerRole : ROLES.MEMBER);
+
+    return { id: null, agentId, agentRole, scopes: LEGACY_KEY_SCOPES, headerAsserted: true };
+}
+
+function generateApiKey() {
+    return 'kb_' + crypto.randomBytes(24).toString('hex');
+}
+
+function parseScopes(scopes) {
+    return (scopes || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+// Strip the hash before returning a key record to clients
+function serializeApiKey(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        key_prefix: row.key_prefix,
+        agent_id: row.agent_id,
+        agent_role: row.agent_role,
+        scopes: parseScopes(row.scopes),
+        created_by: row.created_by,
+        created_at: row.created_at,
+        rotated_at: row.rotated_at,
+        last_used_at: row.last_used_at,
+        revoked_at: row.revoked_at
+    };
+}
+
+// Agent API key authentication middleware
+// Per-agent keys bind identity, role and scopes; the shared AGENT_API_KEY is
+// still accepted but can never act as Founder or use admin scope.
+const agentAuthMiddleware = async (req, res, next) => {
+    const apiKey = req.headers['x-api-key'];
+    if (!apiKey) {
+        return res.status(401).json({ error: 'Invalid or missing API key' });
+    }
+
+    try {
+        const key = await db.get(
+            'SELECT * FROM api_keys WHERE key_hash = $1 AND revoked_at IS NULL',
+            [hashToken(apiKey)]
+        );
+
+        if (key) {
+            req.apiKey = {
+                id: key.id,
+                agentId: key.agent_id,
+                agentRole: key.agent_role,
+                scopes: parseScopes(key.scopes)
+            };
+            db.run('UPDATE api_keys SET last_used_at = ' + now() + ' WHERE id = $1', [key.id])
+                .catch(err => console.error('API key usage update error:', err));
+            return next();
+        }
+
+        if (apiKey === process.env.AGENT_API_KEY) {
+            req.apiKey = legacyKeyIdentity(req);
+            return next();
+        }
+
+        res.status(401).json({ error: 'Invalid or missing API key' });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+};
+
+// Scope check for API keys - must run after agentAuthMiddleware or anyAuthMiddleware.
+// Sessions and the owner password aren't scoped (their board role applies instead).
+function requireScope(scope) {
+    const middleware = (req, res, next) => {
+        if (req.apiKey ? req.apiKey.scopes.includes(scope) : Boolean(req.user || isOwnerPassword(req))) {
+            return next();
+        }
+        res.status(403).json({ error: 'Insufficient scope', required_scope: scope });
+    };
+    middleware.scope = scope;
+    return middleware;
+}
+
+// Founder-only: owner password, a founder session, or a founder key with admin scope
+const founderAuthMiddleware = (req, res, next) => {
+    if (req.headers['x-owner-password'] === OWNER_PASSWORD) {
+        return next();
+    }
+
+    if (getSessionToken(req)) {
+        return authMiddleware(req, res, () => {
+            if (req.user && req.user.role === ROLES.FOUNDER) {
+                return next();
+            }
+            res.status(403).json({ error: 'Founder account required' });
+        });
+    }
+
+    agentAuthMiddleware(req, res, () => {
+        const { agentRole, scopes } = req.apiKey;
+        if (agentRole === ROLES.FOUNDER && scopes.includes('admin')) {
+            return next();
+        }
+        res.status(403).json({ error: 'Founder admin key required' });
+    });
+};
+
+// Either credential type: session/owner password (web UI) or API key (agents)
+const anyAuthMiddleware = (req, res, next) => {
+    if (getSessionToken(req) || req.headers['x-owner-password']) {
+        return authMiddleware(req, res, next);
+    }
+    agentAuthMiddleware(req, res, next);
+};
+
+// Agent identity extraction
+// Inside a board the role is the caller's role on that board (see boardMiddleware)
+function getAgentIdentity(req) {
+    const identity = getCallerIdentity(req);
+    if (req.board) {
+        identity.agentRole = req.boardRole;
+        identity.boardId = req.board.id;
+    }
+    return identity;
+}
+
+// Caller identity from credentials, before any board role is applied
+function getCallerIdentity(req) {
+    const password = req.headers['x-owner-password'];
+    const ip = req.ip || req.connection?.remoteAddress;
+
+    // Signed-in user (set by authMiddleware)
+    if (req.user) {
+        return { agentId: req.user.username, agentRole: req.user.role, ip };
+    }
+
+    // If using owner password, treat as Founder
+    if (password && password === OWNER_PASSWORD) {
+        return { agentId: 'owner', agentRole: 'founder', ip };
+    }
+
+    // Identity bound to the API key (set by agentAuthMiddleware)
+    if (req.apiKey) {
+        return { agentId: req.apiKey.agentId, agentRole: req.apiKey.agentRole, ip, headerAsserted: Boolean(req.apiKey.headerAsserted) };
+    }
+
+    const agentId = req.headers['x-agent-id'] || 'unknown';
+    const headerRole = (req.headers['x-agent-role'] || '').toLowerCase();
+    const agentRole = LEGACY_KEY_ROLES.includes(headerRole) ? headerRole : ROLES.MEMBER;
+    return { agentId, agentRole, ip, headerAsserted: true };
+}
+
+// ============ Boards ============
+
+// Board used by the unscoped /api/cards and /api/tasks routes
+const DEFAULT_BOARD_ID = 'default';
+
+// Create the default board and move pre-board rows onto it
+async function seedDefaultBoard() {
+    const existing = await db.get('SELECT id FROM boards WHERE id = $1', [DEFAULT_BOARD_ID]);
+    if (!existing) {
+        await db.run(
+            'INSERT INTO boards (id, name, description, created_by) VALUES ($1, $2, $3, $4)',
+            [DEFAULT_BOARD_ID, 'Default', 'Default board', 'system']
+        );
+        console.log('🗂 Created default board');
+    }
+
+    for (const table of ['tasks', 'activity_log', 'comments']) {
+        await db.run(`UPDATE ${table} SET board_id = $1 WHERE board_id IS NULL`, [DEFAULT_BOARD_ID]);
+    }
+}
+
+// Caller's role on a board, or null if they have no access.
+// Founders see every board; the default board is open to every caller.
+// Identities asserted through headers (the shared key) never match a board
+// member, so they only get their own role on the default board.
+async function resolveBoardRole(boardId, agentInfo) {
+    const globalRole = (agentInfo.agentRole || '').toLowerCase();
+    if (globalRole === ROLES.FOUNDER) {
+        return ROLES.FOUNDER;
+    }
+    if (agentInfo.headerAsserted) {
+        return boardId === DEFAULT_BOARD_ID ? globalRole : null;
+    }
+
+    const member = await db.get(
+        'SELECT role FROM board_members WHERE board_id = $1 AND member_id = $2',
+        [boardId, agentInfo.agentId]
+    );
+    if (member) {
+        return member.role;
+    }
+
+    return boardId === DEFAULT_BOARD_ID ? globalRole : null;
+}
+
+async function attachBoard(req, res, next, boardId) {
+    try {
+        const board = await db.get('SELECT * FROM boards WHERE id = $1', [boardId]);
+        if (!board) {
+            return res.status(404).json({ error: 'Board not found' });
+        }
+
+        const role = await resolveBoardRole(board.id, getCallerIdentity(req));
+        if (!role) {
+            return res.status(403).json({ error: 'Not a member of this board' });
+        }
+
+        req.board = board;
+        req.boardRole = role;
+        next();
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+}
+
+// Board from :boardId (unscoped routes use the default board)
+const boardMiddleware = (req, res, next) => {
+    attachBoard(req, res, next, req.params.boardId || DEFAULT_BOARD_ID);
+};
+
+// Board of the task in :id - unknown tasks fall through to the route's 404,
+// tasks in the trash are treated as missing
+const taskBoardMiddleware = async (req, res, next) => {
+    try {
+        const task = await db.get('SELECT board_id, deleted_at FROM tasks WHERE id = $1', [req.params.id]);
+        if (!task) {
+            return next();
+        }
+        if (task.deleted_at) {
+            return res.status(404).json({ error: 'Task not found', reason: 'Task is in the trash' });
+        }
+        attachBoard(req, res, next, task.board_id || DEFAULT_BOARD_ID);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+};
+
+// Board of the trashed task in :id (trash routes only)
+const trashedTaskBoardMiddleware = async (req, res, next) => {
+    try {
+        const task = await db.get('SELECT board_id, deleted_at FROM tasks WHERE id = $1', [req.params.id]);
+        if (!task || !task.deleted_at) {
+            return res.status(404).json({ error: 'Task not in trash' });
+        }
+        attachBoard(req, res, next, task.board_id || DEFAULT_BOARD_ID);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+};
+
+// Board-level Founder (global Founders included) - must run after boardMiddleware
+const boardFounderMiddleware = (req, res, next) => {
+    if (req.boardRole === ROLES.FOUNDER) {
+        return next();
+    }
+    res.status(403).json({ error: 'Board founder role required' });
+};
+
+// ============ Labels ============
+
+const LABEL_DEFAULT_COLOR = '#6b7280';
+const LABEL_MAX_LENGTH = 50;
+
+// Label names are trimmed and lower-cased; accepts an array or a comma-separated string
+function parseLabelNames(input) {
+    if (input === undefined || input === null) return [];
+    const list = Array.isArray(input) ? input : String(input).split(',');
+    const names = list.map(name => String(name).trim().toLowerCase()).filter(Boolean);
+    return [...new Set(names)];
+}
+
+function isValidLabelColor(color) {
+    return /^#[0-9a-f]{6}$/i.test(color);
+}
+
+// Label rows for these names on a board, creating any that don't exist yet
+async function ensureLabels(boardId, names, createdBy) {
+    const labels = [];
+    for (const name of names) {
+        let label = await db.get('SELECT * FROM labels WHERE board_id = $1 AND name = $2', [boardId, name]);
+        if (!label) {
+            const id = Date.now().toString(36) + Math.random().toString(36).substr(2);
+            await db.run(
+                'INSERT INTO labels (id, board_id, name, color, created_by) VALUES ($1, $2, $3, $4, $5)',
+                [id, boardId, name, LABEL_DEFAULT_COLOR, createdBy]
+            );
+            label = await db.get('SELECT * FROM labels WHERE id = $1', [id]);
+        }
+        labels.push(label);
+    }
+    return labels;
+}
+
+// Replace a task's labels with exactly these names
+async function setTaskLabels(taskId, boardId, names, createdBy) {
+    const labels = await ensureLabels(boardId, names, createdBy);
+    await db.run('DELETE FROM task_labels WHERE task_id = $1', [taskId]);
+    for (const label of labels) {
+        await db.run('INSERT INTO task_labels (task_id, label_id) VALUES ($1, $2)', [taskId, label.id]);
+    }
+    return labels;
+}
+
+// Add a `labels` array ({ id, name, color }) to each task row
+async function attachLabels(rows) {
+    if (rows.length === 0) return rows;
+    const ids = rows.map(row => row.id);
+    const placeholders = ids.map((_, i) => `$${i + 1}`).join(', ');
+    const links = await db.all(
+        `SELECT tl.task_id, l.id, l.name, l.color FROM task_labels tl
+         JOIN labels l ON l.id = tl.label_id
+         WHERE tl.task_id IN (${placeholders})
+         ORDER BY l.name ASC`,
+        ids
+    );
+    return rows.map(row => ({
+        ...row,
+        labels: links
+            .filter(link => link.task_id === row.id)
+            .map(({ id, name, color }) => ({ id, name, color }))
+    }));
+}
+
+// ?label=a,b (has all) and ?label_not=c,d (has none) for task list queries
+function appendLabelFilters(sql, params, query) {
+    for (const name of parseLabelNames(query.label)) {
+        params.push(name);
+        sql += ` AND EXISTS (SELECT 1 FROM task_labels tl JOIN labels l ON l.id = tl.label_id
+                 WHERE tl.task_id = tasks.id AND l.name = $${params.length})`;
+    }
+    const excluded = parseLabelNames(query.label_not);
+    if (excluded.length) {
+        const placeholders = excluded.map(name => {
+            params.push(name);
+            return `$${params.length}`;
+        });
+        sql += ` AND NOT EXISTS (SELECT 1 FROM task_labels tl JOIN labels l ON l.id = tl.label_id
+                 WHERE tl.task_id = tasks.id AND l.name IN (${placeholders.join(', ')}))`;
+    }
+    return sql;
+}
+
+// Labels named "requires:<capability>" mark work only some agents can do
+const CAPABILITY_LABEL_PREFIX = 'requires:';
+
+// Keep only tasks whose "requires:" labels are all covered by `capabilities`
+function appendCapabilityFilter(sql, params, capabilities) {
+    params.push(`${CAPABILITY_LABEL_PREFIX}%`);
+    sql += ` AND NOT EXISTS (SELECT 1 FROM task_labels tl JOIN labels l ON l.id = tl.label_id
+             WHERE tl.task_id = tasks.id AND l.name LIKE $${params.length}`;
+    if (capabilities.length) {
+        const placeholders = capabilities.map(capability => {
+            params.push(`${CAPABILITY_LABEL_PREFIX}${capability}`);
+            return `$${params.length}`;
+        });
+        sql += ` AND l.name NOT IN (${placeholders.join(', ')})`;
+    }
+    return sql + ')';
+}
+
+// ============ Dependencies ============
+
+// Blockers of a task that aren't in the board's done status yet
+async function getOpenBlockers(task, workflow) {
+    return db.all(
+        `SELECT b.id, b.title, b.status FROM task_dependencies d
+         JOIN tasks b ON b.id = d.blocked_by
+         WHERE d.task_id = $1 AND b.status != $2 AND b.deleted_at IS NULL
+         ORDER BY b.created_at ASC`,
+        [task.id, getDoneStatus(workflow)]
+    );
+}
+
+// Would "taskId is blocked by blockerId" close a loop? True when taskId is
+// already reachable by following blockerId's own blockers.
+async function createsDependencyCycle(taskId, blockerId) {
+    const seen = new Set();
+    const queue = [blockerId];
+    while (queue.length > 0) {
+        const current = queue.shift();
+        if (current === taskId) return true;
+        if (seen.has(current)) continue;
+        seen.add(current);
+        const rows = await db.all('SELECT blocked_by FROM task_dependencies WHERE task_id = $1', [current]);
+        queue.push(...rows.map(row => row.blocked_by));
+    }
+    return false;
+}
+
+// Add a `blocked_by` array of blocker task ids to each task row
+async function attachDependencies(rows) {
+    if (rows.length === 0) return rows;
+    const ids = rows.map(row => row.id);
+    const placeholders = ids.map((_, i) => `$${i + 1}`).join(', ');
+    const links = await db.all(
+        `SELECT d.task_id, d.blocked_by FROM task_dependencies d JOIN tasks b ON b.id = d.blocked_by
+         WHERE d.task_id IN (${placeholders}) AND b.deleted_at IS NULL`,
+        ids
+    );
+    return rows.map(row => ({
+        ...row,
+        blocked_by: links.filter(link => link.task_id === row.id).map(link => link.blocked_by)
+    }));
+}
+
+// ?unblocked=true keeps only tasks whose blockers are all in `doneStatus`
+function appendUnblockedFilter(sql, params, query, doneStatus) {
+    if (query.unblocked !== 'true' && query.unblocked !== '1') {
+        return sql;
+    }
+    params.push(doneStatus);
+    return sql + ` AND NOT EXISTS (SELECT 1 FROM task_dependencies d JOIN tasks b ON b.id = d.blocked_by
+                   WHERE d.task_id = tasks.id AND b.status != $${params.length} AND b.deleted_at IS NULL)`;
+}
+
+// ============ Card Ranking ============
+
+// Cards are ordered by a fractional `rank` (lowest first) shared by the whole
+// board; each column shows its cards in rank order. Moving a card between two
+// others takes the midpoint of their ranks.
+const RANK_STEP = 1024;
+
+// Rank for a new card: after everything else on the board
+async function nextRank(boardId) {
+    const row = await db.get('SELECT MAX(rank) AS rank FROM tasks WHERE board_id = $1', [boardId]);
+    return row && row.rank !== null ? Number(row.rank) + RANK_STEP : RANK_STEP;
+}
+
+// Give unranked (pre-ranking) cards a rank, keeping the old newest-first order
+async function backfillRanks() {
+    const rows = await db.all('SELECT id, board_id FROM tasks WHERE rank IS NULL ORDER BY created_at DESC');
+    for (const row of rows) {
+        await db.run('UPDATE tasks SET rank = $1 WHERE id = $2', [await nextRank(row.board_id), row.id]);
+    }
+}
+
+// Renumber a board's ranks evenly once midpoints run out of float precision
+async function rebalanceRanks(boardId) {
+    const rows = await db.all('SELECT id FROM tasks WHERE board_id = $1 ORDER BY rank ASC', [boardId]);
+    for (let i = 0; i < rows.length; i++) {
+        await db.run('UPDATE tasks SET rank = $1 WHERE id = $2', [(i + 1) * RANK_STEP, rows[i].id]);
+    }
+}
+
+// Rank that places `task` directly before or after `target` (excluding the task itself)
+async function rankNextTo(task, target, position, retried = false) {
+    const targetRank = Number(target.rank);
+    const neighbour = position === 'before'
+        ? await db.get('SELECT MAX(rank) AS rank FROM tasks WHERE board_id = $1 AND rank < $2 AND id != $3', [target.board_id, targetRank, task.id])
+        : await db.get('SELECT MIN(rank) AS rank FROM tasks WHERE board_id = $1 AND rank > $2 AND id != $3', [target.board_id, targetRank, task.id]);
+
+    if (!neighbour || neighbour.rank === null) {
+        return position === 'before' ? targetRank - RANK_STEP : targetRank + RANK_STEP;
+    }
+
+    const rank = (targetRank + Number(neighbour.rank)) / 2;
+    if (rank !== targetRank && rank !== Number(neighbour.rank)) {
+        return rank;
+    }
+    if (retried) {
+        throw new Error('Could not find a free rank');
+    }
+    await rebalanceRanks(target.board_id);
+    const refreshed = await db.get('SELECT * FROM tasks WHERE id = $1', [target.id]);
+    return rankNextTo(task, refreshed, position, true);
+}
+
+// ============ Optimistic Concurrency ============
+
+// tasks.version goes up whenever a task's fields, status, owner or lease change
+// (not for rank moves). It is served as the ETag; writes that send If-Match
+// must name the current version or get 412.
+
+function taskETag(task) {
+    return `"${task.version}"`;
+}
+
+// No If-Match, If-Match: *, or a tag naming the task's current version
+function ifMatchSatisfied(req, task) {
+    const header = req.headers['if-match'];
+    if (!header || header.trim() === '*') return true;
+    return header.split(',').map(tag => tag.trim().replace(/^W\//, '')).includes(taskETag(task));
+}
+
+// 412 with the task as it is now, so the client can show what changed
+async function sendPreconditionFailed(res, taskId) {
+    const current = await db.get('SELECT * FROM tasks WHERE id = $1', [taskId]);
+    const [task] = current ? await attachLabels([current]) : [null];
+    if (task) res.set('ETag', taskETag(task));
+    return res.status(412).json({
+        error: 'Precondition failed',
+        reason: 'The task was changed by someone else since you loaded it',
+        current_version: task ? task.version : null,
+        task
+    });
+}
+
+// ============ Task Updates ============
+
+// PATCH semantics: a field missing from the body is left alone, null or "" clears it.
+// Cleared text fields are stored the way POST stores them when omitted ('' or NULL).
+const TASK_PRIORITIES = ['Low', 'Medium', 'High'];
+const TASK_UPDATE_FIELDS = {
+    title: { clearable: false },
+    description: { clearable: true, cleared: '' },
+    assignee: { clearable: true, cleared: '' },
+    owner_agent: { clearable: true, cleared: '' },
+    priority: { clearable: false },
+    status: { clearable: false },
+    due_date: { clearable: true, cleared: null },
+    branch: { clearable: true, cleared: null },
+    repo: { clearable: true, cleared: null }
+};
+
+function isValidDate(value) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value)) &&
+        new Date(value).toISOString().slice(0, 10) === value;
+}
+
+// The fields present in an already validated body (BODY_SCHEMAS.taskUpdate), with cleared ones normalized
+function parseTaskPatch(body) {
+    const patch = {};
+    for (const [field, spec] of Object.entries(TASK_UPDATE_FIELDS)) {
+        if (!Object.prototype.hasOwnProperty.call(body, field)) continue;
+        const value = body[field];
+        const cleared = value === null || (typeof value === 'string' && value.trim() === '');
+        patch[field] = cleared && spec.clearable ? spec.cleared : value;
+    }
+    return patch;
+}
+
+// { field: { from, to } } for every patched field whose value actually changes
+function diffTaskPatch(task, patch) {
+    const changes = {};
+    for (const [field, value] of Object.entries(patch)) {
+        const before = task[field] === undefined ? null : task[field];
+        if ((before || '') !== (value || '')) {
+            changes[field] = { from: before, to: value };
+        }
+    }
+    return changes;
+}
+
+// One task_changes row per field; values are stored as JSON so null, "" and label lists survive
+async function recordTaskChanges(task, changes, agentInfo) {
+    for (const [field, { from, to }] of Object.entries(changes)) {
+        await db.run(
+            `INSERT INTO task_changes (task_id, board_id, field, old_value, new_value, agent_id, agent_role)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+            [task.id, task.board_id || DEFAULT_BOARD_ID, field, JSON.stringify(from), JSON.stringify(to),
+                agentInfo.agentId || null, agentInfo.agentRole || null]
+        );
+    }
+}
+
+function describeChanges(changes) {
+    return Object.entries(changes)
+        .map(([field, { from, to }]) => {
+            const show = value => (Array.isArray(value) ? value.join(', ') : value) || 'none';
+            return field === 'title' ? `title: "${from}" → "${to}"` : `${field}: ${show(from)} → ${show(to)}`;
+        })
+        .join(', ');
+}
+
+// ============ Safety Gate Configuration ============
+
+// Role definitions
+const ROLES = {
+    FOUNDER: 'founder',
+    AGENT: 'agent',
+    MEMBER: 'member'
+};
+
+// ============ Unassigned Task Safety ============
+
+// Check if task is unassigned (null or empty string)
+function isUnassigned(task) {
+    return !task.owner_agent || task.owner_agent === '' || task.owner_agent === null;
+}
+
+// Validate action on unassigned task
+function validateUnassignedAction(task, agentInfo, action) {
+    const { agentId, agentRole } = agentInfo;
+    const role = (agentRole || '').toLowerCase();
+    
+    // Unassigned tasks can only be modified by Founder
+    if (isUnassigned(task)) {
+        if (role !== ROLES.FOUNDER) {
+            return {
+                allowed: false,
+                reason: `Cannot ${action} unassigned task. Only Founder can modify unassigned tasks.`
+            };
+        }
+    }
+    
+    return { allowed: true };
+}
+
+// Editing, reordering, deleting or archiving a task: its owner or a Founder only.
+// Unassigned tasks are Founder-only, as for moves (see validateUnassignedAction).
+function validateOwnerAction(task, agentInfo, action) {
+    const role = (agentInfo.agentRole || '').toLowerCase();
+    if (role === ROLES.FOUNDER) {
+        return { allowed: true };
+    }
+    if (isUnassigned(task)) {
+        return validateUnassignedAction(task, agentInfo, action);
+    }
+    if (task.owner_agent !== agentInfo.agentId) {
+        return { allowed: false, reason: `Only the owner (${task.owner_agent}) or Founder can ${action} this task` };
+    }
+    return { allowed: true };
+}
+
+// Naming someone else as owner_agent of a new task: Founders and agents only
+function validateOwnerOnCreate(agentInfo) {
+    const role = (agentInfo.agentRole || '').toLowerCase();
+    if (role !== ROLES.FOUNDER && role !== ROLES.AGENT) {
+        return { allowed: false, reason: 'Only Founder or Agents can create tasks for another owner' };
+    }
+    return { allowed: true };
+}
+
+// Changing an existing task's owner through an update. Taking an unassigned task
+// is a claim (WIP check, lease), so only a Founder may do it here; an assigned task
+// can only be handed on by its owner or a Founder - other agents claim it instead.
+function validateAssignmentAction(task, agentInfo) {
+    const role = (agentInfo.agentRole || '').toLowerCase();
+    if (isUnassigned(task)) {
+        if (role !== ROLES.FOUNDER) {
+            return { allowed: false, reason: `Task is unassigned. Claim it with POST /api/v2/tasks/${task.id}/claim instead.` };
+        }
+        return { allowed: true };
+    }
+    if (role !== ROLES.FOUNDER && task.owner_agent !== agentInfo.agentId) {
+        return {
+            allowed: false,
+            reason: `Task is assigned to ${task.owner_agent}. Only the owner or Founder can reassign it; release and claim to take it over.`
+        };
+    }
+    return { allowed: true };
+}
+
+// Validate claim action
+function validateClaimAction(task, agentInfo) {
+    const { agentId, agentRole } = agentInfo;
+    const role = (agentRole || '').toLowerCase();
+    
+    // Only agents can claim tasks
+    if (role !== ROLES.FOUNDER && role !== ROLES.AGENT) {
+        return {
+            allowed: false,
+            reason: 'Only Founder or Agents can claim tasks'
+        };
+    }
+    
+    // Cannot claim if already assigned to someone (unless their claim lease ran out)
+    if (!isUnassigned(task) && !isClaimExpired(task)) {
+        return {
+            allowed: false,
+            reason: `Task is already assigned to ${task.owner_agent}`
+        };
+    }
+    
+    return { allowed: true };
+}
+
+// ============ Claim Leases ============
+
+// Claims made with an API key expire unless the agent sends heartbeats.
+// The sweeper hands expired claims back (unassigned) so other agents can take them.
+const CLAIM_LEASE_SECONDS = parseInt(process.env.CLAIM_LEASE_SECONDS) || 900;
+const CLAIM_SWEEP_MS = 30000;
+
+function claimLeaseExpiry() {
+    return new Date(Date.now() + CLAIM_LEASE_SECONDS * 1000).toISOString();
+}
+
+function isClaimExpired(task) {
+    return Boolean(task.claim_expires_at) && task.claim_expires_at <= new Date().toISOString();
+}
+
+// Claims don't expire in the done status or in statuses with claim_lease: false
+function statusHoldsLease(workflow, status) {
+    const config = workflow.statuses.find(s => s.name === status);
+    return status !== getDoneStatus(workflow) && !(config && config.claim_lease === false);
+}
+
+// Lease end for a new claim. People (session or owner password) don't heartbeat,
+// so their claims hold until released like any other assignment.
+function claimExpiryFor(req, workflow, status) {
+    return req.apiKey && statusHoldsLease(workflow, status) ? claimLeaseExpiry() : null;
+}
+
+const SYSTEM_AGENT = { agentId: 'system', agentRole: 'system' };
+
+// Return expired claims to unassigned and log claim_expired
+let claimSweepBusy = false;
+async function sweepExpiredClaims() {
+    if (claimSweepBusy) return;
+    claimSweepBusy = true;
+    try {
+        const expired = await db.all(
+            'SELECT * FROM tasks WHERE claim_expires_at IS NOT NULL AND claim_expires_at <= $1',
+            [new Date().toISOString()]
+        );
+        for (const task of expired) {
+            // Only clear the lease we read; if a heartbeat landed in between, nothing expired
+            const result = await db.run(
+                'UPDATE tasks SET owner_agent = NULL, claim_expires_at = NULL, version = version + 1, updated_at = ' + now() + ' WHERE id = $1 AND claim_expires_at = $2',
+                [task.id, task.claim_expires_at]
+            );
+            if (!result.changes) continue;
+            logActivity('claim_expired', task.id, task.title,
+                `Claim by ${task.owner_agent} expired at ${task.claim_expires_at}; task is unassigned again`,
+                { ...SYSTEM_AGENT, boardId: task.board_id });
+            publishTaskEvent('task.updated', task.id);
+        }
+    } catch (err) {
+        console.error('Claim sweep error:', err);
+    } finally {
+        claimSweepBusy = false;
+    }
+}
+
+// ============ Trash & Archive ============
+
+// Deleting a task moves it to the trash (deleted_at); it can be restored until
+// TRASH_RETENTION_DAYS have passed, then the sweeper purges it for good.
+// Archiving (archived_at) hides finished work from the board without an expiry.
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+const TRASH_SWEEP_MS = 60 * 60 * 1000;
+
+function trashPurgeAt(task) {
+    return new Date(Date.parse(task.deleted_at) + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+}
+
+// Task lists hide trashed tasks, and archived ones unless ?archived=true (which lists only the archive)
+function appendArchiveFilter(sql, query) {
+    return sql + (query.archived === 'true'
+        ? ' AND deleted_at IS NULL AND archived_at IS NOT NULL'
+        : ' AND deleted_at IS NULL AND archived_at IS NULL');
+}
+
+// Remove a task and everything hanging off it; the activity log is kept
+async function purgeTask(taskId) {
+    await db.run('DELETE FROM tasks WHERE id = $1', [taskId]);
+    await db.run('DELETE FROM task_labels WHERE task_id = $1', [taskId]);
+    await db.run('DELETE FROM task_dependencies WHERE task_id = $1 OR blocked_by = $1', [taskId]);
+    await db.run('DELETE FROM comments WHERE task_id = $1', [taskId]);
+    await db.run('DELETE FROM task_changes WHERE task_id = $1', [taskId]);
+    await db.run('DELETE FROM reminders WHERE task_id = $1', [taskId]);
+}
+
+// Purge trashed tasks past their retention period
+let trashSweepBusy = false;
+async function purgeExpiredTrash() {
+    if (trashSweepBusy) return;
+    trashSweepBusy = true;
+    try {
+        const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+        const expired = await db.all('SELECT * FROM tasks WHERE deleted_at IS NOT NULL AND deleted_at <= $1', [cutoff]);
+        for (const task of expired) {
+            await purgeTask(task.id);
+            logActivity('purge', task.id, task.title,
+                `Purged "${task.title}" after ${TRASH_RETENTION_DAYS} days in the trash`,
+                { ...SYSTEM_AGENT, boardId: task.board_id });
+        }
+    } catch (err) {
+        console.error('Trash sweep error:', err);
+    } finally {
+        trashSweepBusy = false;
+    }
+}
+
+// ============ List Filters & Pagination ============
+
+// Lists page by keyset: ?limit=n returns n rows and, when there are more, an opaque
+// cursor for the next page in X-Next-Cursor (and a Link rel="next" header).
+// Bodies stay plain arrays so existing clients keep working.
+const PAGE_LIMIT_MAX = 500;
+
+function encodeCursor(values) {
+    return Buffer.from(JSON.stringify(values)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+        return Array.isArray(values) ? values : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+// Stored timestamps are "YYYY-MM-DD HH:MM:SS..." text, so compare in that form
+function toDbTimestamp(value) {
+    return new Date(value).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+function isValidTimestamp(value) {
+    return typeof value === 'string' && value !== '' && !isNaN(Date.parse(value));
+}
+
+function parseList(value) {
+    return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function appendInFilter(sql, params, column, values) {
+    const placeholders = values.map((_, i) => `$${params.length + i + 1}`);
+    params.push(...values);
+    return sql + ` AND ${column} IN (${placeholders.join(', ')})`;
+}
+
+// Task list filters; invalid values are reported in `errors` by query parameter (see addFieldError)
+function appendTaskListFilters(sql, params, query, doneStatus, errors) {
+    if (query.status) {
+        sql = appendInFilter(sql, params, 'status', parseList(query.status));
+    }
+    if (query.priority) {
+        const priorities = parseList(query.priority);
+        const unknown = priorities.filter(priority => !TASK_PRIORITIES.includes(priority));
+        if (unknown.length > 0) {
+            addFieldError(errors, 'priority', 'invalid_value', `must be one of ${TASK_PRIORITIES.join(', ')}`);
+        } else {
+            sql = appendInFilter(sql, params, 'priority', priorities);
+        }
+    }
+    for (const column of ['owner_agent', 'assignee', 'repo', 'branch']) {
+        if (query[column]) {
+            params.push(query[column]);
+            sql += ` AND ${column} = $${params.length}`;
+        }
+    }
+    for (const [param, op] of [['due_after', '>='], ['due_before', '<=']]) {
+        if (query[param] === undefined) continue;
+        if (!isValidDate(query[param])) {
+            addFieldError(errors, param, 'invalid_format', 'must be a date in YYYY-MM-DD format');
+            continue;
+        }
+        params.push(query[param]);
+        sql += ` AND due_date IS NOT NULL AND due_date <> '' AND due_date ${op} $${params.length}`;
+    }
+    if (query.updated_since !== undefined) {
+        if (!isValidTimestamp(query.updated_since)) {
+            addFieldError(errors, 'updated_since', 'invalid_format', 'must be an ISO 8601 timestamp');
+        } else {
+            params.push(toDbTimestamp(query.updated_since));
+            sql += ` AND updated_at >= $${params.length}`;
+        }
+    }
+    // Overdue: due before today and not yet done
+    if (query.overdue === 'true') {
+        params.push(new Date().toISOString().slice(0, 10), doneStatus);
+        sql += ` AND due_date IS NOT NULL AND due_date <> '' AND due_date < $${params.length - 1} AND status <> $${params.length}`;
+    }
+    return sql;
+}
+
+// Activity filters: agent, action(s), task and a created_at range
+function appendActivityFilters(sql, params, query, errors) {
+    if (query.agent_id) {
+        params.push(query.agent_id);
+        sql += ` AND agent_id = $${params.length}`;
+    }
+    if (query.action) {
+        sql = appendInFilter(sql, params, 'action', parseList(query.action));
+    }
+    if (query.task_id) {
+        params.push(query.task_id);
+        sql += ` AND task_id = $${params.length}`;
+    }
+    for (const [param, op] of [['since', '>='], ['until', '<']]) {
+        if (query[param] === undefined) continue;
+        if (!isValidTimestamp(query[param])) {
+            addFieldError(errors, param, 'invalid_format', 'must be an ISO 8601 timestamp');
+            continue;
+        }
+        params.push(toDbTimestamp(query[param]));
+        sql += ` AND created_at ${op} $${params.length}`;
+    }
+    return sql;
+}
+
+// Append the cursor condition, ORDER BY and LIMIT for ordering by `columns`
+// (unique together, all in `direction`). Fetches one extra row to detect a next page.
+function appendPage(sql, params, query, { columns, direction, defaultLimit = null }, errors) {
+    let limit = defaultLimit;
+    if (query.limit !== undefined) {
+        limit = Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > PAGE_LIMIT_MAX) {
+            addFieldError(errors, 'limit', 'out_of_range', `must be an integer from 1 to ${PAGE_LIMIT_MAX}`);
+        }
+    }
+    if (query.cursor !== undefined) {
+        const after = decodeCursor(query.cursor);
+        if (!after || after.length !== columns.length) {
+            addFieldError(errors, 'cursor', 'invalid_value', 'is not a cursor from this list');
+        } else {
+            const placeholders = after.map((_, i) => `$${params.length + i + 1}`);
+            params.push(...after);
+            sql += ` AND (${columns.join(', ')}) ${direction === 'DESC' ? '<' : '>'} (${placeholders.join(', ')})`;
+        }
+    }
+    sql += ' ORDER BY ' + columns.map(column => `${column} ${direction}`).join(', ');
+    if (limit && !errors.limit) {
+        sql += ` LIMIT ${limit + 1}`;
+    }
+    return { sql, limit };
+}
+
+// Trim the look-ahead row and advertise the next page; returns this page's rows
+function sendPageHeaders(req, res, rows, limit, columns) {
+    if (!limit || rows.length <= limit) {
+        return rows;
+    }
+    const page = rows.slice(0, limit);
+    const last = page[page.length - 1];
+    const cursor = encodeCursor(columns.map(column => last[column]));
+    const next = new URLSearchParams({ ...req.query, cursor });
+    res.set('X-Next-Cursor', cursor);
+    // Appended, so a deprecated alias keeps its successor-version link
+    res.append('Link', `<${req.baseUrl}${req.path}?${next}>; rel="next"`);
+    return page;
+}
+
+// ============ Workflow ============
+
+// Default workflow: ordered statuses plus the safety-gate rule for entering
+// each status. Boards can replace it via PUT /api/boards/:boardId/workflow.
+const DEFAULT_WORKFLOW = {
+    statuses: [
+        { name: 'Agent Inbox', emoji: '📥' },
+        { name: 'Backlog', emoji: '🗂' },
+        { name: 'To Do', emoji: '📝' },
+        { name: 'Ongoing', emoji: '🚧' },
+        { name: 'Review', emoji: '👀', claim_lease: false },
+        { name: 'Done', emoji: '✅' }
+    ],
+    transitions: {
+        // Work lock: only assigned agent can move to Ongoing, and only once
+        // every task it's blocked by is Done
+        'Ongoing': {
+            requires_ownership: true,
+            requires_unblocked: true,
+            from_statuses: ['To Do', 'Backlog', 'Agent Inbox'],
+            allowed_roles: [ROLES.FOUNDER, ROLES.AGENT, ROLES.MEMBER]
+        },
+        // Review → Done restriction to Founder only
+        'Done': {
+            requires_founder: true,
+            from_statuses: ['Review', 'Ongoing'],
+            allowed_roles: [ROLES.FOUNDER]
+        },
+        // Review entry: assigned agent or founder
+        'Review': {
+            requires_ownership: true,
+            from_statuses: ['Ongoing'],
+            allowed_roles: [ROLES.FOUNDER, ROLES.AGENT, ROLES.MEMBER]
+        }
+    }
+};
+
+// Workflow for a board (the default workflow unless the board has its own)
+async function getWorkflow(boardId) {
+    const row = await db.get('SELECT definition FROM workflows WHERE board_id = $1', [boardId]);
+    return row ? JSON.parse(row.definition) : DEFAULT_WORKFLOW;
+}
+
+function getStatusNames(workflow) {
+    return workflow.statuses.map(status => status.name);
+}
+
+// Status for a new task: the requested one, else the preferred default if the
+// workflow has it, else the workflow's first status. Returns null if invalid.
+function resolveInitialStatus(workflow, requested, preferred) {
+    const statusNames = getStatusNames(workflow);
+    if (requested) {
+        return statusNames.includes(requested) ? requested : null;
+    }
+    return statusNames.includes(preferred) ? preferred : statusNames[0];
+}
+
+// A new task can start in any status without a transition rule; statuses guarded
+// by one (Ongoing, Review and Done by default) are reached by moving the task, so
+// only a Founder may create straight into them. The WIP limit applies to everyone.
+async function validateInitialStatus(workflow, task, agentInfo) {
+    const role = (agentInfo.agentRole || '').toLowerCase();
+    if (workflow.transitions[task.status] && role !== ROLES.FOUNDER) {
+        const entryStatuses = getStatusNames(workflow).filter(name => !workflow.transitions[name]);
+        return {
+            allowed: false,
+            reason: `New tasks can't start in "${task.status}". Create it in ${entryStatuses.join(', ')} and move it there.`
+        };
+    }
+    return checkWipLimit(workflow, task, task.status);
+}
+
+// The last status in a workflow is its terminal ("done") column
+function getDoneStatus(workflow) {
+    return workflow.statuses[workflow.statuses.length - 1].name;
+}
+
+// ============ WIP Limits ============
+
+// A status's wip_limit applies to the whole column ('global', the default)
+// or to each owner_agent separately ('owner_agent')
+const WIP_LIMIT_SCOPES = ['global', 'owner_agent'];
+
+// Check whether moving `task` into `status` (owned by `ownerAgent`) stays
+// within the status's WIP limit. The task itself is never counted.
+async function checkWipLimit(workflow, task, status, ownerAgent = task.owner_agent, options = {}) {
+    const config = workflow.statuses.find(s => s.name === status);
+    if (!config || !config.wip_limit) {
+        return { allowed: true };
+    }
+
+    const scope = config.wip_limit_scope || 'global';
+    if (options.perOwnerOnly && scope !== 'owner_agent') {
+        return { allowed: true };
+    }
+    // Unassigned tasks don't count against any agent
+    if (scope === 'owner_agent' && !ownerAgent) {
+        return { allowed: true };
+    }
+
+    let sql = 'SELECT COUNT(*) as count FROM tasks WHERE board_id = $1 AND status = $2 AND id != $3 AND deleted_at IS NULL AND archived_at IS NULL';
+    const params = [task.board_id || DEFAULT_BOARD_ID, status, task.id];
+    if (scope === 'owner_agent') {
+        sql += ' AND owner_agent = $4';
+        params.push(ownerAgent);
+    }
+
+    const row = await db.get(sql, params);
+    const count = Number(row?.count || 0);
+    if (count < config.wip_limit) {
+        return { allowed: true };
+    }
+
+    return {
+        allowed: false,
+        reason: scope === 'owner_agent'
+            ? `WIP limit reached: ${ownerAgent} already has ${count}/${config.wip_limit} tasks in "${status}"`
+            : `WIP limit reached: "${status}" already has ${count}/${config.wip_limit} tasks`,
+        wipLimit: { status, limit: config.wip_limit, count, scope }
+    };
+}
+
+// Returns { field, message } for the first problem, or null if the definition is valid
+function validateWorkflowDefinition(definition) {
+    if (!definition || !Array.isArray(definition.statuses) || definition.statuses.length === 0) {
+        return { field: 'statuses', message: 'must be a non-empty array' };
+    }
+
+    const names = [];
+    for (const status of definition.statuses) {
+        if (!status || typeof status.name !== 'string' || !status.name.trim()) {
+            return { field: 'statuses', message: 'every status needs a name' };
+        }
+        if (names.includes(status.name)) {
+            return { field: 'statuses', message: `duplicate status "${status.name}"` };
+        }
+        if (status.wip_limit !== undefined && status.wip_limit !== null &&
+            !(Number.isInteger(status.wip_limit) && status.wip_limit > 0)) {
+            return { field: 'statuses', message: `wip_limit for "${status.name}" must be a positive integer` };
+        }
+        if (status.wip_limit_scope !== undefined && !WIP_LIMIT_SCOPES.includes(status.wip_limit_scope)) {
+            return { field: 'statuses', message: `wip_limit_scope for "${status.name}" must be one of: ${WIP_LIMIT_SCOPES.join(', ')}` };
+        }
+        if (status.claim_lease !== undefined && typeof status.claim_lease !== 'boolean') {
+            return { field: 'statuses', message: `claim_lease for "${status.name}" must be true or false` };
+        }
+        names.push(status.name);
+    }
+
+    const transitions = definition.transitions || {};
+    if (typeof transitions !== 'object' || Array.isArray(transitions)) {
+        return { field: 'transitions', message: 'must be an object keyed by target status' };
+    }
+
+    const roles = Object.values(ROLES);
+    for (const [target, rule] of Object.entries(transitions)) {
+        if (!names.includes(target)) {
+            return { field: 'transitions', message: `target "${target}" is not a status` };
+        }
+        const unknownFrom = (rule.from_statuses || []).filter(name => !names.includes(name));
+        if (unknownFrom.length > 0) {
+            return { field: 'transitions', message: `"${target}" references unknown statuses: ${unknownFrom.join(', ')}` };
+        }
+        const unknownRoles = (rule.allowed_roles || []).filter(role => !roles.includes(role));
+        if (unknownRoles.length > 0) {
+            return { field: 'transitions', message: `"${target}" references unknown roles: ${unknownRoles.join(', ')}` };
+        }
+    }
+
+    return null;
+}
+
+// ============ Safety Gate Validation ============
+
+async function validateTransition(task, newStatus, agentInfo, workflow = DEFAULT_WORKFLOW) {
+    const { agentId, agentRole } = agentInfo;
+    
+    // Target must be a status in this board's workflow
+    const statusNames = getStatusNames(workflow);
+    if (!statusNames.includes(newStatus)) {
+        return {
+            allowed: false,
+            reason: `Unknown status "${newStatus}". Valid: ${statusNames.join(', ')}`
+        };
+    }
+
+    // ============ Unassigned Task Safety ============
+    // Only Founder can move/change status of unassigned tasks
+    const unassignedCheck = validateUnassignedAction(task, agentInfo, 'move or change status');
+    if (!unassignedCheck.allowed) {
+        return unassignedCheck;
+    }
+    // ===============================================
+    
+    const rule = workflow.transitions[newStatus];
+
+    // If no special rule for this transition, only the WIP limit applies
+    if (!rule) {
+        return checkWipLimit(workflow, task, newStatus);
+    }
+
+    // Check if transition is valid for this status
+    if (rule.from_statuses && !rule.from_statuses.includes(task.status)) {
+        return {
+            allowed: false,
+            reason: `Cannot transition from "${task.status}" to "${newStatus}". Valid from: ${rule.from_statuses.join(', ')}`
+        };
+    }
+
+    // Check role restrictions
+    const actorRole = (agentRole || '').toLowerCase();
+    if (rule.requires_founder && actorRole !== ROLES.FOUNDER) {
+        return {
+            allowed: false,
+            reason: 'Only Founder can complete this transition'
+        };
+    }
+
+    if (rule.allowed_roles && !rule.allowed_roles.includes(actorRole)) {
+        return {
+            allowed: false,
+            reason: `Role "${actorRole || 'none'}" cannot move tasks to "${newStatus}". Allowed: ${rule.allowed_roles.join(', ')}`
+        };
+    }
+
+    // Check ownership requirement (only assigned agent can move to certain statuses)
+    if (rule.requires_ownership) {
+        const isOwner = task.owner_agent === agentId || task.assignee === agentId;
+        const isFounder = actorRole === ROLES.FOUNDER;
+        if (!isOwner && !isFounder) {
+            return {
+                allowed: false,
+                reason: `Only the assigned agent (${task.owner_agent || task.assignee}) can move to "${newStatus}"`
+            };
+        }
+    }
+
+    // Dependency gate: blockers must be finished before work starts
+    if (rule.requires_unblocked) {
+        const blockers = await getOpenBlockers(task, workflow);
+        if (blockers.length > 0) {
+            return {
+                allowed: false,
+                reason: `Blocked by unfinished tasks: ${blockers.map(b => `"${b.title}" (${b.id}, ${b.status})`).join(', ')}`,
+                blockedBy: blockers
+            };
+        }
+    }
+
+    return checkWipLimit(workflow, task, newStatus);
+}
+
+// ============ Request Validation ============
+
+// Write routes declare their body as a schema in a small JSON Schema subset:
+// type (or a list of types), required, properties, items, enum, minLength/maxLength,
+// minimum/maximum, minItems and format, plus
+//   nullable              null and "" are accepted (they clear the field or pick the default)
+//   ignoreCase            enum values match case-insensitively
+//   commaSeparated        an array or a comma-separated string; items apply to each entry
+//   'x-workflow-status'   must be a status in the board's workflow
+// Failures are answered with 400 and { error, fields: { field: message }, errors: [{ field, code, message }] }
+// where code is one of required, invalid_type, invalid_value, invalid_format, too_short,
+// too_long or out_of_range.
+const TITLE_MAX_LENGTH = 200;
+const TEXT_MAX_LENGTH = 10000;
+const NAME_MAX_LENGTH = 100;
+const REF_MAX_LENGTH = 255;
+
+const TYPE_NAMES = {
+    string: 'a string',
+    integer: 'an integer',
+    number: 'a number',
+    boolean: 'true or false',
+    array: 'an array',
+    object: 'an object'
+};
+
+const FORMATS = {
+    date: { test: isValidDate, message: 'must be a date in YYYY-MM-DD format' },
+    color: { test: isValidLabelColor, message: 'must be a hex colour like #3b82f6' },
+    slug: { test: value => /^[a-z0-9][a-z0-9-]*$/.test(value), message: 'must contain only lowercase letters, digits and dashes' },
+    uri: {
+        test: value => {
+            try {
+                return ['http:', 'https:'].includes(new URL(value).protocol);
+            } catch {
+                return false;
+            }
+        },
+        message: 'must be an http or https URL'
+    }
+};
+
+// Keeps the first problem reported for each field
+function addFieldError(errors, field, code, message) {
+    if (!errors[field]) {
+        errors[field] = { code, message };
+    }
+    return errors;
+}
+
+function sendValidationError(res, errors, error = 'Invalid request body') {
+    const entries = Object.entries(errors);
+    res.status(400).json({
+        error,
+        fields: Object.fromEntries(entries.map(([field, { message }]) => [field, message])),
+        errors: entries.map(([field, { code, message }]) => ({ field, code, message }))
+    });
+}
+
+function typeOfValue(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOfValue(value);
+    if (type === 'integer') return Number.isInteger(value);
+    if (type === 'number') return actual === 'number' && Number.isFinite(value);
+    return actual === type;
+}
+
+// Check one value against its schema, recording problems under `field` (a path like statuses[0].name)
+async function checkValue(schema, value, field, errors, context) {
+    const blank = value === null || (typeof value === 'string' && value.trim() === '');
+    if (blank) {
+        if (!schema.nullable) {
+            addFieldError(errors, field, 'required', 'is required');
+        }
+        return;
+    }
+
+    const types = [].concat(schema.type || []);
+    if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+        const expected = types.map(type => TYPE_NAMES[type]).join(' or ');
+        addFieldError(errors, field, 'invalid_type', `must be ${expected}${schema.nullable ? ' or null' : ''}`);
+        return;
+    }
+
+    if (typeof value === 'string') {
+        if (schema.commaSeparated) {
+            await checkItems(schema, value.split(',').map(item => item.trim()).filter(Boolean), field, errors, context);
+            return;
+        }
+        if (schema.minLength && value.trim().length < schema.minLength) {
+            addFieldError(errors, field, 'too_short', `must be at least ${schema.minLength} characters`);
+        } else if (schema.maxLength && value.length > schema.maxLength) {
+            addFieldError(errors, field, 'too_long', `must be at most ${schema.maxLength} characters`);
+        } else if (schema.format && !FORMATS[schema.format].test(value)) {
+            addFieldError(errors, field, 'invalid_format', FORMATS[schema.format].message);
+        }
+    }
+
+    if (schema.enum) {
+        const candidate = schema.ignoreCase && typeof value === 'string' ? value.toLowerCase() : value;
+        if (!schema.enum.includes(candidate)) {
+            addFieldError(errors, field, 'invalid_value', `must be one of ${schema.enum.join(', ')}`);
+        }
+    }
+
+    if (schema['x-workflow-status'] && context.req.board) {
+        if (!context.workflow) {
+            context.workflow = await getWorkflow(context.req.board.id);
+        }
+        const statusNames = getStatusNames(context.workflow);
+        if (!statusNames.includes(value)) {
+            addFieldError(errors, field, 'invalid_value', `must be one of ${statusNames.join(', ')}`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            addFieldError(errors, field, 'out_of_range', `must be at least ${schema.minimum}`);
+        } else if (schema.maximum !== undefined && value > schema.maximum) {
+            addFieldError(errors, field, 'out_of_range', `must be at most ${schema.maximum}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        await checkItems(schema, value, field, errors, context);
+    }
+
+    if (typeOfValue(value) === 'object') {
+        for (const name of schema.required || []) {
+            if (value[name] === undefined) {
+                addFieldError(errors, field ? `${field}.${name}` : name, 'required', 'is required');
+            }
+        }
+        for (const [name, property] of Object.entries(schema.properties || {})) {
+            if (value[name] !== undefined) {
+                await checkValue(property, value[name], field ? `${field}.${name}` : name, errors, context);
+            }
+        }
+    }
+}
+
+async function checkItems(schema, items, field, errors, context) {
+    if (schema.minItems && items.length < schema.minItems) {
+        addFieldError(errors, field, 'too_short', `must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+        return;
+    }
+    if (!schema.items) return;
+    for (let i = 0; i < items.length; i++) {
+        await checkValue(schema.items, items[i], schema.commaSeparated ? field : `${field}[${i}]`, errors, context);
+    }
+}
+
+// Validate req.body before the handler runs. Unknown fields are ignored.
+// Runs after the board middleware so workflow statuses resolve against the right board.
+function validateBody(schema) {
+    const middleware = async (req, res, next) => {
+        try {
+            const errors = {};
+            const body = req.body === undefined ? {} : req.body;
+            if (typeOfValue(body) !== 'object') {
+                addFieldError(errors, 'body', 'invalid_type', 'must be a JSON object');
+            } else {
+                await checkValue(schema, body, '', errors, { req });
+            }
+            if (Object.keys(errors).length > 0) {
+                return sendValidationError(res, errors);
+            }
+            next();
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    };
+    middleware.schema = schema;
+    return middleware;
+}
+
+const LABEL_LIST_SCHEMA = {
+    type: ['array', 'string'],
+    commaSeparated: true,
+    nullable: true,
+    items: { type: 'string', maxLength: LABEL_MAX_LENGTH }
+};
+
+// Task fields shared by create and update; create marks title required and lets
+// priority and status fall back to their defaults
+const TASK_FIELD_SCHEMAS = {
+    title: { type: 'string', minLength: 1, maxLength: TITLE_MAX_LENGTH },
+    description: { type: 'string', maxLength: TEXT_MAX_LENGTH, nullable: true },
+    assignee: { type: 'string', maxLength: NAME_MAX_LENGTH, nullable: true },
+    owner_agent: { type: 'string', maxLength: NAME_MAX_LENGTH, nullable: true },
+    priority: { type: 'string', enum: TASK_PRIORITIES },
+    status: { type: 'string', 'x-workflow-status': true },
+    due_date: { type: 'string', format: 'date', nullable: true },
+    branch: { type: 'string', maxLength: REF_MAX_LENGTH, nullable: true },
+    repo: { type: 'string', maxLength: REF_MAX_LENGTH, nullable: true },
+    labels: LABEL_LIST_SCHEMA
+};
+
+const WEBHOOK_FIELD_SCHEMAS = {
+    url: { type: 'string', format: 'uri', maxLength: 2048 },
+    events: {
+        type: ['array', 'string'],
+        commaSeparated: true,
+        nullable: true,
+        minItems: 1,
+        items: { type: 'string', enum: ['*', ...WEBHOOK_EVENTS] }
+    },
+    board_id: { type: 'string', maxLength: NAME_MAX_LENGTH, nullable: true },
+    description: { type: 'string', maxLength: TEXT_MAX_LENGTH, nullable: true }
+};
+
+const BODY_SCHEMAS = {
+    login: {
+        type: 'object',
+        required: ['username', 'password'],
+        properties: {
+            username: { type: 'string', minLength: 1, maxLength: NAME_MAX_LENGTH },
+            password: { type: 'string', minLength: 1, maxLength: 1024 }
+        }
+    },
+    userCreate: {
+        type: 'object',
+        required: ['username', 'password'],
+        properties: {
+            username: { type: 'string', minLength: 1, maxLength: NAME_MAX_LENGTH },
+            password: { type: 'string', minLength: MIN_PASSWORD_LENGTH, maxLength: 1024 },
+            display_name: { type: 'string', maxLength: NAME_MAX_LENGTH, nullable: true },
+            role: { type: 'string', enum: Object.values(ROLES), ignoreCase: true, nullable: true }
+        }
+    },
+    boardCreate: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+            id: { type: 'string', format: 'slug', maxLength: NAME_MAX_LENGTH, nullable: true },
+            name: { type: 'string', minLength: 1, maxLength: NAME_MAX_LENGTH },
+            description: { type: 'string', maxLength: TEXT_MAX_LENGTH, nullable: true }
+        }
+    },
+    boardMember: {
+        type: 'object',
+        properties: {
+            role: { type: 'string', enum: Object.values(ROLES), ignoreCase: true, nullable: true }
+        }
+    },
+    workflow: {
+        type: 'object',
+        required: ['statuses'],
+        properties: {
+            statuses: {
+                type: 'array',
+                minItems: 1,
+                items: {
+                    type: 'object',
+                    required: ['name'],
+                    properties: {
+                        name: { type: 'string', minLength: 1, maxLength: NAME_MAX_LENGTH },
+                        wip_limit: { type: 'integer', minimum: 1, nullable: true },
+                        wip_limit_scope: { type: 'string', enum: WIP_LIMIT_SCOPES },
+                        claim_lease: { type: 'boolean' }
+                    }
+                }
+            },
+            transitions: { type: 'object', nullable: true }
+        }
+    },
+    labelCreate: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+            name: { type: 'string', minLength: 1, maxLength: LABEL_MAX_LENGTH },
+            color: { type: 'string', format: 'color', nullable: true }
+        }
+    },
+    labelUpdate: {
+        type: 'object',
+        properties: {
+            name: { type: 'string', minLength: 1, maxLength: LABEL_MAX_LENGTH },
+            color: { type: 'string', format: 'color' }
+        }
+    },
+    dependency: {
+        type: 'object',
+        required: ['blocked_by'],
+        properties: {
+            blocked_by: { type: 'string', minLength: 1, maxLength: NAME_MAX_LENGTH }
+        }
+    },
+    reorder: {
+        type: 'object',
+        properties: {
+            before: { type: 'string', maxLength: NAME_MAX_LENGTH, nullable: true },
+            after: { type: 'string', maxLength: NAME_MAX_LENGTH, nullable: true }
+        }
+    },
+    taskCreate: {
+        type: 'object',
+        required: ['title'],
+        properties: {
+            ...TASK_FIELD_SCHEMAS,
+            priority: { ...TASK_FIELD_SCHEMAS.priority, nullable: true },
+            status: { ...TASK_FIELD_SCHEMAS.status, nullable: true }
+        }
+    },
+    taskUpdate: {
+        type: 'object',
+        properties: TASK_FIELD_SCHEMAS
+    },
+    comment: {
+        type: 'object',
+        required: ['content'],
+        properties: {
+            content: { type: 'string', minLength: 1, maxLength: TEXT_MAX_LENGTH }
+        }
+    },
+    transition: {
+        type: 'object',
+        required: ['status'],
+        properties: {
+            status: TASK_FIELD_SCHEMAS.status
+        }
+    },
+    claimNext: {
+        type: 'object',
+        properties: {
+            status: { ...TASK_FIELD_SCHEMAS.status, nullable: true },
+            labels: LABEL_LIST_SCHEMA,
+            capabilities: LABEL_LIST_SCHEMA,
+            max_in_flight: { type: 'integer', minimum: 1, nullable: true }
+        }
+    },
+    apiKeyCreate: {
+        type: 'object',
+        required: ['agent_id'],
+        properties: {
+            name: { type: 'string', maxLength: NAME_MAX_LENGTH, nullable: true },
+            agent_id: { type: 'string', minLength: 1, maxLength: NAME_MAX_LENGTH },
+            agent_role: { type: 'string', enum: Object.values(ROLES), ignoreCase: true, nullable: true },
+            scopes: {
+                type: ['array', 'string'],
+                commaSeparated: true,
+                nullable: true,
+                minItems: 1,
+                items: { type: 'string', enum: API_KEY_SCOPES }
+            }
+        }
+    },
+    webhookCreate: {
+        type: 'object',
+        required: ['url'],
+        properties: {
+            ...WEBHOOK_FIELD_SCHEMAS,
+            secret: { type: 'string', maxLength: 256, nullable: true }
+        }
+    },
+    webhookUpdate: {
+        type: 'object',
+        properties: {
+            ...WEBHOOK_FIELD_SCHEMAS,
+            active: { type: 'boolean' }
+        }
+    }
+};
+
+// ============ API Documentation ============
+
+// Each route starts its middleware chain with apiDoc(summary, options), a pass-through
+// that carries what can't be read off the chain itself. GET /api/openapi.json walks
+// the registered routes and combines these with their auth, scope and body schemas.
+//   response   component name of the success body ('Task', 'Task[]'), or null for none
+//   status     success status code (default 200)
+//   query      query parameter names, from QUERY_PARAMS
+//   errors     status codes beyond the ones implied by the chain (400, 401, 403, 404)
+//   responses  extra non-error responses as { code: description }
+function apiDoc(summary, options = {}) {
+    const middleware = (req, res, next) => next();
+    middleware.doc = { summary, ...options };
+    return middleware;
+}
+
+const QUERY_PARAMS = {
+    status: { type: 'string', description: 'Comma-separated task statuses, or one delivery status (pending, delivered, failed)' },
+    priority: { type: 'string', description: `Comma-separated priorities (${TASK_PRIORITIES.join(', ')})` },
+    owner_agent: { type: 'string', description: 'Exact owner agent id' },
+    assignee: { type: 'string', description: 'Exact assignee' },
+    repo: { type: 'string', description: 'Exact repository' },
+    branch: { type: 'string', description: 'Exact branch' },
+    due_after: { type: 'string', format: 'date', description: 'Due on or after this date' },
+    due_before: { type: 'string', format: 'date', description: 'Due on or before this date' },
+    updated_since: { type: 'string', format: 'date-time', description: 'Changed at or after this time' },
+    overdue: { type: 'boolean', description: 'Only tasks past their due date and not done' },
+    label: { type: 'string', description: 'Comma-separated labels the task must all have' },
+    label_not: { type: 'string', description: 'Comma-separated labels the task must not have' },
+    unblocked: { type: 'boolean', description: 'Only tasks whose blockers are all done' },
+    archived: { type: 'boolean', description: 'List archived tasks instead of the board' },
+    agent_id: { type: 'string', description: 'Exact agent id' },
+    action: { type: 'string', description: 'Comma-separated activity actions' },
+    task_id: { type: 'string', description: 'Exact task id' },
+    since: { type: 'string', format: 'date-time', description: 'Created at or after this time' },
+    until: { type: 'string', format: 'date-time', description: 'Created before this time' },
+    limit: { type: 'integer', minimum: 1, maximum: PAGE_LIMIT_MAX, description: 'Page size' },
+    cursor: { type: 'string', description: 'X-Next-Cursor value from the previous page' },
+    include: { type: 'string', description: 'Comma-separated expansions: comments, history, labels' },
+    q: { type: 'string', description: 'Search words (prefix-matched)' },
+    token: { type: 'string', description: 'Session token, for EventSource clients that cannot send headers' }
+};
+
+const TASK_LIST_QUERY = ['status', 'priority', 'owner_agent', 'assignee', 'repo', 'branch', 'due_after', 'due_before',
+    'updated_since', 'overdue', 'label', 'label_not', 'unblocked', 'archived', 'limit', 'cursor'];
+const ACTIVITY_QUERY = ['agent_id', 'action', 'task_id', 'since', 'until', 'limit', 'cursor'];
+
+// ============ Legacy Task Routes ============
+
+// /api/cards (API key) and /api/tasks (session or owner password) predate /api/v2/tasks,
+// which takes either credential. They keep their own auth but run the same handlers and
+// gates, and answer with a Deprecation header (RFC 9745) and a Link to the v2 route.
+const LEGACY_TASK_ROUTES_DEPRECATED_AT = Math.floor(Date.parse('2026-10-19T00:00:00Z') / 1000);
+
+// '/api/boards/b/cards/x/comment' -> '/api/v2/boards/b/tasks/x/comments'
+function v2TaskPath(path) {
+    return path
+        .replace(/^\/api\/(boards\/[^/]+\/)?(cards|tasks)/, '/api/v2/$1tasks')
+        .replace(/\/comment$/, '/comments');
+}
+
+function deprecatedTaskRoute(req, res, next) {
+    res.set('Deprecation', `@${LEGACY_TASK_ROUTES_DEPRECATED_AT}`);
+    res.append('Link', `<${v2TaskPath(req.path)}>; rel="successor-version"`);
+    next();
+}
+
+// ============ API Routes ============
+
+// Get configured agents (v2 - renamed for clarity)
+app.get('/api/agents', apiDoc('Configured agent ids', { response: 'Agents' }), authMiddleware, (req, res) => {
+    const agents = [
+        'founder',
+        'manager',
+        'worker'
+    ];
+    res.json({ agents });
+});
+
+// Get server version from package.json
+app.get('/api/version', apiDoc('Server version', { response: 'Version' }), (req, res) => {
+    res.json({ version: pkg.version });
+});
+
+// ============ Auth Endpoints ============
+
+// POST /api/auth/login - Exchange username/password for an expiring session token
+app.post('/api/auth/login', apiDoc('Sign in with a username and password', { response: 'Session' }), validateBody(BODY_SCHEMAS.login), async (req, res) => {
+    try {
+        const { username, password } = req.body;
+        const user = await db.get('SELECT * FROM users WHERE username = $1', [username]);
+        if (!user || user.disabled || !verifyPassword(password, user.password_hash)) {
+            return res.status(401).json({ error: 'Invalid username or password' });
+        }
+
+        const token = crypto.randomBytes(32).toString('hex');
+        const expiresAt = new Date(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000).toISOString();
+
+        await db.run(
+            'INSERT INTO sessions (token_hash, user_id, expires_at) VALUES ($1, $2, $3)',
+            [hashToken(token), user.id, expiresAt]
+        );
+        await db.run('UPDATE users SET last_login_at = ' + now() + ' WHERE id = $1', [user.id]);
+
+        logActivity('login', null, null, `${user.username} signed in`, { agentId: user.username, agentRole: user.role });
+        res.json({ token, expires_at: expiresAt, user: serializeUser(user) });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// POST /api/auth/logout - Invalidate the current session token
+app.post('/api/auth/logout', apiDoc('Invalidate the current session token', { response: 'Success' }), authMiddleware, async (req, res) => {
+    try {
+        const token = getSessionToken(req);
+        if (token) {
+            await db.run('DELETE FROM sessions WHERE token_hash = $1', [hashToken(token)]);
+        }
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// GET /api/auth/me - Current user (legacy owner password maps to the Founder)
+app.get('/api/auth/me', apiDoc('Current user', { response: 'User' }), authMiddleware, (req, res) => {
+    if (req.user) {
+        return res.json(serializeUser(req.user));
+    }
+    const agentInfo = getAgentIdentity(req);
+    res.json({ id: null, username: agentInfo.agentId, display_name: 'Owner', role: agentInfo.agentRole, legacy: true });
+});
+
+// GET /api/users - List user accounts (Founder only)
+app.get('/api/users', apiDoc('List user accounts', { response: 'User[]' }), founderAuthMiddleware, async (req, res) => {
+    try {
+        const rows = await db.all('SELECT * FROM users ORDER BY created_at ASC');
+        res.json(rows.map(serializeUser));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// POST /api/users - Create a user account with a stored role (Founder only)
+app.post('/api/users', apiDoc('Create a user account', { response: 'User', status: 201, errors: [409] }), founderAuthMiddleware, validateBody(BODY_SCHEMAS.userCreate), async (req, res) => {
+    try {
+        const { username, password, display_name, role } = req.body;
+        const agentInfo = getAgentIdentity(req);
+        const finalRole = (role || ROLES.MEMBER).toLowerCase();
+
+        const existing = await db.get('SELECT id FROM users WHERE username = $1', [username]);
+        if (existing) {
+            return res.status(409).json({ error: 'Username already exists' });
+        }
+
+        const id = Date.now().toString(36) + Math.random().toString(36).substr(2);
+        await db.run(
+            'INSERT INTO users (id, username, display_name, password_hash, role) VALUES ($1, $2, $3, $4, $5)',
+            [id, username, display_name || username, hashPassword(password), finalRole]
+        );
+
+        logActivity('user_create', null, null, `User ${username} (${finalRole}) created`, agentInfo);
+
+        const user = await db.get('SELECT * FROM users WHERE id = $1', [id]);
+        res.status(201).json(serializeUser(user));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ============ Board Endpoints ============
+
+// GET /api/boards - Boards the caller can open, with their role on each
+app.get('/api/boards', apiDoc('Boards the caller can open, with their role on each', { response: 'Board[]' }), anyAuthMiddleware, async (req, res) => {
+    try {
+        const agentInfo = getCallerIdentity(req);
+        const boards = await db.all('SELECT * FROM boards ORDER BY created_at ASC');
+
+        const visible = [];
+        for (const board of boards) {
+            const role = await resolveBoardRole(board.id, agentInfo);
+            if (role) {
+                visible.push({ ...board, role });
+            }
+        }
+        res.json(visible);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// POST /api/boards - Create a board (Founder only)
+app.post('/api/boards', apiDoc('Create a board', { response: 'Board', status: 201, errors: [409] }), founderAuthMiddleware, validateBody(BODY_SCHEMAS.boardCreate), async (req, res) => {
+    try {
+        const { id, name, description } = req.body;
+        const agentInfo = getCallerIdentity(req);
+
+        // A derived id can still come out empty (e.g. a name with no letters or digits)
+        const boardId = id || name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+        if (!FORMATS.slug.test(boardId)) {
+            return sendValidationError(res, addFieldError({}, 'id', 'invalid_format', FORMATS.slug.message));
+        }
+
+        const existing = await db.get('SELECT id FROM boards WHERE id = $1', [boardId]);
+        if (existing) {
+            return res.status(409).json({ error: 'Board already exists' });
+        }
+
+        await db.run(
+            'INSERT INTO boards (id, name, description, created_by) VALUES ($1, $2, $3, $4)',
+            [boardId, name, description || null, agentInfo.agentId]
+        );
+
+        logActivity('board_create', null, null, `Board "${name}" created`, { ...agentInfo, boardId });
+
+        const board = await db.get('SELECT * FROM boards WHERE id = $1', [boardId]);
+        res.status(201).json(board);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// GET /api/boards/:boardId - Board details with the caller's role
+app.get('/api/boards/:boardId', apiDoc('Board details with the caller\'s role', { response: 'Board' }), anyAuthMiddleware, boardMiddleware, (req, res) => {
+    res.json({ ...req.board, role: req.boardRole });
+});
+
+// GET /api/boards/:boardId/members - Board member list
+app.get('/api/boards/:boardId/members', apiDoc('Board members', { response: 'BoardMember[]' }), anyAuthMiddleware, boardMiddleware, async (req, res) => {
+    try {
+        const rows = await db.all('SELECT * FROM board_members WHERE board_id = $1 ORDER BY created_at ASC', [req.board.id]);
+        res.json(rows);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// PUT /api/boards/:boardId/members/:memberId - Add a member or change their role (board Founder)
+app.put('/api/boards/:boardId/members/:memberId', apiDoc('Add a board member or change their role', { response: 'BoardMember' }), anyAuthMiddleware, boardMiddleware, boardFounderMiddleware, validateBody(BODY_SCHEMAS.boardMember), async (req, res) => {
+    try {
+        const { memberId } = req.params;
+        const role = (req.body.role || ROLES.MEMBER).toLowerCase();
+        const agentInfo = getAgentIdentity(req);
+
+        const existing = await db.get(
+            'SELECT * FROM board_members WHERE board_id = $1 AND member_id = $2',
+            [req.board.id, memberId]
+        );
+
+        if (existing) {
+            await db.run(
+                'UPDATE board_members SET role = $1 WHERE board_id = $2 AND member_id = $3',
+                [role, req.board.id, memberId]
+            );
+        } else {
+            await db.run(
+                'INSERT INTO board_members (board_id, member_id, role) VALUES ($1, $2, $3)',
+                [req.board.id, memberId, role]
+            );
+        }
+
+        logActivity('board_member', null, null, `${memberId} set to ${role} on board "${req.board.name}"`, agentInfo);
+        res.json({ board_id: req.board.id, member_id: memberId, role });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// DELETE /api/boards/:boardId/members/:memberId - Remove a member (board Founder)
+app.delete('/api/boards/:boardId/members/:memberId', apiDoc('Remove a board member', { response: 'Success' }), anyAuthMiddleware, boardMiddleware, boardFounderMiddleware, async (req, res) => {
+    try {
+        const { memberId } = req.params;
+        const agentInfo = getAgentIdentity(req);
+
+        const result = await db.run(
+            'DELETE FROM board_members WHERE board_id = $1 AND member_id = $2',
+            [req.board.id, memberId]
+        );
+        if (!result.changes) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+
+        logActivity('board_member', null, null, `${memberId} removed from board "${req.board.name}"`, agentInfo);
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ============ Workflow Endpoints ============
+
+// GET /api/workflow - Statuses and transition rules for a board
+app.get(['/api/workflow', '/api/boards/:boardId/workflow'], apiDoc('Statuses and transition rules for a board', { response: 'Workflow' }), anyAuthMiddleware, boardMiddleware, async (req, res) => {
+    try {
+        const workflow = await getWorkflow(req.board.id);
+        res.json({ board_id: req.board.id, ...workflow });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// PUT /api/workflow - Replace a board's workflow (board Founder)
+app.put(['/api/workflow', '/api/boards/:boardId/workflow'], apiDoc('Replace a board\'s workflow', { response: 'Workflow', errors: [409] }), anyAuthMiddleware, boardMiddleware, boardFounderMiddleware, validateBody(BODY_SCHEMAS.workflow), async (req, res) => {
+    try {
+        const definition = {
+            statuses: req.body.statuses,
+            transitions: req.body.transitions || {}
+        };
+        const agentInfo = getAgentIdentity(req);
+
+        const error = validateWorkflowDefinition(definition);
+        if (error) {
+            return sendValidationError(res, addFieldError({}, error.field, 'invalid_value', error.message), 'Invalid workflow');
+        }
+
+        // Statuses still holding tasks cannot be dropped
+        const statusNames = getStatusNames(definition);
+        const inUse = await db.all(
+            'SELECT status, COUNT(*) as count FROM tasks WHERE board_id = $1 GROUP BY status',
+            [req.board.id]
+        );
+        const orphaned = inUse.filter(row => !statusNames.includes(row.status)).map(row => row.status);
+        if (orphaned.length > 0) {
+            return res.status(409).json({
+                error: 'Workflow would orphan existing tasks',
+                statuses: orphaned
+            });
+        }
+
+        const existing = await db.get('SELECT board_id FROM workflows WHERE board_id = $1', [req.board.id]);
+        if (existing) {
+            await db.run(
+                `UPDATE workflows SET definition = $1, updated_by = $2, updated_at = ${now()} WHERE board_id = $3`,
+                [JSON.stringify(definition), agentInfo.agentId, req.board.id]
+            );
+        } else {
+            await db.run(
+                'INSERT INTO workflows (board_id, definition, updated_by) VALUES ($1, $2, $3)',
+                [req.board.id, JSON.stringify(definition), agentInfo.agentId]
+            );
+        }
+
+        logActivity('workflow_updated', null, null, `Workflow for board "${req.board.name}" set to: ${statusNames.join(' → ')}`, agentInfo);
+        res.json({ board_id: req.board.id, ...definition });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ============ Label Endpoints ============
+
+// GET /api/labels - Labels on a board, with how many tasks use each
+app.get(['/api/labels', '/api/boards/:boardId/labels'], apiDoc('Labels on a board, with how many tasks use each', { response: 'Label[]' }), anyAuthMiddleware, requireScope('read'), boardMiddleware, async (req, res) => {
+    try {
+        const rows = await db.all(
+            `SELECT l.*, (SELECT COUNT(*) FROM task_labels tl WHERE tl.label_id = l.id) AS task_count
+             FROM labels l WHERE l.board_id = $1 ORDER BY l.name ASC`,
+            [req.board.id]
+        );
+        res.json(rows.map(row => ({ ...row, task_count: Number(row.task_count) })));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// POST /api/labels - Create a label: { name, color }
+app.post(['/api/labels', '/api/boards/:boardId/labels'], apiDoc('Create a label', { response: 'Label', status: 201, errors: [409] }), anyAuthMiddleware, requireScope('write'), boardMiddleware, validateBody(BODY_SCHEMAS.labelCreate), async (req, res) => {
+    try {
+        const [name] = parseLabelNames(req.body.name);
+        const color = req.body.color || LABEL_DEFAULT_COLOR;
+        const agentInfo = getAgentIdentity(req);
+
+        if (!name) {
+            return sendValidationError(res, addFieldError({}, 'name', 'required', 'is required'));
+        }
+
+        const existing = await db.get('SELECT id FROM labels WHERE board_id = $1 AND name = $2', [req.board.id, name]);
+        if (existing) {
+            return res.status(409).json({ error: `Label "${name}" already exists` });
+        }
+
+        const id = Date.now().toString(36) + Math.random().toString(36).substr(2);
+        await db.run(
+            'INSERT INTO labels (id, board_id, name, color, created_by) VALUES ($1, $2, $3, $4, $5)',
+            [id, req.board.id, name, color, agentInfo.agentId]
+        );
+
+        logActivity('label_create', null, null, `Label "${name}" created`, agentInfo);
+        res.status(201).json(await db.get('SELECT * FROM labels WHERE id = $1', [id]));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// PUT /api/labels/:labelId - Rename or recolour a label (board Founder)
+app.put(['/api/labels/:labelId', '/api/boards/:boardId/labels/:labelId'], apiDoc('Rename or recolour a label', { response: 'Label', errors: [409] }), anyAuthMiddleware, boardMiddleware, boardFounderMiddleware, validateBody(BODY_SCHEMAS.labelUpdate), async (req, res) => {
+    try {
+        const agentInfo = getAgentIdentity(req);
+        const label = await db.get('SELECT * FROM labels WHERE id = $1 AND board_id = $2', [req.params.labelId, req.board.id]);
+        if (!label) {
+            return res.status(404).json({ error: 'Label not found' });
+        }
+
+        const name = req.body.name !== undefined ? parseLabelNames(req.body.name)[0] : label.name;
+        const color = req.body.color !== undefined ? req.body.color : label.color;
+        if (!name) {
+            return sendValidationError(res, addFieldError({}, 'name', 'required', 'is required'));
+        }
+        if (name !== label.name) {
+            const clash = await db.get('SELECT id FROM labels WHERE board_id = $1 AND name = $2', [req.board.id, name]);
+            if (clash) {
+                return res.status(409).json({ error: `Label "${name}" already exists` });
+            }
+        }
+
+        await db.run('UPDATE labels SET name = $1, color = $2 WHERE id = $3', [name, color, label.id]);
+
+        logActivity('label_update', null, null, `Label "${label.name}" updated`, agentInfo);
+        res.json(await db.get('SELECT * FROM labels WHERE id = $1', [label.id]));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// DELETE /api/labels/:labelId - Delete a label and remove it from all tasks (board Founder)
+app.delete(['/api/labels/:labelId', '/api/boards/:boardId/labels/:labelId'], apiDoc('Delete a label and remove it from all tasks', { response: 'Success' }), anyAuthMiddleware, boardMiddleware, boardFounderMiddleware, async (req, res) => {
+    try {
+        const agentInfo = getAgentIdentity(req);
+        const label = await db.get('SELECT * FROM labels WHERE id = $1 AND board_id = $2', [req.params.labelId, req.board.id]);
+        if (!label) {
+            return res.status(404).json({ error: 'Label not found' });
+        }
+
+        await db.run('DELETE FROM task_labels WHERE label_id = $1', [label.id]);
+        await db.run('DELETE FROM labels WHERE id = $1', [label.id]);
+
+        logActivity('label_delete', null, null, `Label "${label.name}" deleted`, agentInfo);
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ============ Dependency Endpoints ============
+// Shared by the Agent API (/api/cards, API key scopes) and the web UI (/api/tasks)
+
+// GET .../:id/dependencies - Tasks this task is blocked by, and tasks it blocks
+async function listDependencies(req, res) {
+    try {
+        const task = await db.get('SELECT * FROM tasks WHERE id = $1', [req.params.id]);
+        if (!task) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+
+        const workflow = await getWorkflow(task.board_id || DEFAULT_BOARD_ID);
+        const doneStatus = getDoneStatus(workflow);
+        const blockedBy = await db.all(
+            `SELECT b.id, b.title, b.status FROM task_dependencies d JOIN tasks b ON b.id = d.blocked_by
+             WHERE d.task_id = $1 AND b.deleted_at IS NULL ORDER BY b.created_at ASC`,
+            [task.id]
+        );
+        const blocks = await db.all(
+            `SELECT t.id, t.title, t.status FROM task_dependencies d JOIN tasks t ON t.id = d.task_id
+             WHERE d.blocked_by = $1 AND t.deleted_at IS NULL ORDER BY t.created_at ASC`,
+            [task.id]
+        );
+
+        res.json({
+            id: task.id,
+            blocked: blockedBy.some(b => b.status !== doneStatus),
+            blocked_by: blockedBy,
+            blocks
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+}
+
+// POST .../:id/dependencies - Mark the task as blocked by { blocked_by }
+async function addDependency(req, res) {
+    try {
+        const taskId = req.params.id;
+        const blockerId = req.body.blocked_by;
+        const agentInfo = getAgentIdentity(req);
+
+        const task = await db.get('SELECT * FROM tasks WHERE id = $1', [taskId]);
+        if (!task) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+        if (blockerId === taskId) {
+            return sendValidationError(res, addFieldError({}, 'blocked_by', 'invalid_value', 'cannot be the task itself'));
+        }
+
+        const blocker = await db.get('SELECT * FROM tasks WHERE id = $1 AND deleted_at IS NULL', [blockerId]);
+        if (!blocker || blocker.board_id !== task.board_id) {
+            return res.status(404).json({ error: 'Blocking task not found on this board' });
+        }
+
+        const existing = await db.get(
+            'SELECT 1 AS found FROM task_dependencies WHERE task_id = $1 AND blocked_by = $2',
+            [taskId, blockerId]
+        );
+        if (existing) {
+            return res.status(409).json({ error: 'Dependency already exists' });
+        }
+        if (await createsDependencyCycle(taskId, blockerId)) {
+            return res.status(409).json({
+                error: 'Dependency cycle',
+                reason: `"${blocker.title}" is already blocked (directly or indirectly) by "${task.title}"`
+            });
+        }
+
+        await db.run(
+            'INSERT INTO task_dependencies (task_id, blocked_by, created_by) VALUES ($1, $2, $3)',
+            [taskId, blockerId, agentInfo.agentId]
+        );
+
+        logActivity('dependency_add', taskId, task.title, `"${task.title}" blocked by "${blocker.title}"`, agentInfo);
+        publishTaskEvent('task.updated', taskId);
+        res.status(201).json({ task_id: taskId, blocked_by: blockerId });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+}
+
+// DELETE .../:id/dependencies/:blockerId - Remove a blocker
+async function removeDependency(req, res) {
+    try {
+        const { id: taskId, blockerId } = req.params;
+        const agentInfo = getAgentIdentity(req);
+
+        const task = await db.get('SELECT * FROM tasks WHERE id = $1', [taskId]);
+        if (!task) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+
+        const existing = await db.get(
+            'SELECT 1 AS found FROM task_dependencies WHERE task_id = $1 AND blocked_by = $2',
+            [taskId, blockerId]
+        );
+        if (!existing) {
+            return res.status(404).json({ error: 'Dependency not found' });
+        }
+
+        await db.run('DELETE FROM task_dependencies WHERE task_id = $1 AND blocked_by = $2', [taskId, blockerId]);
+
+        logActivity('dependency_remove', taskId, task.title, `"${task.title}" no longer blocked by ${blockerId}`, agentInfo);
+        publishTaskEvent('task.updated', taskId);
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+}
+
+app.get('/api/cards/:id/dependencies', apiDoc('Tasks this card is blocked by, and tasks it blocks', { response: 'Dependencies' }), deprecatedTaskRoute, agentAuthMiddleware, requireScope('read'), taskBoardMiddleware, listDependencies);
+app.post('/api/cards/:id/dependencies', apiDoc('Mark the card as blocked by another card', { response: 'Dependency', status: 201, errors: [409] }), deprecatedTaskRoute, agentAuthMiddleware, requireScope('write'), taskBoardMiddleware, validateBody(BODY_SCHEMAS.dependency), addDependency);
+app.delete('/api/cards/:id/dependencies/:blockerId', apiDoc('Remove a blocker', { response: 'Success' }), deprecatedTaskRoute, agentAuthMiddleware, requireScope('write'), taskBoardMiddleware, removeDependency);
+
+app.get('/api/tasks/:id/dependencies', apiDoc('Tasks this task is blocked by, and tasks it blocks', { response: 'Dependencies' }), deprecatedTaskRoute, authMiddleware, taskBoardMiddleware, listDependencies);
+app.post('/api/tasks/:id/dependencies', apiDoc('Mark the task as blocked by another task', { response: 'Dependency', status: 201, errors: [409] }), deprecatedTaskRoute, authMiddleware, taskBoardMiddleware, validateBody(BODY_SCHEMAS.dependency), addDependency);
+app.delete('/api/tasks/:id/dependencies/:blockerId', apiDoc('Remove a blocker', { response: 'Success' }), deprecatedTaskRoute, authMiddleware, taskBoardMiddleware, removeDependency);
+
+// ============ Reorder Endpoint ============
+
+// POST .../:id/reorder - Move a card directly { before } or { after } another card
+async function reorderTask(req, res) {
+    try {
+        const taskId = req.params.id;
+        const { before, after } = req.body;
+        const agentInfo = getAgentIdentity(req);
+
+        if (!before === !after) {
+            return sendValidationError(res, before
+                ? addFieldError({}, 'after', 'invalid_value', 'cannot be combined with before')
+                : addFieldError({}, 'before', 'required', 'is required unless after is given'));
+        }
+        const targetId = before || after;
+        if (targetId === taskId) {
+            return sendValidationError(res, addFieldError({}, before ? 'before' : 'after', 'invalid_value', 'cannot be the task itself'));
+        }
+
+        // The rank is picked and written against the locked row
+        const outcome = await db.withTransaction(async () => {
+            const task = await selectTaskForUpdate(taskId);
+            if (!task) {
+                return { status: 404, body: { error: 'Task not found' } };
+            }
+            const ownership = validateOwnerAction(task, agentInfo, 'reorder');
+            if (!ownership.allowed) {
+                return { status: 403, body: { error: 'Reorder denied', reason: ownership.reason } };
+            }
+            const target = await db.get('SELECT * FROM tasks WHERE id = $1 AND deleted_at IS NULL', [targetId]);
+            if (!target || target.board_id !== task.board_id) {
+                return { status: 404, body: { error: 'Target task not found on this board' } };
+            }
+
+            const rank = await rankNextTo(task, target, before ? 'before' : 'after');
+            await db.run('UPDATE tasks SET rank = $1, updated_at = ' + now() + ' WHERE id = $2', [rank, taskId]);
+            return { task, target, rank };
+        });
+
+        if (outcome.status) {
+            return res.status(outcome.status).json(outcome.body);
+        }
+
+        const { task, target, rank } = outcome;
+        logActivity('reorder', taskId, task.title, `Moved "${task.title}" ${before ? 'before' : 'after'} "${target.title}"`, agentInfo);
+        publishTaskEvent('task.updated', taskId);
+        res.json({ id: taskId, rank });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+}
+
+app.post('/api/cards/:id/reorder', apiDoc('Place the card before or after another card', { response: 'Rank' }), deprecatedTaskRoute, agentAuthMiddleware, requireScope('write'), taskBoardMiddleware, validateBody(BODY_SCHEMAS.reorder), reorderTask);
+app.post('/api/tasks/:id/reorder', apiDoc('Place the task before or after another task', { response: 'Rank' }), deprecatedTaskRoute, authMiddleware, taskBoardMiddleware, validateBody(BODY_SCHEMAS.reorder), reorderTask);
+
+// ============ Search ============
+
+const SEARCH_MAX_RESULTS = 50;
+const SEARCH_SNIPPETS_PER_TASK = 3;
+
+// Plain word tokens only - search syntax characters are dropped so user input
+// can't break the FTS5 / tsquery expression. Each token is prefix-matched.
+function parseSearchTerms(q) {
+    return (String(q || '').match(/[\p{L}\p{N}_]+/gu) || []).slice(0, 10);
+}
+
+// GET /api/search?q= - Ranked search over task title, description, branch, repo and comments
+app.get(['/api/search', '/api/boards/:boardId/search'], apiDoc('Ranked search over tasks and comments', { response: 'SearchResult[]', query: ['q', 'limit'] }), anyAuthMiddleware, requireScope('read'), boardMiddleware, async (req, res) => {
+    try {
+        const terms = parseSearchTerms(req.query.q);
+        if (terms.length === 0) {
+            return sendValidationError(res, addFieldError({}, 'q', 'required', 'is required'), 'Invalid query');
+        }
+        const limit = Math.min(parseInt(req.query.limit) || 20, SEARCH_MAX_RESULTS);
+
+        // Hits are task or comment matches, best first; group them per task
+        const hits = await db.searchTasks(terms, req.board.id, limit * 5);
+        const byTask = new Map();
+        for (const hit of hits) {
+            if (!byTask.has(hit.task_id)) {
+                byTask.set(hit.task_id, { relevance: Number(hit.rank), snippets: [] });
+            }
+            const entry = byTask.get(hit.task_id);
+            if (entry.snippets.length < SEARCH_SNIPPETS_PER_TASK) {
+                entry.snippets.push({ source: hit.source, text: hit.snippet });
+            }
+        }
+
+        const taskIds = [...byTask.keys()].slice(0, limit);
+        if (taskIds.length === 0) {
+            return res.json([]);
+        }
+
+        const placeholders = taskIds.map((_, i) => `$${i + 1}`).join(', ');
+        const rows = await attachLabels(await db.all(`SELECT * FROM tasks WHERE id IN (${placeholders})`, taskIds));
+        const tasksById = new Map(rows.map(row => [row.id, row]));
+
+        res.json(taskIds
+            .filter(id => tasksById.has(id))
+            .map(id => ({ ...tasksById.get(id), ...byTask.get(id) })));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ============ Live Event Stream ============
+
+const EVENT_HEARTBEAT_MS = 25000;
+
+// EventSource can't send headers, so the stream also accepts ?token=<session token>
+const eventStreamTokenMiddleware = (req, res, next) => {
+    if (req.query.token && !req.headers['authorization']) {
+        req.headers['authorization'] = `Bearer ${req.query.token}`;
+    }
+    next();
+};
+
+// GET /api/events - Server-Sent Events stream of task and comment changes on a board
+app.get(['/api/events', '/api/boards/:boardId/events'], apiDoc('Server-Sent Events stream of task and comment changes', { response: 'EventStream', query: ['token'] }), eventStreamTokenMiddleware, anyAuthMiddleware, requireScope('read'), boardMiddleware, (req, res) => {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.write(': connected\n\n');
+
+    const client = { res, boardId: req.board.id };
+    eventClients.add(client);
+
+    // Comment lines keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), EVENT_HEARTBEAT_MS);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        eventClients.delete(client);
+    });
+});
+
+// ============ Agent API Endpoints (Phase 1) ============
+
+// GET /api/cards?status=&unblocked=true - Get tasks filtered by status (Agent API)
+// GET /api/cards and /api/tasks - Board tasks in rank order, filtered and optionally paged
+async function listTasks(req, res) {
+    try {
+        const errors = {};
+        const params = [req.board.id];
+        const workflow = await getWorkflow(req.board.id);
+        const doneStatus = getDoneStatus(workflow);
+
+        let sql = appendArchiveFilter('SELECT * FROM tasks WHERE board_id = $1', req.query);
+        sql = appendTaskListFilters(sql, params, req.query, doneStatus, errors);
+        sql = appendLabelFilters(sql, params, req.query);
+        sql = appendUnblockedFilter(sql, params, req.query, doneStatus);
+        const order = { columns: ['rank', 'id'], direction: 'ASC' };
+        const page = appendPage(sql, params, req.query, order, errors);
+        if (Object.keys(errors).length > 0) {
+            return sendValidationError(res, errors, 'Invalid query');
+        }
+
+        const rows = sendPageHeaders(req, res, await db.all(page.sql, params), page.limit, order.columns);
+        res.json(await attachDependencies(await attachLabels(rows)));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+}
+
+app.get(['/api/cards', '/api/boards/:boardId/cards'], apiDoc('List cards', { response: 'Task[]', query: TASK_LIST_QUERY }), deprecatedTaskRoute, agentAuthMiddleware, requireScope('read'), boardMiddleware, listTasks);
+
+// POST /api/v2/tasks - Create a task owned by the caller unless owner_agent names
+// someone else, which needs the Founder or agent role. Tasks created with an API
+// key land in "Agent Inbox" for triage, others in "Backlog"; see validateInitialStatus
+// for which statuses may be requested instead.
+async function createTask(req, res) {
+    try {
+        const { title, description, assignee, priority, status, due_date, owner_agent, branch, repo } = req.body;
+        const agentInfo = getAgentIdentity(req);
+        const id = Date.now().toString(36) + Math.random().toString(36).substr(2);
+        const labelNames = parseLabelNames(req.body.labels);
+
+        const finalOwnerAgent = owner_agent || agentInfo.agentId;
+        if (finalOwnerAgent !== agentInfo.agentId) {
+            const assignment = validateOwnerOnCreate(agentInfo);
+            if (!assignment.allowed) {
+                return res.status(403).json({ error: 'Assignment denied', reason: assignment.reason });
+            }
+        }
+
+        const workflow = await getWorkflow(req.board.id);
+        const finalStatus = resolveInitialStatus(workflow, status, req.apiKey ? 'Agent Inbox' : 'Backlog');
+        const initial = await validateInitialStatus(workflow, { id, status: finalStatus, owner_agent: finalOwnerAgent, board_id: req.board.id }, agentInfo);
+        if (!initial.allowed) {
+            return res.status(initial.wipLimit ? 409 : 403).json({
+                error: initial.wipLimit ? 'WIP limit reached' : 'Status denied',
+                reason: initial.reason,
+                to_status: finalStatus,
+                wip_limit: initial.wipLimit
+            });
+        }
+
+        await db.run(
+            'INSERT INTO tasks (id, title, description, assignee, owner_agent, priority, status, due_date, branch, repo, board_id, rank) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)',
+            [id, title, description || '', assignee || '', finalOwnerAgent, priority || 'Medium', finalStatus, due_date || null, branch || null, repo || null, req.board.id, await nextRank(req.board.id)]
+        );
+        
+        const labels = await setTaskLabels(id, req.board.id, labelNames, agentInfo.agentId);
+        
+        logActivity('create', id, title, `Created task "${title}"${req.apiKey ? ' via Agent API' : ''}`, agentInfo);
+        publishTaskEvent('task.created', id);
+        res.status(201).json({
+            id, title, description, assignee,
+            owner_agent: finalOwnerAgent, priority, status: finalStatus,
+            due_date, branch, repo, board_id: req.board.id,
+            labels: labels.map(({ id, name, color }) => ({ id, name, color })),
+            message: 'Task created successfully'
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+}
+
+app.post(['/api/cards', '/api/boards/:boardId/cards'], apiDoc('Create a card', { response: 'Task', status: 201, errors: [409] }), deprecatedTaskRoute, agentAuthMiddleware, requireScope('write'), boardMiddleware, validateBody(BODY_SCHEMAS.taskCreate), createTask);
+
+// POST /api/v2/tasks/:id/comments - Add a comment to a task
+async function addComment(req, res) {
+    try {
+        const taskId = req.params.id;
+        const { content } = req.body;
+        const agentInfo = getAgentIdentity(req);
+
+        // Verify task exists
+        const task = await db.get('SELECT * FROM tasks WHERE id = $1', [taskId]);
+        if (!task) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+
+        await db.run(
+            'INSERT INTO comments (task_id, content, agent_id, agent_role, board_id) VALUES ($1, $2, $3, $4, $5)',
+            [taskId, content, agentInfo.agentId, agentInfo.agentRole, task.board_id]
+        );
+        
+        logActivity('comment', taskId, task.title, `Comment added by ${agentInfo.agentId}: "${content.substring(0, 50)}..."`, agentInfo);
+        broadcastEvent('comment.added', task.board_id || DEFAULT_BOARD_ID, {
+            task_id: taskId,
+            content,
+            agent_id: agentInfo.agentId,
+            agent_role: agentInfo.agentRole
+        });
+        res.status(201).json({
+            id: taskId, // SQLite uses lastID, Postgres uses serial
+            task_id: taskId,
+            content,
+            agent_id: agentInfo.agentId,
+            agent_role: agentInfo.agentRole,
+            message: 'Comment added successfully'
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+}
+
+app.post('/api/cards/:id/comment', apiDoc('Add a comment', { response: 'Comment', status: 201 }), deprecatedTaskRoute, agentAuthMiddleware, requireScope('write'), taskBoardMiddleware, validateBody(BODY_SCHEMAS.comment), addComment);
+
+// POST /api/v2/tasks/:id/claim - Atomic claim (first claim wins); API-key claims are leased
+async function claimTask(req, res) {
+    try {
+        const taskId = req.params.id;
+        const agentInfo = getAgentIdentity(req);
+
+        // The task row stays locked from the read to the write, so exactly one
+        // concurrent claimer sees it unclaimed
+        const outcome = await db.withTransaction(async () => {
+            const task = await selectTaskForUpdate(taskId);
+            if (!task) {
+                return { status: 404, body: { error: 'Task not found' } };
+            }
+            if (!ifMatchSatisfied(req, task)) {
+                return { preconditionFailed: true };
+            }
+
+            // Validate claim action
+            const claimValidation = validateClaimAction(task, agentInfo);
+            if (!claimValidation.allowed) {
+                return {
+                    task, denial: claimValidation.reason, status: 409,
+                    body: { error: 'Claim denied', reason: claimValidation.reason, current_owner: task.owner_agent }
+                };
+            }
+
+            // Claiming adds the task to the claimer's per-agent WIP in its current status
+            const workflow = await getWorkflow(task.board_id || DEFAULT_BOARD_ID);
+            const wipCheck = await checkWipLimit(workflow, task, task.status, agentInfo.agentId, { perOwnerOnly: true });
+            if (!wipCheck.allowed) {
+                return {
+                    task, denial: wipCheck.reason, status: 409,
+                    body: { error: 'WIP limit reached', reason: wipCheck.reason, wip_limit: wipCheck.wipLimit }
+                };
+            }
+
+            // Perform the claim; a leased claim lasts until the lease runs out without a heartbeat
+            const claimExpiresAt = claimExpiryFor(req, workflow, task.status);
+            await db.run(
+                'UPDATE tasks SET owner_agent = $1, claim_expires_at = $2, version = version + 1, updated_at = ' + now() + ' WHERE id = $3',
+                [agentInfo.agentId, claimExpiresAt, taskId]
+            );
+            return { task, claimExpiresAt };
+        });
+
+        if (outcome.preconditionFailed) {
+            return sendPreconditionFailed(res, taskId);
+        }
+        const { task, claimExpiresAt } = outcome;
+        if (outcome.denial) {
+            logActivity('claim_denied', taskId, task.title,
+                `Claim attempt by ${agentInfo.agentId} denied: ${outcome.denial}`,
+                agentInfo);
+        }
+        if (outcome.status) {
+            return res.status(outcome.status).json(outcome.body);
+        }
+
+        const activityId = await logActivity('claim', taskId, task.title,
+            isUnassigned(task)
+                ? `Task claimed by ${agentInfo.agentId}`
+                : `Task claimed by ${agentInfo.agentId} after ${task.owner_agent}'s claim expired`,
+            agentInfo,
+            { changes: { owner_agent: { from: task.owner_agent || null, to: agentInfo.agentId } } });
+        publishTaskEvent('task.claimed', taskId);
+
+        res.set('ETag', taskETag({ version: task.version + 1 }));
+        res.json({
+            id: taskId,
+            owner_agent: agentInfo.agentId,
+            status: task.status,
+            claim_expires_at: claimExpiresAt,
+            version: task.version + 1,
+            activity_id: activityId,
+            message: 'Task claimed successfully'
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+}
+
+app.post('/api/cards/:id/claim', apiDoc('Claim a card (first claim wins)', { response: 'TaskAction', errors: [409, 412] }), deprecatedTaskRoute, agentAuthMiddleware, requireScope('claim'), taskBoardMiddleware, claimTask);
+
+// POST /api/v2/tasks/claim-next - Claim the best eligible task in one call
+// Body: { status = "To Do", labels, capabilities, max_in_flight }. Candidates are
+// unclaimed (or lease-expired), unblocked tasks with all `labels` whose "requires:"
+// labels are covered by `capabilities`, best first by priority, due date and rank.
+async function claimNextTask(req, res) {
+    try {
+        const agentInfo = getAgentIdentity(req);
+        const workflow = await getWorkflow(req.board.id);
+        const status = req.body.status || 'To Do';
+        const labels = parseLabelNames(req.body.labels);
+        const capabilities = parseLabelNames(req.body.capabilities);
+        const maxInFlight = req.body.max_in_flight;
+
+        const role = (agentInfo.agentRole || '').toLowerCase();
+        if (role !== ROLES.FOUNDER && role !== ROLES.AGENT) {
+            return res.status(403).json({ error: 'Claim denied', reason: 'Only Founder or Agents can claim tasks' });
+        }
+
+        const outcome = await db.withTransaction(async () => {
+            // Cards in flight: ones this agent owns in statuses where claims are leased
+            if (maxInFlight) {
+                const activeStatuses = getStatusNames(workflow).filter(name => statusHoldsLease(workflow, name));
+                const placeholders = activeStatuses.map((_, i) => `$${i + 3}`).join(', ');
+                const row = await db.get(
+                    `SELECT COUNT(*) AS count FROM tasks WHERE board_id = $1 AND owner_agent = $2 AND status IN (${placeholders}) AND deleted_at IS NULL AND archived_at IS NULL`,
+                    [req.board.id, agentInfo.agentId, ...activeStatuses]
+                );
+                if (Number(row.count) >= maxInFlight) {
+                    return null;
+                }
+            }
+
+            // Postgres skips cards another claimer has locked instead of waiting on them
+            const params = [req.board.id, status, new Date().toISOString()];
+            let sql = `SELECT * FROM tasks WHERE board_id = $1 AND status = $2 AND deleted_at IS NULL AND archived_at IS NULL
+                       AND (owner_agent IS NULL OR owner_agent = '' OR claim_expires_at <= $3)`;
+            sql = appendLabelFilters(sql, params, { label: labels });
+            sql = appendCapabilityFilter(sql, params, capabilities);
+            sql = appendUnblockedFilter(sql, params, { unblocked: 'true' }, getDoneStatus(workflow));
+            sql += ` ORDER BY CASE priority WHEN 'High' THEN 0 WHEN 'Medium' THEN 1 ELSE 2 END,
+                     CASE WHEN due_date IS NULL OR due_date = '' THEN 1 ELSE 0 END, due_date ASC, rank ASC
+                     LIMIT 1` + (isPostgres ? ' FOR UPDATE SKIP LOCKED' : '');
+            const task = await db.get(sql, params);
+            if (!task) {
+                return null;
+            }
+
+            // Claiming adds the task to the claimer's per-agent WIP in its status
+            const wipCheck = await checkWipLimit(workflow, task, status, agentInfo.agentId, { perOwnerOnly: true });
+            if (!wipCheck.allowed) {
+                return { wipCheck };
+            }
+
+            const claimExpiresAt = claimExpiryFor(req, workflow, status);
+            await db.run(
+                'UPDATE tasks SET owner_agent = $1, claim_expires_at = $2, version = version + 1, updated_at = ' + now() + ' WHERE id = $3',
+                [agentInfo.agentId, claimExpiresAt, task.id]
+            );
+            return { task };
+        });
+
+        if (!outcome) {
+            return res.status(204).end();
+        }
+        if (outcome.wipCheck) {
+            return res.status(409).json({
+                error: 'WIP limit reached',
+                reason: outcome.wipCheck.reason,
+                wip_limit: outcome.wipCheck.wipLimit
+            });
+        }
+
+        const { task } = outcome;
+        const activityId = await logActivity('claim', task.id, task.title,
+            isUnassigned(task)
+                ? `Task claimed by ${agentInfo.agentId} via claim-next`
+                : `Task claimed by ${agentInfo.agentId} via claim-next after ${task.owner_agent}'s claim expired`,
+            agentInfo,
+            { changes: { owner_agent: { from: task.owner_agent || null, to: agentInfo.agentId } } });
+        publishTaskEvent('task.claimed', task.id);
+
+        const claimed = await db.get('SELECT * FROM tasks WHERE id = $1', [task.id]);
+        const [withLabels] = await attachLabels([claimed]);
+        res.set('ETag', taskETag(claimed));
+        res.json({ ...withLabels, activity_id: activityId });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+}
+
+app.post(['/api/cards/claim-next', '/api/boards/:boardId/cards/claim-next'], apiDoc('Claim the best eligible card', { response: 'Task', errors: [409], responses: { 204: 'No eligible card' } }), deprecatedTaskRoute, agentAuthMiddleware, requireScope('claim'), boardMiddleware, validateBody(BODY_SCHEMAS.claimNext), claimNextTask);
+
+// POST /api/v2/tasks/:id/heartbeat - Extend the caller's claim lease
+async function heartbeatClaim(req, res) {
+    try {
+        const taskId = req.params.id;
+        const agentInfo = getAgentIdentity(req);
+
+        const task = await db.get('SELECT * FROM tasks WHERE id = $1', [taskId]);
+        if (!task) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+        if (task.owner_agent !== agentInfo.agentId) {
+            return res.status(409).json({
+                error: 'Claim lost',
+                reason: isUnassigned(task) ? 'Task is not claimed' : `Task is claimed by ${task.owner_agent}`,
+                current_owner: task.owner_agent
+            });
+        }
+        if (!task.claim_expires_at) {
+            return res.status(409).json({ error: 'No active lease', reason: 'This claim does not expire' });
+        }
+
+        // Renew only a live lease still held by the caller: an expired lease stays dead,
+        // and a sweep or another claim that got in first wins
+        const claimExpiresAt = claimLeaseExpiry();
+        const result = await db.run(
+            'UPDATE tasks SET claim_expires_at = $1, version = version + 1 WHERE id = $2 AND owner_agent = $3 AND claim_expires_at > $4',
+            [claimExpiresAt, taskId, agentInfo.agentId, new Date().toISOString()]
+        );
+        if (!result.changes) {
+            return res.status(409).json({
+                error: 'Claim lost',
+                reason: `Lease expired at ${task.claim_expires_at}`,
+                current_owner: task.owner_agent
+            });
+        }
+
+        const updated = await db.get('SELECT version FROM tasks WHERE id = $1', [taskId]);
+        res.set('ETag', taskETag(updated));
+        res.json({ id: taskId, owner_agent: task.owner_agent, claim_expires_at: claimExpiresAt, version: updated.version });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+}
+
+app.post('/api/cards/:id/heartbeat', apiDoc('Extend the caller\'s claim lease', { response: 'TaskAction', errors: [409] }), deprecatedTaskRoute, agentAuthMiddleware, requireScope('claim'), taskBoardMiddleware, heartbeatClaim);
+
+// POST /api/v2/tasks/:id/release - Give up a claim; the task becomes unassigned
+async function releaseClaim(req, res) {
+    try {
+        const taskId = req.params.id;
+        const agentInfo = getAgentIdentity(req);
+
+        const task = await db.get('SELECT * FROM tasks WHERE id = $1', [taskId]);
+        if (!task) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+        if (!ifMatchSatisfied(req, task)) {
+            return sendPreconditionFailed(res, taskId);
+        }
+        if (isUnassigned(task)) {
+            return res.status(409).json({ error: 'Release denied', reason: 'Task is not claimed' });
+        }
+        if (task.owner_agent !== agentInfo.agentId && agentInfo.agentRole !== ROLES.FOUNDER) {
+            return res.status(403).json({
+                error: 'Release denied',
+                reason: `Only ${task.owner_agent} or a Founder can release this claim`
+            });
+        }
+
+        const result = await db.run(
+            'UPDATE tasks SET owner_agent = NULL, claim_expires_at = NULL, version = version + 1, updated_at = ' + now() + ' WHERE id = $1 AND version = $2',
+            [taskId, task.version]
+        );
+        if (result.changes !== 1) {
+            return sendPreconditionFailed(res, taskId);
+        }
+
+        const activityId = await logActivity('release', taskId, task.title,
+            `Claim by ${task.owner_agent} released by ${agentInfo.agentId}`, agentInfo,
+            { changes: { owner_agent: { from: task.owner_agent, to: null } } });
+        publishTaskEvent('task.updated', taskId);
+        res.set('ETag', taskETag({ version: task.version + 1 }));
+        res.json({
+            id: taskId, owner_agent: null, status: task.status, version: task.version + 1,
+            activity_id: activityId, message: 'Claim released'
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+}
+
+app.post('/api/cards/:id/release', apiDoc('Release a claim', { response: 'TaskAction', errors: [409, 412] }), deprecatedTaskRoute, agentAuthMiddleware, requireScope('claim'), taskBoardMiddleware, releaseClaim);
+
+// POST /api/v2/tasks/:id/transition - Atomic status transition through the workflow gates
+async function transitionTask(req, res) {
+    try {
+        const taskId = req.params.id;
+        const { status: newStatus } = req.body;
+        const agentInfo = getAgentIdentity(req);
+
+        // Gates (workflow rules, WIP, blockers) are checked against the locked row
+        const outcome = await db.withTransaction(async () => {
+            const task = await selectTaskForUpdate(taskId);
+            if (!task) {
+                return { status: 404, body: { error: 'Task not found' } };
+            }
+            if (!ifMatchSatisfied(req, task)) {
+                return { preconditionFailed: true };
+            }
+
+            // Validate transition with safety gates
+            const workflow = await getWorkflow(task.board_id || DEFAULT_BOARD_ID);
+            const validation = await validateTransition(task, newStatus, agentInfo, workflow);
+            if (!validation.allowed) {
+                return { task, validation };
+            }
+
+            // Perform the transition (claims stop expiring once the task leaves leased statuses)
+            await db.run(
+                'UPDATE tasks SET status = $1, claim_expires_at = $2, version = version + 1, updated_at = ' + now() + ' WHERE id = $3',
+                [newStatus, statusHoldsLease(workflow, newStatus) ? task.claim_expires_at : null, taskId]
+            );
+            return { task, validation };
+        });
+
+        if (outcome.preconditionFailed) {
+            return sendPreconditionFailed(res, taskId);
+        }
+        if (outcome.status) {
+            return res.status(outcome.status).json(outcome.body);
+        }
+
+        const { task, validation } = outcome;
+        if (!validation.allowed) {
+            logTransitionAttempt(
+                taskId, task.title, task.status, newStatus,
+                agentInfo, false, validation.reason,
+                task.branch, task.repo
+            );
+            // A full column is a conflict, not a permission problem
+            return res.status(validation.wipLimit ? 409 : 403).json({
+                error: validation.wipLimit ? 'WIP limit reached' : 'Transition denied',
+                reason: validation.reason,
+                from_status: task.status,
+                to_status: newStatus,
+                wip_limit: validation.wipLimit,
+                blocked_by: validation.blockedBy
+            });
+        }
+
+        // Log successful transition
+        const activityId = await logTransitionAttempt(
+            taskId, task.title, task.status, newStatus,
+            agentInfo, true, null,
+            task.branch, task.repo
+        );
+        publishTaskEvent('task.transitioned', taskId);
+
+        res.set('ETag', taskETag({ version: task.version + 1 }));
+        res.json({
+            id: taskId,
+            from_status: task.status,
+            to_status: newStatus,
+            version: task.version + 1,
+            activity_id: activityId,
+            message: 'Task transitioned successfully'
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+}
+
+app.post('/api/cards/:id/transition', apiDoc('Move a card through the workflow gates', { response: 'TaskAction', errors: [409, 412] }), deprecatedTaskRoute, agentAuthMiddleware, requireScope('transition'), taskBoardMiddleware, validateBody(BODY_SCHEMAS.transition), transitionTask);
+
+// GET /api/v2/tasks/:id/comments - A task's comments, oldest first
+async function listComments(req, res) {
+    try {
+        const taskId = req.params.id;
+        const rows = await db.all('SELECT * FROM comments WHERE task_id = $1 ORDER BY created_at ASC', [taskId]);
+        res.json(rows);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+}
+
+app.get('/api/cards/:id/comments', apiDoc('Comments on a card, oldest first', { response: 'Comment[]' }), deprecatedTaskRoute, agentAuthMiddleware, requireScope('read'), taskBoardMiddleware, listComments);
+
+// Activity that belongs in a task's timeline; plain updates come from task_changes instead
+const TIMELINE_ACTIONS = ['create', 'transition', 'claim', 'claim_denied', 'claim_expired', 'release', 'dependency_add', 'dependency_remove'];
+
+// Field changes, transitions, claims and comments for one task, oldest first
+async function loadTaskTimeline(taskId) {
+    const placeholders = TIMELINE_ACTIONS.map((_, i) => `$${i + 2}`).join(', ');
+    const [changes, activity, comments] = await Promise.all([
+        // Status changes also log a transition entry, which carries the gate outcome
+        db.all(`SELECT * FROM task_changes WHERE task_id = $1 AND field != 'status' ORDER BY id ASC`, [taskId]),
+        db.all(`SELECT * FROM activity_log WHERE task_id = $1 AND action IN (${placeholders}) ORDER BY id ASC`,
+            [taskId, ...TIMELINE_ACTIONS]),
+        db.all('SELECT * FROM comments WHERE task_id = $1 ORDER BY id ASC', [taskId])
+    ]);
+
+    const timeline = [
+        ...activity.map(row => ({
+            type: row.action,
+            details: row.details,
+            from_status: row.from_status,
+            to_status: row.to_status,
+            allowed: row.action === 'transition' ? Boolean(row.transition_allowed) : undefined,
+            denial_reason: row.denial_reason,
+            agent_id: row.agent_id,
+            agent_role: row.agent_role,
+            created_at: row.created_at
+        })),
+        ...changes.map(row => ({
+            type: 'change',
+            field: row.field,
+            from: JSON.parse(row.old_value),
+            to: JSON.parse(row.new_value),
+            agent_id: row.agent_id,
+            agent_role: row.agent_role,
+            created_at: row.created_at
+        })),
+        ...comments.map(row => ({
+            type: 'comment',
+            content: row.content,
+            agent_id: row.agent_id,
+            agent_role: row.agent_role,
+            created_at: row.created_at
+        }))
+    ];
+    // Timestamps have one-second resolution: the stable sort keeps ties in source
+    // order (activity, then field changes, then comments), so a task's create comes first
+    timeline.sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)));
+    return timeline;
+}
+
+async function getTaskHistory(req, res) {
+    try {
+        const taskId = req.params.id;
+        const task = await db.get('SELECT id FROM tasks WHERE id = $1', [taskId]);
+        if (!task) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+        res.json({ task_id: taskId, timeline: await loadTaskTimeline(taskId) });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+}
+
+app.get('/api/cards/:id/history', apiDoc('A card\'s timeline, oldest first', { response: 'History' }), deprecatedTaskRoute, agentAuthMiddleware, requireScope('read'), taskBoardMiddleware, getTaskHistory);
+app.get('/api/tasks/:id/history', apiDoc('A task\'s timeline, oldest first', { response: 'History' }), deprecatedTaskRoute, authMiddleware, taskBoardMiddleware, getTaskHistory);
+
+// Expansions for GET /api/cards/:id and /api/tasks/:id. Labels (and blocked_by)
+// are always embedded; `labels` is accepted so callers can list what they rely on.
+const TASK_INCLUDES = ['comments', 'history', 'labels'];
+
+// GET /api/cards/:id and /api/tasks/:id - One task, with its version as the ETag.
+// ?include=comments,history adds `comments` (oldest first) and `history` (the timeline).
+async function getTask(req, res) {
+    try {
+        const include = req.query.include ? parseList(req.query.include) : [];
+        if (include.some(name => !TASK_INCLUDES.includes(name))) {
+            return sendValidationError(res,
+                addFieldError({}, 'include', 'invalid_value', `must be a list of: ${TASK_INCLUDES.join(', ')}`), 'Invalid query');
+        }
+
+        const row = await db.get('SELECT * FROM tasks WHERE id = $1', [req.params.id]);
+        if (!row) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+        const [task] = await attachDependencies(await attachLabels([row]));
+        if (include.includes('comments')) {
+            task.comments = await db.all('SELECT * FROM comments WHERE task_id = $1 ORDER BY created_at ASC, id ASC', [task.id]);
+        }
+        if (include.includes('history')) {
+            task.history = await loadTaskTimeline(task.id);
+        }
+        res.set('ETag', taskETag(task));
+        res.json(task);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+}
+
+app.get('/api/cards/:id', apiDoc('One card, with its version as the ETag', { response: 'Task', query: ['include'] }), deprecatedTaskRoute, agentAuthMiddleware, requireScope('read'), taskBoardMiddleware, getTask);
+app.get('/api/tasks/:id', apiDoc('One task, with its version as the ETag', { response: 'Task', query: ['include'] }), deprecatedTaskRoute, authMiddleware, taskBoardMiddleware, getTask);
+
+// ============ API Key Endpoints (Founder only) ============
+
+// GET /api/keys - List issued keys (hashes are never returned)
+app.get('/api/keys', apiDoc('List API keys', { response: 'ApiKey[]' }), founderAuthMiddleware, async (req, res) => {
+    try {
+        const rows = await db.all('SELECT * FROM api_keys ORDER BY created_at DESC');
+        res.json(rows.map(serializeApiKey));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// POST /api/keys - Issue a key bound to one agent id, role and scope set
+app.post('/api/keys', apiDoc('Issue an API key bound to one agent', { response: 'ApiKey', status: 201 }), founderAuthMiddleware, validateBody(BODY_SCHEMAS.apiKeyCreate), async (req, res) => {
+    try {
+        const { name, agent_id, agent_role, scopes } = req.body;
+        const agentInfo = getAgentIdentity(req);
+        const role = (agent_role || ROLES.AGENT).toLowerCase();
+        const scopeList = Array.isArray(scopes) ? scopes : parseScopes(scopes || 'read');
+
+        const id = Date.now().toString(36) + Math.random().toString(36).substr(2);
+        const rawKey = generateApiKey();
+
+        await db.run(
+            'INSERT INTO api_keys (id, name, key_hash, key_prefix, agent_id, agent_role, scopes, created_by) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)',
+            [id, name || null, hashToken(rawKey), rawKey.substring(0, 10), agent_id, role, scopeList.join(','), agentInfo.agentId]
+        );
+
+        logActivity('api_key_issue', null, null, `API key ${id} issued for ${agent_id} (${role}) with scopes: ${scopeList.join(', ')}`, agentInfo);
+
+        const key = await db.get('SELECT * FROM api_keys WHERE id = $1', [id]);
+        res.status(201).json({
+            ...serializeApiKey(key),
+            key: rawKey,
+            message: 'Store this key now - it will not be shown again'
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// POST /api/keys/:id/rotate - Replace the secret, keeping identity and scopes
+app.post('/api/keys/:id/rotate', apiDoc('Replace a key\'s secret', { response: 'ApiKey' }), founderAuthMiddleware, async (req, res) => {
+    try {
+        const keyId = req.params.id;
+        const agentInfo = getAgentIdentity(req);
+
+        const key = await db.get('SELECT * FROM api_keys WHERE id = $1', [keyId]);
+        if (!key) {
+            return res.status(404).json({ error: 'API key not found' });
+        }
+        if (key.revoked_at) {
+            return res.status(409).json({ error: 'API key is revoked' });
+        }
+
+        const rawKey = generateApiKey();
+        await db.run(
+            'UPDATE api_keys SET key_hash = $1, key_prefix = $2, rotated_at = ' + now() + ' WHERE id = $3',
+            [hashToken(rawKey), rawKey.substring(0, 10), keyId]
+        );
+
+        logActivity('api_key_rotate', null, null, `API key ${keyId} rotated for ${key.agent_id}`, agentInfo);
+
+        const updated = await db.get('SELECT * FROM api_keys WHERE id = $1', [keyId]);
+        res.json({
+            ...serializeApiKey(updated),
+            key: rawKey,
+            message: 'Store this key now - it will not be shown again'
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// DELETE /api/keys/:id - Revoke a key (kept for audit)
+app.delete('/api/keys/:id', apiDoc('Revoke an API key', { response: 'Revocation' }), founderAuthMiddleware, async (req, res) => {
+    try {
+        const keyId = req.params.id;
+        const agentInfo = getAgentIdentity(req);
+
+        const key = await db.get('SELECT * FROM api_keys WHERE id = $1', [keyId]);
+        if (!key) {
+            return res.status(404).json({ error: 'API key not found' });
+        }
+
+        if (!key.revoked_at) {
+            await db.run('UPDATE api_keys SET revoked_at = ' + now() + ' WHERE id = $1', [keyId]);
+            logActivity('api_key_revoke', null, null, `API key ${keyId} revoked for ${key.agent_id}`, agentInfo);
+        }
+
+        res.json({ id: keyId, revoked: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ============ Webhook Endpoints (Founder only) ============
+
+// GET /api/webhooks - List subscriptions (secrets are never returned)
+app.get('/api/webhooks', apiDoc('List webhook subscriptions', { response: 'Webhook[]' }), founderAuthMiddleware, async (req, res) => {
+    try {
+        const rows = await db.all('SELECT * FROM webhooks ORDER BY created_at DESC');
+        res.json(rows.map(serializeWebhook));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// POST /api/webhooks - Subscribe a URL to events (all boards unless board_id is set)
+app.post('/api/webhooks', apiDoc('Subscribe a URL to events', { response: 'Webhook', status: 201 }), founderAuthMiddleware, validateBody(BODY_SCHEMAS.webhookCreate), async (req, res) => {
+    try {
+        const { url, events, board_id, description, secret } = req.body;
+        const agentInfo = getAgentIdentity(req);
+
+        if (board_id) {
+            const board = await db.get('SELECT id FROM boards WHERE id = $1', [board_id]);
+            if (!board) {
+                return sendValidationError(res, addFieldError({}, 'board_id', 'invalid_value', `unknown board: ${board_id}`));
+            }
+        }
+
+        const id = Date.now().toString(36) + Math.random().toString(36).substr(2);
+        const signingSecret = secret || generateWebhookSecret();
+        const eventList = parseWebhookEvents(events);
 
         await db.run(
-            'INSERT INTO tasks (id, title, description, assignee, owner_agent, priority, status, due_date, branch, repo) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)',
-            [id, title, description || '', assignee || '', finalOwnerAgent, priority || 'Medium', finalStatus, due_date || null, branch || null, repo || null]
+            'INSERT INTO webhooks (id, url, secret, events, board_id, description, created_by) VALUES ($1, $2, $3, $4, $5, $6, $7)',
+            [id, url, signingSecret, eventList.join(','), board_id || null, description || null, agentInfo.agentId]
         );
-        
-        logActivity('create', id, title, `Created task "${title}" via Agent API`, agentInfo);
+
+        logActivity('webhook_create', null, null, `Webhook ${id} created for ${url} (${eventList.join(', ')})`, agentInfo);
+
+        const hook = await db.get('SELECT * FROM webhooks WHERE id = $1', [id]);
         res.status(201).json({
-            id, title, description, assignee,
-            owner_agent: finalOwnerAgent, priority, status: finalStatus,
-            due_date, branch, repo, message: 'Task created successfully'
+            ...serializeWebhook(hook),
+            secret: signingSecret,
+            message: 'Store this secret now - it will not be shown again'
         });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
-// POST /api/cards/:id/comment - Add comment to task (Agent API)
-app.post('/api/cards/:id/comment', agentAuthMiddleware, async (req, res) => {
+// GET /api/webhooks/:id - One subscription
+app.get('/api/webhooks/:id', apiDoc('One webhook subscription', { response: 'Webhook' }), founderAuthMiddleware, async (req, res) => {
     try {
-        const taskId = req.params.id;
-        const { content } = req.body;
+        const hook = await db.get('SELECT * FROM webhooks WHERE id = $1', [req.params.id]);
+        if (!hook) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+        res.json(serializeWebhook(hook));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// PUT /api/webhooks/:id - Change url, events, board, description or active flag
+app.put('/api/webhooks/:id', apiDoc('Change a webhook subscription', { response: 'Webhook' }), founderAuthMiddleware, validateBody(BODY_SCHEMAS.webhookUpdate), async (req, res) => {
+    try {
+        const { url, events, board_id, description, active } = req.body;
+        const hookId = req.params.id;
         const agentInfo = getAgentIdentity(req);
 
-        if (!content) {
-            return res.status(400).json({ error: 'Comment content is required' });
+        const hook = await db.get('SELECT * FROM webhooks WHERE id = $1', [hookId]);
+        if (!hook) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+        if (board_id) {
+            const board = await db.get('SELECT id FROM boards WHERE id = $1', [board_id]);
+            if (!board) {
+                return sendValidationError(res, addFieldError({}, 'board_id', 'invalid_value', `unknown board: ${board_id}`));
+            }
         }
 
-        // Verify task exists
-        const task = await db.get('SELECT * FROM tasks WHERE id = $1', [taskId]);
-        if (!task) {
-            return res.status(404).json({ error: 'Task not found' });
+        await db.run(
+            `UPDATE webhooks SET url = $1, events = $2, board_id = $3, description = $4, active = $5, updated_at = ${now()} WHERE id = $6`,
+            [
+                url || hook.url,
+                events !== undefined ? parseWebhookEvents(events).join(',') : hook.events,
+                board_id !== undefined ? board_id : hook.board_id,
+                description !== undefined ? description : hook.description,
+                active !== undefined ? (active ? 1 : 0) : hook.active,
+                hookId
+            ]
+        );
+
+        logActivity('webhook_update', null, null, `Webhook ${hookId} updated`, agentInfo);
+
+        const updated = await db.get('SELECT * FROM webhooks WHERE id = $1', [hookId]);
+        res.json(serializeWebhook(updated));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// POST /api/webhooks/:id/rotate-secret - Issue a new signing secret
+app.post('/api/webhooks/:id/rotate-secret', apiDoc('Issue a new signing secret', { response: 'Webhook' }), founderAuthMiddleware, async (req, res) => {
+    try {
+        const hookId = req.params.id;
+        const agentInfo = getAgentIdentity(req);
+
+        const hook = await db.get('SELECT * FROM webhooks WHERE id = $1', [hookId]);
+        if (!hook) {
+            return res.status(404).json({ error: 'Webhook not found' });
         }
 
+        const secret = generateWebhookSecret();
         await db.run(
-            'INSERT INTO comments (task_id, content, agent_id, agent_role) VALUES ($1, $2, $3, $4)',
-            [taskId, content, agentInfo.agentId, agentInfo.agentRole]
+            `UPDATE webhooks SET secret = $1, updated_at = ${now()} WHERE id = $2`,
+            [secret, hookId]
         );
-        
-        logActivity('comment', taskId, task.title, `Comment added by ${agentInfo.agentId}: "${content.substring(0, 50)}..."`, agentInfo);
-        res.status(201).json({
-            id: taskId, // SQLite uses lastID, Postgres uses serial
-            task_id: taskId,
-            content,
-            agent_id: agentInfo.agentId,
-            agent_role: agentInfo.agentRole,
-            message: 'Comment added successfully'
+
+        logActivity('webhook_rotate', null, null, `Webhook ${hookId} secret rotated`, agentInfo);
+        res.json({
+            ...serializeWebhook(hook),
+            secret,
+            message: 'Store this secret now - it will not be shown again'
         });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
-// POST /api/cards/:id/claim - Atomic claim task (first-claim-wins)
-app.post('/api/cards/:id/claim', agentAuthMiddleware, async (req, res) => {
+// DELETE /api/webhooks/:id - Remove a subscription (its pending deliveries are dropped)
+app.delete('/api/webhooks/:id', apiDoc('Remove a webhook subscription', { response: 'Success' }), founderAuthMiddleware, async (req, res) => {
     try {
-        const taskId = req.params.id;
+        const hookId = req.params.id;
         const agentInfo = getAgentIdentity(req);
 
-        // Start transaction
-        if (isPostgres) {
-            await db.client.query('BEGIN');
+        const result = await db.run('DELETE FROM webhooks WHERE id = $1', [hookId]);
+        if (!result.changes) {
+            return res.status(404).json({ error: 'Webhook not found' });
         }
+        await db.run(
+            'UPDATE webhook_deliveries SET status = $1, last_error = $2 WHERE webhook_id = $3 AND status = $4',
+            ['failed', 'Webhook deleted or disabled', hookId, 'pending']
+        );
 
-        try {
-            const task = await db.get('SELECT * FROM tasks WHERE id = $1', [taskId]);
+        logActivity('webhook_delete', null, null, `Webhook ${hookId} deleted`, agentInfo);
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// GET /api/webhooks/:id/deliveries - Recent deliveries (filter by ?status=pending|delivered|failed)
+app.get('/api/webhooks/:id/deliveries', apiDoc('Recent deliveries for a webhook', { response: 'WebhookDelivery[]', query: ['status', 'limit'] }), founderAuthMiddleware, async (req, res) => {
+    try {
+        const { status } = req.query;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+        let sql = 'SELECT * FROM webhook_deliveries WHERE webhook_id = $1';
+        const params = [req.params.id];
+        if (status) {
+            sql += ' AND status = $2';
+            params.push(status);
+        }
+        sql += ` ORDER BY created_at DESC LIMIT ${limit}`;
+
+        const rows = await db.all(sql, params);
+        res.json(rows.map(row => ({ ...row, payload: JSON.parse(row.payload) })));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// GET /api/webhooks/:id/deliveries/:deliveryId - One delivery with its attempt log
+app.get('/api/webhooks/:id/deliveries/:deliveryId', apiDoc('One delivery with its attempts', { response: 'WebhookDelivery' }), founderAuthMiddleware, async (req, res) => {
+    try {
+        const delivery = await db.get(
+            'SELECT * FROM webhook_deliveries WHERE id = $1 AND webhook_id = $2',
+            [req.params.deliveryId, req.params.id]
+        );
+        if (!delivery) {
+            return res.status(404).json({ error: 'Delivery not found' });
+        }
+
+        const attempts = await db.all(
+            'SELECT * FROM webhook_delivery_logs WHERE delivery_id = $1 ORDER BY attempt ASC',
+            [delivery.id]
+        );
+        res.json({ ...delivery, payload: JSON.parse(delivery.payload), attempts });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// POST /api/webhooks/:id/deliveries/:deliveryId/redeliver - Queue a delivery again now
+app.post('/api/webhooks/:id/deliveries/:deliveryId/redeliver', apiDoc('Queue a delivery again now', { response: 'Success' }), founderAuthMiddleware, async (req, res) => {
+    try {
+        const result = await db.run(
+            'UPDATE webhook_deliveries SET status = $1, attempts = 0, next_attempt_at = $2 WHERE id = $3 AND webhook_id = $4',
+            ['pending', new Date().toISOString(), req.params.deliveryId, req.params.id]
+        );
+        if (!result.changes) {
+            return res.status(404).json({ error: 'Delivery not found' });
+        }
+
+        setImmediate(processWebhookQueue);
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ============ End Agent API Endpoints ============
+
+// Get all tasks
+app.get(['/api/tasks', '/api/boards/:boardId/tasks'], apiDoc('List tasks', { response: 'Task[]', query: TASK_LIST_QUERY }), deprecatedTaskRoute, authMiddleware, boardMiddleware, listTasks);
+
+app.post(['/api/tasks', '/api/boards/:boardId/tasks'], apiDoc('Create a task', { response: 'Task', status: 201, errors: [409] }), deprecatedTaskRoute, authMiddleware, boardMiddleware, validateBody(BODY_SCHEMAS.taskCreate), createTask);
+
+app.post('/api/tasks/:id/claim', apiDoc('Claim a task (first claim wins)', { response: 'TaskAction', errors: [409, 412] }), deprecatedTaskRoute, authMiddleware, taskBoardMiddleware, claimTask);
+
+// Update task (with safety gates for status transitions). Only fields present in
+// the body change; null or "" clears a clearable field.
+async function updateTask(req, res) {
+    try {
+        const taskId = req.params.id;
+        const agentInfo = getAgentIdentity(req);
+
+        const patch = parseTaskPatch(req.body);
+        // labels replaces the task's label set when present
+        const labelNames = req.body.labels !== undefined ? parseLabelNames(req.body.labels) : null;
+        const { status } = patch;
+
+        // Checks and writes run against the locked row; logging and events wait for the commit
+        const outcome = await db.withTransaction(async () => {
+            const task = await selectTaskForUpdate(taskId);
             if (!task) {
-                if (isPostgres) await db.client.query('ROLLBACK');
-                return res.status(404).json({ error: 'Task not found' });
+                return { status: 404, body: { error: 'Task not found' } };
+            }
+            if (!ifMatchSatisfied(req, task)) {
+                return { preconditionFailed: true };
             }
 
-            // Validate claim action
-            const claimValidation = validateClaimAction(task, agentInfo);
-            if (!claimValidation.allowed) {
-                if (isPostgres) await db.client.query('ROLLBACK');
-                logActivity('claim_denied', taskId, task.title,
-                    `Claim attempt by ${agentInfo.agentId} denied: ${claimValidation.reason}`,
-                    agentInfo);
-                return res.status(409).json({
-                    error: 'Claim denied',
-                    reason: claimValidation.reason,
-                    current_owner: task.owner_agent
-                });
-            }
-
-            // Perform the claim
-            await db.run(
-                'UPDATE tasks SET owner_agent = $1, updated_at = ' + now() + ' WHERE id = $2',
-                [agentInfo.agentId, taskId]
-            );
+            const changes = diffTaskPatch(task, patch);
 
-            if (isPostgres) {
-                await db.client.query('COMMIT');
+            // Agent keys need the transition scope to move a card through PATCH
+            if (req.apiKey && changes.status && !req.apiKey.scopes.includes('transition')) {
+                return { status: 403, body: { error: 'Insufficient scope', required_scope: 'transition' } };
             }
 
-            logActivity('claim', taskId, task.title,
-                `Task claimed by ${agentInfo.agentId}`,
-                agentInfo);
+            // Other fields belong to the owner; owner_agent and status have their own gates below
+            if (labelNames || Object.keys(changes).some(field => field !== 'owner_agent' && field !== 'status')) {
+                const ownership = validateOwnerAction(task, agentInfo, 'edit');
+                if (!ownership.allowed) {
+                    return { status: 403, body: { error: 'Update denied', reason: ownership.reason } };
+                }
+            }
+
+            // ============ Assignment Safety ============
+            // Validate owner_agent changes (unassigned tasks and reassignment)
+            if (changes.owner_agent) {
+                const assignment = validateAssignmentAction(task, agentInfo);
+                if (!assignment.allowed) {
+                    return { status: 403, body: { error: 'Assignment denied', reason: assignment.reason } };
+                }
+            }
+            // ===============================================
+
+            // A manual reassignment ends any claim lease
+            let endsLease = Boolean(changes.owner_agent);
+
+            // Handle status transition validation
+            if (changes.status) {
+                const workflow = await getWorkflow(task.board_id || DEFAULT_BOARD_ID);
+                const validation = await validateTransition(task, status, agentInfo, workflow);
+                endsLease = endsLease || !statusHoldsLease(workflow, status);
+
+                if (!validation.allowed) {
+                    return { task, validation };
+                }
+            }
+
+            const [taskWithLabels] = await attachLabels([task]);
+            const previousLabels = taskWithLabels.labels.map(label => label.name);
+            if (labelNames && labelNames.slice().sort().join(',') !== previousLabels.join(',')) {
+                changes.labels = { from: previousLabels, to: labelNames };
+            }
+
+            const fields = Object.keys(changes).filter(field => field !== 'labels');
+            if (fields.length > 0) {
+                const assignments = fields.map((field, i) => `${field} = $${i + 1}`);
+                await db.run(
+                    `UPDATE tasks SET ${assignments.join(', ')}, version = version + 1, updated_at = ` + now() + `
+                     WHERE id = $${fields.length + 1}`,
+                    [...fields.map(field => changes[field].to), taskId]
+                );
+            } else if (changes.labels) {
+                await db.run('UPDATE tasks SET version = version + 1, updated_at = ' + now() + ' WHERE id = $1', [taskId]);
+            }
+            if (endsLease && task.claim_expires_at) {
+                await db.run('UPDATE tasks SET claim_expires_at = NULL WHERE id = $1', [taskId]);
+            }
+            if (changes.labels) {
+                await setTaskLabels(taskId, task.board_id || DEFAULT_BOARD_ID, labelNames, agentInfo.agentId);
+            }
+            if (Object.keys(changes).length > 0) {
+                await recordTaskChanges(task, changes, agentInfo);
+            }
+            return { task, changes };
+        });
+
+        if (outcome.preconditionFailed) {
+            return sendPreconditionFailed(res, taskId);
+        }
+        if (outcome.status) {
+            return res.status(outcome.status).json(outcome.body);
+        }
+
+        const { task, changes, validation } = outcome;
+        const branch = patch.branch !== undefined ? patch.branch : task.branch;
+        const repo = patch.repo !== undefined ? patch.repo : task.repo;
+        if (validation) {
+            logTransitionAttempt(
+                taskId, task.title, task.status, status,
+                agentInfo, false, validation.reason, branch, repo
+            );
+            return res.status(validation.wipLimit ? 409 : 403).json({
+                error: validation.wipLimit ? 'WIP limit reached' : 'Transition denied',
+                reason: validation.reason,
+                from_status: task.status,
+                to_status: status,
+                wip_limit: validation.wipLimit,
+                blocked_by: validation.blockedBy
+            });
+        }
 
-            res.json({
-                id: taskId,
-                owner_agent: agentInfo.agentId,
-                status: task.status,
-                message: 'Task claimed successfully'
+        let activityId = null;
+        if (changes.status) {
+            await logTransitionAttempt(
+                taskId, task.title, task.status, status,
+                agentInfo, true, null, branch, repo
+            );
+        }
+        if (Object.keys(changes).length > 0) {
+            activityId = await logActivity('update', taskId, task.title, `Updated: ${describeChanges(changes)}`, agentInfo, {
+                fromStatus: task.status,
+                toStatus: status || task.status,
+                allowed: true,
+                changes
             });
-        } catch (err) {
-            if (isPostgres) await db.client.query('ROLLBACK');
-            throw err;
+            publishTaskEvent(changes.status ? 'task.transitioned' : 'task.updated', taskId);
         }
+
+        const [updated] = await attachLabels([await db.get('SELECT * FROM tasks WHERE id = $1', [taskId])]);
+        res.set('ETag', taskETag(updated));
+        res.json({ ...updated, activity_id: activityId });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
-});
+}
 
-// POST /api/cards/:id/transition - Atomic status transition (Agent API)
-app.post('/api/cards/:id/transition', agentAuthMiddleware, async (req, res) => {
+app.put('/api/tasks/:id', apiDoc('Update task fields (same as PATCH)', { response: 'Task', errors: [409, 412] }), deprecatedTaskRoute, authMiddleware, taskBoardMiddleware, validateBody(BODY_SCHEMAS.taskUpdate), updateTask);
+app.patch('/api/tasks/:id', apiDoc('Update the task fields present in the body', { response: 'Task', errors: [409, 412] }), deprecatedTaskRoute, authMiddleware, taskBoardMiddleware, validateBody(BODY_SCHEMAS.taskUpdate), updateTask);
+app.patch('/api/cards/:id', apiDoc('Update the card fields present in the body', { response: 'Task', errors: [409, 412] }), deprecatedTaskRoute, agentAuthMiddleware, requireScope('write'), taskBoardMiddleware, validateBody(BODY_SCHEMAS.taskUpdate), updateTask);
+
+// Delete task (moves it to the trash; see Trash & Archive)
+async function deleteTask(req, res) {
     try {
         const taskId = req.params.id;
-        const { status: newStatus } = req.body;
         const agentInfo = getAgentIdentity(req);
 
-        if (!newStatus) {
-            return res.status(400).json({ error: 'New status is required' });
-        }
+        // Checked and trashed under the row lock, so concurrent deletes can't both succeed
+        const outcome = await db.withTransaction(async () => {
+            const task = await selectTaskForUpdate(taskId);
+            if (!task || task.deleted_at) {
+                return { status: 404, body: { error: 'Task not found' } };
+            }
+            const ownership = validateOwnerAction(task, agentInfo, 'delete');
+            if (!ownership.allowed) {
+                return { status: 403, body: { error: 'Delete denied', reason: ownership.reason } };
+            }
+            if (!ifMatchSatisfied(req, task)) {
+                return { preconditionFailed: true };
+            }
 
-        // Start transaction
-        if (isPostgres) {
-            await db.client.query('BEGIN');
+            const deletedAt = new Date().toISOString();
+            await db.run(
+                'UPDATE tasks SET deleted_at = $1, deleted_by = $2, claim_expires_at = NULL, version = version + 1, updated_at = ' + now() + ' WHERE id = $3',
+                [deletedAt, agentInfo.agentId || null, taskId]
+            );
+            return { task, deletedAt };
+        });
+
+        if (outcome.preconditionFailed) {
+            return sendPreconditionFailed(res, taskId);
+        }
+        if (outcome.status) {
+            return res.status(outcome.status).json(outcome.body);
         }
 
-        try {
-            const task = await db.get('SELECT * FROM tasks WHERE id = $1', [taskId]);
-            if (!task) {
-                if (isPostgres) await db.client.query('ROLLBACK');
-                return res.status(404).json({ error: 'Task not found' });
-            }
+        const { task, deletedAt } = outcome;
+        const activityId = await logActivity('delete', taskId, task.title, `Moved "${task.title}" to the trash`, agentInfo,
+            { changes: { deleted_at: { from: null, to: deletedAt } } });
+        broadcastEvent('task.deleted', task.board_id || DEFAULT_BOARD_ID, { id: taskId });
+        res.json({
+            success: true, deleted_at: deletedAt, purge_at: trashPurgeAt({ deleted_at: deletedAt }),
+            activity_id: activityId
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+}
 
-            // Validate transition with safety gates
-            const validation = validateTransition(task, newStatus, agentInfo);
+app.delete('/api/tasks/:id', apiDoc('Move a task to the trash', { response: 'Deletion' }), deprecatedTaskRoute, authMiddleware, taskBoardMiddleware, deleteTask);
 
-            if (!validation.allowed) {
-                if (isPostgres) await db.client.query('ROLLBACK');
-                logTransitionAttempt(
-                    taskId, task.title, task.status, newStatus,
-                    agentInfo, false, validation.reason,
-                    task.branch, task.repo
-                );
-                return res.status(403).json({
-                    error: 'Transition denied',
-                    reason: validation.reason,
-                    from_status: task.status,
-                    to_status: newStatus
-                });
+// Archive a finished task: hidden from the board and task lists until unarchived
+async function archiveTask(req, res) {
+    try {
+        const taskId = req.params.id;
+        const agentInfo = getAgentIdentity(req);
+
+        const outcome = await db.withTransaction(async () => {
+            const task = await selectTaskForUpdate(taskId);
+            if (!task || task.deleted_at) {
+                return { status: 404, body: { error: 'Task not found' } };
+            }
+            const ownership = validateOwnerAction(task, agentInfo, 'archive');
+            if (!ownership.allowed) {
+                return { status: 403, body: { error: 'Archive denied', reason: ownership.reason } };
+            }
+            if (task.archived_at) {
+                return { status: 409, body: { error: 'Task is already archived' } };
+            }
+            const doneStatus = getDoneStatus(await getWorkflow(task.board_id || DEFAULT_BOARD_ID));
+            if (task.status !== doneStatus) {
+                return { status: 409, body: { error: 'Archive denied', reason: `Only tasks in ${doneStatus} can be archived` } };
+            }
+            if (!ifMatchSatisfied(req, task)) {
+                return { preconditionFailed: true };
             }
 
-            // Perform the transition
+            const archivedAt = new Date().toISOString();
             await db.run(
-                'UPDATE tasks SET status = $1, updated_at = ' + now() + ' WHERE id = $2',
-                [newStatus, taskId]
+                'UPDATE tasks SET archived_at = $1, archived_by = $2, version = version + 1, updated_at = ' + now() + ' WHERE id = $3',
+                [archivedAt, agentInfo.agentId || null, taskId]
             );
+            return { task, archivedAt };
+        });
+
+        if (outcome.preconditionFailed) {
+            return sendPreconditionFailed(res, taskId);
+        }
+        if (outcome.status) {
+            return res.status(outcome.status).json(outcome.body);
+        }
+
+        const { task, archivedAt } = outcome;
+        const activityId = await logActivity('archive', taskId, task.title, `Archived "${task.title}"`, agentInfo,
+            { changes: { archived_at: { from: null, to: archivedAt } } });
+        broadcastEvent('task.archived', task.board_id || DEFAULT_BOARD_ID, { id: taskId });
+        res.json({ ...await db.get('SELECT * FROM tasks WHERE id = $1', [taskId]), activity_id: activityId });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+}
+
+app.post('/api/tasks/:id/archive', apiDoc('Archive a task in the done status', { response: 'Task', errors: [409, 412] }), deprecatedTaskRoute, authMiddleware, taskBoardMiddleware, archiveTask);
+
+// Bring an archived task back onto the board
+async function unarchiveTask(req, res) {
+    try {
+        const taskId = req.params.id;
+        const agentInfo = getAgentIdentity(req);
 
-            if (isPostgres) {
-                await db.client.query('COMMIT');
+        const outcome = await db.withTransaction(async () => {
+            const task = await selectTaskForUpdate(taskId);
+            if (!task || task.deleted_at) {
+                return { status: 404, body: { error: 'Task not found' } };
+            }
+            const ownership = validateOwnerAction(task, agentInfo, 'unarchive');
+            if (!ownership.allowed) {
+                return { status: 403, body: { error: 'Unarchive denied', reason: ownership.reason } };
+            }
+            if (!task.archived_at) {
+                return { status: 409, body: { error: 'Task is not archived' } };
             }
 
-            // Log successful transition
-            logTransitionAttempt(
-                taskId, task.title, task.status, newStatus,
-                agentInfo, true, null,
-                task.branch, task.repo
+            await db.run(
+                'UPDATE tasks SET archived_at = NULL, archived_by = NULL, version = version + 1, updated_at = ' + now() + ' WHERE id = $1',
+                [taskId]
             );
+            return { task };
+        });
 
-            res.json({
-                id: taskId,
-                from_status: task.status,
-                to_status: newStatus,
-                message: 'Task transitioned successfully'
-            });
-        } catch (err) {
-            if (isPostgres) await db.client.query('ROLLBACK');
-            throw err;
+        if (outcome.status) {
+            return res.status(outcome.status).json(outcome.body);
+        }
+
+        const { task } = outcome;
+        const activityId = await logActivity('unarchive', taskId, task.title, `Restored "${task.title}" from the archive`, agentInfo,
+            { changes: { archived_at: { from: task.archived_at, to: null } } });
+        publishTaskEvent('task.restored', taskId);
+        res.json({ ...await db.get('SELECT * FROM tasks WHERE id = $1', [taskId]), activity_id: activityId });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+}
+
+app.post('/api/tasks/:id/unarchive', apiDoc('Put an archived task back on the board', { response: 'Task', errors: [409] }), deprecatedTaskRoute, authMiddleware, taskBoardMiddleware, unarchiveTask);
+
+// ============ Tasks API (v2) ============
+
+// One task model for people and agents: every route accepts a session token, the owner
+// password or an API key. Keys need the scope named in requireScope; everyone goes through
+// the same handlers, so claims, transitions, assignment and WIP gates are identical.
+app.get(['/api/v2/tasks', '/api/v2/boards/:boardId/tasks'], apiDoc('List tasks in rank order', { response: 'Task[]', query: TASK_LIST_QUERY }), anyAuthMiddleware, requireScope('read'), boardMiddleware, listTasks);
+app.post(['/api/v2/tasks', '/api/v2/boards/:boardId/tasks'], apiDoc('Create a task (owned by the caller unless owner_agent names someone else)', { response: 'Task', status: 201, errors: [409] }), anyAuthMiddleware, requireScope('write'), boardMiddleware, validateBody(BODY_SCHEMAS.taskCreate), createTask);
+app.post(['/api/v2/tasks/claim-next', '/api/v2/boards/:boardId/tasks/claim-next'], apiDoc('Claim the best eligible task', { response: 'Task', errors: [409], responses: { 204: 'No eligible task' } }), anyAuthMiddleware, requireScope('claim'), boardMiddleware, validateBody(BODY_SCHEMAS.claimNext), claimNextTask);
+app.get('/api/v2/tasks/:id', apiDoc('One task, with its version as the ETag', { response: 'Task', query: ['include'] }), anyAuthMiddleware, requireScope('read'), taskBoardMiddleware, getTask);
+app.patch('/api/v2/tasks/:id', apiDoc('Update the task fields present in the body', { response: 'Task', errors: [409, 412] }), anyAuthMiddleware, requireScope('write'), taskBoardMiddleware, validateBody(BODY_SCHEMAS.taskUpdate), updateTask);
+app.delete('/api/v2/tasks/:id', apiDoc('Move a task to the trash', { response: 'Deletion', errors: [412] }), anyAuthMiddleware, requireScope('write'), taskBoardMiddleware, deleteTask);
+app.post('/api/v2/tasks/:id/claim', apiDoc('Claim a task (first claim wins)', { response: 'TaskAction', errors: [409, 412] }), anyAuthMiddleware, requireScope('claim'), taskBoardMiddleware, claimTask);
+app.post('/api/v2/tasks/:id/heartbeat', apiDoc('Extend the caller\'s claim lease', { response: 'TaskAction', errors: [409] }), anyAuthMiddleware, requireScope('claim'), taskBoardMiddleware, heartbeatClaim);
+app.post('/api/v2/tasks/:id/release', apiDoc('Release a claim', { response: 'TaskAction', errors: [409, 412] }), anyAuthMiddleware, requireScope('claim'), taskBoardMiddleware, releaseClaim);
+app.post('/api/v2/tasks/:id/transition', apiDoc('Move a task through the workflow gates', { response: 'TaskAction', errors: [409, 412] }), anyAuthMiddleware, requireScope('transition'), taskBoardMiddleware, validateBody(BODY_SCHEMAS.transition), transitionTask);
+app.post('/api/v2/tasks/:id/archive', apiDoc('Archive a task in the done status', { response: 'Task', errors: [409, 412] }), anyAuthMiddleware, requireScope('write'), taskBoardMiddleware, archiveTask);
+app.post('/api/v2/tasks/:id/unarchive', apiDoc('Put an archived task back on the board', { response: 'Task', errors: [409] }), anyAuthMiddleware, requireScope('write'), taskBoardMiddleware, unarchiveTask);
+app.post('/api/v2/tasks/:id/reorder', apiDoc('Place the task before or after another task', { response: 'Rank' }), anyAuthMiddleware, requireScope('write'), taskBoardMiddleware, validateBody(BODY_SCHEMAS.reorder), reorderTask);
+app.get('/api/v2/tasks/:id/history', apiDoc('A task\'s timeline, oldest first', { response: 'History' }), anyAuthMiddleware, requireScope('read'), taskBoardMiddleware, getTaskHistory);
+app.get('/api/v2/tasks/:id/comments', apiDoc('Comments on a task, oldest first', { response: 'Comment[]' }), anyAuthMiddleware, requireScope('read'), taskBoardMiddleware, listComments);
+app.post('/api/v2/tasks/:id/comments', apiDoc('Add a comment', { response: 'Comment', status: 201 }), anyAuthMiddleware, requireScope('write'), taskBoardMiddleware, validateBody(BODY_SCHEMAS.comment), addComment);
+app.get('/api/v2/tasks/:id/dependencies', apiDoc('Tasks this task is blocked by, and tasks it blocks', { response: 'Dependencies' }), anyAuthMiddleware, requireScope('read'), taskBoardMiddleware, listDependencies);
+app.post('/api/v2/tasks/:id/dependencies', apiDoc('Mark the task as blocked by another task', { response: 'Dependency', status: 201, errors: [409] }), anyAuthMiddleware, requireScope('write'), taskBoardMiddleware, validateBody(BODY_SCHEMAS.dependency), addDependency);
+app.delete('/api/v2/tasks/:id/dependencies/:blockerId', apiDoc('Remove a blocker', { response: 'Success' }), anyAuthMiddleware, requireScope('write'), taskBoardMiddleware, removeDependency);
+
+// List the board's trash, newest first, with when each task will be purged
+app.get(['/api/trash', '/api/boards/:boardId/trash'], apiDoc('Tasks in the trash, newest first', { response: 'Trash' }), authMiddleware, boardMiddleware, async (req, res) => {
+    try {
+        const rows = await db.all(
+            'SELECT * FROM tasks WHERE board_id = $1 AND deleted_at IS NOT NULL ORDER BY deleted_at DESC',
+            [req.board.id]
+        );
+        const tasks = await attachLabels(rows);
+        res.json({
+            retention_days: TRASH_RETENTION_DAYS,
+            tasks: tasks.map(task => ({ ...task, purge_at: trashPurgeAt(task) }))
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Restore a task from the trash, with its comments, labels and dependencies
+// (the task's owner or a Founder)
+app.post('/api/trash/:id/restore', apiDoc('Restore a task from the trash', { response: 'Task', errors: [412] }), authMiddleware, trashedTaskBoardMiddleware, async (req, res) => {
+    try {
+        const taskId = req.params.id;
+        const agentInfo = getAgentIdentity(req);
+
+        const outcome = await db.withTransaction(async () => {
+            const task = await selectTaskForUpdate(taskId);
+            if (!task || !task.deleted_at) {
+                return { status: 404, body: { error: 'Task not in trash' } };
+            }
+            const ownership = validateOwnerAction(task, agentInfo, 'restore');
+            if (!ownership.allowed) {
+                return { status: 403, body: { error: 'Restore denied', reason: ownership.reason } };
+            }
+            if (!ifMatchSatisfied(req, task)) {
+                return { preconditionFailed: true };
+            }
+
+            await db.run(
+                'UPDATE tasks SET deleted_at = NULL, deleted_by = NULL, version = version + 1, updated_at = ' + now() + ' WHERE id = $1',
+                [taskId]
+            );
+            return { task };
+        });
+
+        if (outcome.preconditionFailed) {
+            return sendPreconditionFailed(res, taskId);
+        }
+        if (outcome.status) {
+            return res.status(outcome.status).json(outcome.body);
         }
+
+        const { task } = outcome;
+        const activityId = await logActivity('restore', taskId, task.title, `Restored "${task.title}" from the trash`, agentInfo,
+            { changes: { deleted_at: { from: task.deleted_at, to: null } } });
+        publishTaskEvent('task.restored', taskId);
+        res.json({ ...await db.get('SELECT * FROM tasks WHERE id = $1', [taskId]), activity_id: activityId });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
-// GET /api/cards/:id/comments - Get comments for a task (Agent API helper)
-app.get('/api/cards/:id/comments', agentAuthMiddleware, async (req, res) => {
+// Permanently delete a trashed task (board Founder only)
+app.delete('/api/trash/:id', apiDoc('Purge a task from the trash now', { response: 'Success' }), authMiddleware, trashedTaskBoardMiddleware, boardFounderMiddleware, async (req, res) => {
     try {
         const taskId = req.params.id;
-        const rows = await db.all('SELECT * FROM comments WHERE task_id = $1 ORDER BY created_at ASC', [taskId]);
-        res.json(rows);
+        const task = await db.get('SELECT * FROM tasks WHERE id = $1', [taskId]);
+
+        await purgeTask(taskId);
+        logActivity('purge', taskId, task.title, `Permanently deleted "${task.title}"`, getAgentIdentity(req));
+        res.json({ success: true });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
-// ============ End Agent API Endpoints ============
-
-// Get all tasks
-app.get('/api/tasks', authMiddleware, async (req, res) => {
+// Get activity log (enhanced with agent info)
+// Newest first, 50 per page unless ?limit= says otherwise
+app.get(['/api/activity', '/api/boards/:boardId/activity'], apiDoc('Activity log, newest first', { response: 'ActivityEntry[]', query: ACTIVITY_QUERY }), authMiddleware, boardMiddleware, async (req, res) => {
     try {
-        const rows = await db.all('SELECT * FROM tasks ORDER BY created_at DESC');
-        res.json(rows);
+        const errors = {};
+        const params = [req.board.id];
+        const sql = appendActivityFilters('SELECT * FROM activity_log WHERE board_id = $1', params, req.query, errors);
+        const order = { columns: ['id'], direction: 'DESC', defaultLimit: 50 };
+        const page = appendPage(sql, params, req.query, order, errors);
+        if (Object.keys(errors).length > 0) {
+            return sendValidationError(res, errors, 'Invalid query');
+        }
+
+        const rows = sendPageHeaders(req, res, await db.all(page.sql, params), page.limit, order.columns);
+        res.json(rows.map(formatActivity));
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
-// Create task
-app.post('/api/tasks', authMiddleware, async (req, res) => {
+// Get denied transitions (for monitoring)
+app.get(['/api/activity/denied', '/api/boards/:boardId/activity/denied'], apiDoc('Denied transitions, newest first', { response: 'ActivityEntry[]' }), authMiddleware, boardMiddleware, async (req, res) => {
     try {
-        const { title, description, assignee, priority, status, due_date, owner_agent, branch, repo } = req.body;
-        const agentInfo = getAgentIdentity(req);
-        const id = Date.now().toString(36) + Math.random().toString(36).substr(2);
-
-        // Auto-assign owner_agent from agent identity if not provided
-        const finalOwnerAgent = owner_agent || agentInfo.agentId;
-
-        await db.run(
-            'INSERT INTO tasks (id, title, description, assignee, owner_agent, priority, status, due_date, branch, repo) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)',
-            [id, title, description || '', assignee || '', finalOwnerAgent, priority || 'Medium', status || 'Backlog', due_date || null, branch || null, repo || null]
-        );
-        
-        logActivity('create', id, title, `Created task "${title}"`, agentInfo);
-        res.json({
-            id, title, description, assignee, owner_agent: finalOwnerAgent,
-            priority, status, due_date, branch, repo
-        });
+        const rows = await db.all('SELECT * FROM activity_log WHERE board_id = $1 AND transition_allowed = 0 ORDER BY created_at DESC LIMIT 50', [req.board.id]);
+        res.json(rows.map(formatActivity));
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
-// ============ Claim Task ============
-// Agent can claim an unassigned task
-app.post('/api/tasks/:id/claim', authMiddleware, async (req, res) => {
-    try {
-        const taskId = req.params.id;
-        const agentInfo = getAgentIdentity(req);
+// ============ Undo ============
 
-        const task = await db.get('SELECT * FROM tasks WHERE id = $1', [taskId]);
-        if (!task) {
-            return res.status(404).json({ error: 'Task not found' });
-        }
+// Columns a revert may write; anything else in a log entry's changes is refused
+const REVERTIBLE_FIELDS = [...Object.keys(TASK_UPDATE_FIELDS), 'labels', 'deleted_at', 'archived_at'];
 
-        // Validate claim action
-        const claimValidation = validateClaimAction(task, agentInfo);
-        if (!claimValidation.allowed) {
-            logActivity('claim_denied', taskId, task.title, 
-                `Claim attempt by ${agentInfo.agentId} denied: ${claimValidation.reason}`, 
-                agentInfo);
-            return res.status(403).json({ error: 'Claim denied', reason: claimValidation.reason });
+// Board of the activity entry in :id (404 when there is no such entry)
+const activityBoardMiddleware = async (req, res, next) => {
+    try {
+        const entry = await db.get('SELECT board_id FROM activity_log WHERE id = $1', [req.params.id]);
+        if (!entry) {
+            return res.status(404).json({ error: 'Activity not found' });
         }
-
-        // Perform the claim
-        await db.run(
-            'UPDATE tasks SET owner_agent = $1, updated_at = ' + now() + ' WHERE id = $2',
-            [agentInfo.agentId, taskId]
-        );
-
-        logActivity('claim', taskId, task.title, 
-            `Task claimed by ${agentInfo.agentId}`, 
-            agentInfo);
-
-        res.json({
-            id: taskId,
-            owner_agent: agentInfo.agentId,
-            message: 'Task claimed successfully'
-        });
+        attachBoard(req, res, next, entry.board_id || DEFAULT_BOARD_ID);
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
-});
+};
 
-// Update task (with safety gates for status transitions)
-app.put('/api/tasks/:id', authMiddleware, async (req, res) => {
+// Undo one logged change: write each field back to its `from` value. Only allowed
+// while the task still holds the values the change left behind, and status moves
+// go through validateTransition like any other move. Callers may revert their own
+// actions; board Founders may revert anyone's.
+app.post('/api/activity/:id/revert', apiDoc('Undo a logged change', { response: 'Revert', errors: [409] }), authMiddleware, activityBoardMiddleware, async (req, res) => {
     try {
-        const { title, description, assignee, priority, status, due_date, owner_agent, branch, repo } = req.body;
-        const taskId = req.params.id;
         const agentInfo = getAgentIdentity(req);
 
-        const task = await db.get('SELECT * FROM tasks WHERE id = $1', [taskId]);
-        if (!task) {
-            return res.status(404).json({ error: 'Task not found' });
-        }
+        // The entry and the task stay locked from the checks to the writes, and the
+        // entry is only marked reverted if nobody else got there first
+        const outcome = await db.withTransaction(async () => {
+            const entry = await db.get('SELECT * FROM activity_log WHERE id = $1' + (isPostgres ? ' FOR UPDATE' : ''), [req.params.id]);
+            if (!entry) {
+                return { status: 404, body: { error: 'Activity not found' } };
+            }
+            const changes = entry.changes ? JSON.parse(entry.changes) : null;
 
-        // ============ Unassigned Task Safety ============
-        // Validate owner_agent changes on unassigned tasks
-        if (owner_agent !== undefined && owner_agent !== task.owner_agent) {
-            const role = (agentInfo.agentRole || '').toLowerCase();
-            if (isUnassigned(task) && role !== ROLES.FOUNDER && role !== ROLES.AGENT) {
-                return res.status(403).json({
-                    error: 'Assignment denied',
-                    reason: 'Only Founder or Agents can assign unassigned tasks'
-                });
+            if (!REVERTIBLE_ACTIONS.includes(entry.action) || !changes ||
+                Object.keys(changes).some(field => !REVERTIBLE_FIELDS.includes(field))) {
+                return { status: 400, body: { error: 'This activity cannot be reverted' } };
+            }
+            if (entry.reverted_at) {
+                return { status: 409, body: { error: 'Already reverted', reverted_at: entry.reverted_at, reverted_by: entry.reverted_by } };
+            }
+            if (entry.agent_id !== agentInfo.agentId && agentInfo.agentRole !== ROLES.FOUNDER) {
+                return { status: 403, body: { error: 'Revert denied', reason: 'Only Founders can revert other people\'s actions' } };
             }
-        }
-        // ===============================================
 
-        // Handle status transition validation
-        let statusChangeInfo = null;
-        if (status !== undefined && status !== task.status) {
-            const validation = validateTransition(task, status, agentInfo);
-            statusChangeInfo = {
-                attemptedStatus: status,
-                wasAllowed: validation.allowed,
-                denialReason: validation.reason
-            };
+            const row = await selectTaskForUpdate(entry.task_id);
+            if (!row) {
+                return { status: 404, body: { error: 'Task no longer exists' } };
+            }
+            if (row.deleted_at && !changes.deleted_at) {
+                return { status: 404, body: { error: 'Task not found', reason: 'Task is in the trash' } };
+            }
 
-            if (!validation.allowed) {
-                logTransitionAttempt(
-                    taskId, task.title, task.status, status,
-                    agentInfo, false, validation.reason,
-                    branch || task.branch, repo || task.repo
-                );
-                return res.status(403).json({
-                    error: 'Transition denied',
-                    reason: validation.reason,
-                    from_status: task.status,
-                    to_status: status
-                });
+            // Refuse if anything the entry changed has moved on since
+            const [task] = await attachLabels([row]);
+            const currentLabels = task.labels.map(label => label.name).sort().join(',');
+            const changedSince = Object.entries(changes)
+                .filter(([field, { to }]) => (field === 'labels'
+                    ? currentLabels !== (to || []).slice().sort().join(',')
+                    : (task[field] || '') !== (to || '')))
+                .map(([field]) => field);
+            if (changedSince.length > 0) {
+                return {
+                    status: 409,
+                    body: { error: 'Revert conflict', reason: `Changed since: ${changedSince.join(', ')}`, fields: changedSince, task }
+                };
             }
 
-            logTransitionAttempt(
-                taskId, task.title, task.status, status,
-                agentInfo, true, null,
-                branch || task.branch, repo || task.repo
-            );
-        }
+            const inverse = {};
+            for (const [field, { from, to }] of Object.entries(changes)) {
+                inverse[field] = { from: to, to: from };
+            }
 
-        const changes = [];
-        if (title !== undefined && title !== task.title) changes.push(`title: "${task.title}" → "${title}"`);
-        if (assignee !== undefined && assignee !== (task.assignee || '')) changes.push(`assignee: ${task.assignee || 'none'} → ${assignee || 'none'}`);
-        if (owner_agent !== undefined && owner_agent !== (task.owner_agent || '')) changes.push(`owner_agent: ${task.owner_agent || 'none'} → ${owner_agent || 'none'}`);
-        if (priority !== undefined && priority !== task.priority) changes.push(`priority: ${task.priority} → ${priority}`);
-        if (status !== undefined && status !== task.status) changes.push(`status: ${task.status} → ${status}`);
-        if (due_date !== undefined && due_date !== task.due_date) changes.push(`due_date: ${task.due_date || 'none'} → ${due_date || 'none'}`);
-        if (branch !== undefined && branch !== task.branch) changes.push(`branch: ${task.branch || 'none'} → ${branch || 'none'}`);
-        if (repo !== undefined && repo !== task.repo) changes.push(`repo: ${task.repo || 'none'} → ${repo || 'none'}`);
+            // Giving an unassigned task an owner follows the usual assignment rule
+            if (inverse.owner_agent && inverse.owner_agent.to && isUnassigned(task)) {
+                const assignment = validateAssignmentAction(task, agentInfo);
+                if (!assignment.allowed) {
+                    return { status: 403, body: { error: 'Assignment denied', reason: assignment.reason } };
+                }
+            }
 
-        await db.run(
-            `UPDATE tasks SET title = $1, description = $2, owner_agent = $3, assignee = $4,
-             priority = $5, status = $6, due_date = $7, branch = $8, repo = $9, updated_at = ` + now() + `
-             WHERE id = $10`,
-            [
-                title || task.title, description || task.description,
-                owner_agent || task.owner_agent || '',
-                assignee || task.assignee || '',
-                priority || task.priority, status || task.status,
-                due_date || task.due_date, branch || task.branch, repo || task.repo,
-                taskId
-            ]
-        );
+            const workflow = await getWorkflow(task.board_id || DEFAULT_BOARD_ID);
+            if (inverse.status) {
+                const validation = await validateTransition(task, inverse.status.to, agentInfo, workflow);
+                if (!validation.allowed) {
+                    return { task, inverse, validation };
+                }
+            }
 
-        logActivity('update', taskId, task.title, `Updated: ${changes.join(', ')}`, agentInfo, {
-            fromStatus: task.status,
-            toStatus: status || task.status,
-            allowed: true
-        });
+            const marked = await db.run(
+                'UPDATE activity_log SET reverted_at = ' + now() + ', reverted_by = $1 WHERE id = $2 AND reverted_at IS NULL',
+                [agentInfo.agentId || null, entry.id]
+            );
+            if (!marked.changes) {
+                const current = await db.get('SELECT reverted_at, reverted_by FROM activity_log WHERE id = $1', [entry.id]);
+                return { status: 409, body: { error: 'Already reverted', reverted_at: current.reverted_at, reverted_by: current.reverted_by } };
+            }
 
-        res.json({
-            id: taskId,
-            title: title || task.title,
-            description: description || task.description,
-            assignee: assignee || task.assignee,
-            owner_agent: owner_agent || task.owner_agent,
-            priority: priority || task.priority,
-            status: status || task.status,
-            due_date: due_date || task.due_date,
-            branch: branch || task.branch,
-            repo: repo || task.repo
+            const assignments = [];
+            const params = [];
+            for (const field of Object.keys(inverse).filter(field => field !== 'labels')) {
+                params.push(inverse[field].to);
+                assignments.push(`${field} = $${params.length}`);
+                if (field === 'deleted_at' || field === 'archived_at') {
+                    params.push(inverse[field].to ? agentInfo.agentId || null : null);
+                    assignments.push(`${field.replace(/_at$/, '_by')} = $${params.length}`);
+                }
+            }
+            if (inverse.owner_agent || (inverse.status && !statusHoldsLease(workflow, inverse.status.to))) {
+                assignments.push('claim_expires_at = NULL');
+            }
+            assignments.push('version = version + 1', 'updated_at = ' + now());
+            params.push(task.id);
+            await db.run(`UPDATE tasks SET ${assignments.join(', ')} WHERE id = $${params.length}`, params);
+            if (inverse.labels) {
+                await setTaskLabels(task.id, task.board_id || DEFAULT_BOARD_ID, inverse.labels.to || [], agentInfo.agentId);
+            }
+
+            const fieldChanges = Object.fromEntries(Object.entries(inverse).filter(([field]) => field in TASK_UPDATE_FIELDS || field === 'labels'));
+            await recordTaskChanges(task, fieldChanges, agentInfo);
+            return { entry, task, inverse };
         });
-    } catch (err) {
-        res.status(500).json({ error: err.message });
-    }
-});
 
-// Delete task
-app.delete('/api/tasks/:id', authMiddleware, async (req, res) => {
-    try {
-        const taskId = req.params.id;
-        const agentInfo = getAgentIdentity(req);
+        if (outcome.status) {
+            return res.status(outcome.status).json(outcome.body);
+        }
 
-        const task = await db.get('SELECT * FROM tasks WHERE id = $1', [taskId]);
-        if (!task) {
-            return res.status(404).json({ error: 'Task not found' });
+        const { entry, task, inverse, validation } = outcome;
+        if (validation) {
+            logTransitionAttempt(task.id, task.title, task.status, inverse.status.to,
+                agentInfo, false, validation.reason, task.branch, task.repo);
+            return res.status(validation.wipLimit ? 409 : 403).json({
+                error: validation.wipLimit ? 'WIP limit reached' : 'Transition denied',
+                reason: validation.reason,
+                from_status: task.status,
+                to_status: inverse.status.to,
+                wip_limit: validation.wipLimit,
+                blocked_by: validation.blockedBy
+            });
         }
 
-        await db.run('DELETE FROM tasks WHERE id = $1', [taskId]);
-        logActivity('delete', taskId, task.title, `Deleted task "${task.title}"`, agentInfo);
-        res.json({ success: true });
-    } catch (err) {
-        res.status(500).json({ error: err.message });
-    }
-});
+        const activityId = await logActivity('revert', task.id, task.title,
+            `Reverted ${entry.action} #${entry.id}: ${describeChanges(inverse)}`, agentInfo, {
+                fromStatus: task.status,
+                toStatus: inverse.status ? inverse.status.to : task.status,
+                allowed: true
+            });
 
-// Get activity log (enhanced with agent info)
-app.get('/api/activity', authMiddleware, async (req, res) => {
-    try {
-        const limit = parseInt(req.query.limit) || 50;
-        const rows = await db.all('SELECT * FROM activity_log ORDER BY created_at DESC LIMIT $1', [limit]);
-        res.json(rows);
-    } catch (err) {
-        res.status(500).json({ error: err.message });
-    }
-});
+        const boardId = task.board_id || DEFAULT_BOARD_ID;
+        if ((inverse.deleted_at && inverse.deleted_at.to) || (inverse.archived_at && inverse.archived_at.to)) {
+            broadcastEvent(inverse.deleted_at ? 'task.deleted' : 'task.archived', boardId, { id: task.id });
+        } else if (inverse.deleted_at || inverse.archived_at) {
+            publishTaskEvent('task.restored', task.id);
+        } else {
+            publishTaskEvent(inverse.status ? 'task.transitioned' : 'task.updated', task.id);
+        }
 
-// Get denied transitions (for monitoring)
-app.get('/api/activity/denied', authMiddleware, async (req, res) => {
-    try {
-        const rows = await db.all('SELECT * FROM activity_log WHERE transition_allowed = 0 ORDER BY created_at DESC LIMIT 50');
-        res.json(rows);
+        const [updated] = await attachLabels([await db.get('SELECT * FROM tasks WHERE id = $1', [task.id])]);
+        res.set('ETag', taskETag(updated));
+        res.json({ reverted: entry.id, activity_id: activityId, task: updated });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
 // Get reminders (upcoming due dates)
-app.get('/api/reminders', authMiddleware, async (req, res) => {
+app.get(['/api/reminders', '/api/boards/:boardId/reminders'], apiDoc('Open tasks with a due date, soonest first', { response: 'Task[]' }), authMiddleware, boardMiddleware, async (req, res) => {
     try {
-        const rows = await db.all('SELECT * FROM tasks WHERE due_date IS NOT NULL AND status != $1 ORDER BY due_date ASC', ['Done']);
+        const doneStatus = getDoneStatus(await getWorkflow(req.board.id));
+        const rows = await db.all('SELECT * FROM tasks WHERE board_id = $1 AND deleted_at IS NULL AND archived_at IS NULL AND due_date IS NOT NULL AND status != $2 ORDER BY due_date ASC', [req.board.id, doneStatus]);
         res.json(rows);
     } catch (err) {
         res.status(500).json({ error: err.message });
@@ -924,12 +4449,14 @@ app.get('/api/reminders', authMiddleware, async (req, res) => {
 });
 
 // Get stats
-app.get('/api/stats', authMiddleware, async (req, res) => {
+app.get(['/api/stats', '/api/boards/:boardId/stats'], apiDoc('Board counters', { response: 'Stats' }), authMiddleware, boardMiddleware, async (req, res) => {
     try {
-        const total = await db.get('SELECT COUNT(*) as total FROM tasks');
-        const done = await db.get('SELECT COUNT(*) as done FROM tasks WHERE status = $1', ['Done']);
-        const overdue = await db.get('SELECT COUNT(*) as overdue FROM tasks WHERE due_date < date($1) AND status != $2', ['now', 'Done']);
-        const denied = await db.get('SELECT COUNT(*) as denied FROM activity_log WHERE transition_allowed = 0');
+        const boardId = req.board.id;
+        const doneStatus = getDoneStatus(await getWorkflow(boardId));
+        const total = await db.get('SELECT COUNT(*) as total FROM tasks WHERE board_id = $1 AND deleted_at IS NULL AND archived_at IS NULL', [boardId]);
+        const done = await db.get('SELECT COUNT(*) as done FROM tasks WHERE board_id = $1 AND deleted_at IS NULL AND archived_at IS NULL AND status = $2', [boardId, doneStatus]);
+        const overdue = await db.get('SELECT COUNT(*) as overdue FROM tasks WHERE board_id = $1 AND deleted_at IS NULL AND archived_at IS NULL AND due_date < date($2) AND status != $3', [boardId, 'now', doneStatus]);
+        const denied = await db.get('SELECT COUNT(*) as denied FROM activity_log WHERE board_id = $1 AND transition_allowed = 0', [boardId]);
         
         res.json({
             total: total?.total || 0,
@@ -943,15 +4470,16 @@ app.get('/api/stats', authMiddleware, async (req, res) => {
 });
 
 // Health check
-app.get('/health', (req, res) => res.json({
+app.get('/health', apiDoc('Health check', { response: 'Health' }), (req, res) => res.json({
     status: 'ok',
     database: isPostgres ? 'postgresql' : 'sqlite',
+    schema_version: schemaVersion,
     timestamp: new Date().toISOString(),
     uptime: process.uptime()
 }));
 
 // Auth debug endpoint (for troubleshooting - safe to expose)
-app.get('/auth-debug', (req, res) => {
+app.get('/auth-debug', apiDoc('Whether an X-Owner-Password header matches (never the value)', { response: 'AuthDebug' }), (req, res) => {
     const headerPw = req.headers['x-owner-password'];
     res.json({
         headerProvided: !!headerPw,
@@ -962,9 +4490,684 @@ app.get('/auth-debug', (req, res) => {
     });
 });
 
+// ============ OpenAPI Document ============
+
+// Response bodies named by apiDoc({ response }). Task rows carry every column;
+// fields added by includes or actions are listed but never required.
+const LABEL_REF_SCHEMA = {
+    type: 'object',
+    properties: { id: { type: 'string' }, name: { type: 'string' }, color: { type: 'string' } }
+};
+const TASK_STATUS_REF_SCHEMA = {
+    type: 'object',
+    properties: { id: { type: 'string' }, title: { type: 'string' }, status: { type: 'string' } }
+};
+const NULLABLE_STRING = { type: 'string', nullable: true };
+
+const RESPONSE_SCHEMAS = {
+    Error: {
+        type: 'object',
+        required: ['error'],
+        properties: { error: { type: 'string' } }
+    },
+    ValidationError: {
+        type: 'object',
+        required: ['error', 'fields', 'errors'],
+        properties: {
+            error: { type: 'string', enum: ['Invalid request body', 'Invalid query'] },
+            fields: { type: 'object', additionalProperties: { type: 'string' }, description: 'Message per field path' },
+            errors: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        field: { type: 'string', example: 'statuses[0].name' },
+                        code: { type: 'string', enum: ['required', 'invalid_type', 'invalid_value', 'invalid_format', 'too_short', 'too_long', 'out_of_range'] },
+                        message: { type: 'string' }
+                    }
+                }
+            }
+        }
+    },
+    // checkWipLimit's wipLimit, sent as wip_limit when a move or claim would overfill a status
+    WipLimit: {
+        type: 'object',
+        properties: {
+            status: { type: 'string' },
+            limit: { type: 'integer' },
+            count: { type: 'integer', description: 'Tasks already counted against the limit' },
+            scope: { type: 'string', enum: ['global', 'owner_agent'] }
+        }
+    },
+    // 403: missing scope or board role, or a workflow gate (transitions carry the move and open blockers)
+    Denied: {
+        type: 'object',
+        required: ['error'],
+        properties: {
+            error: { type: 'string', example: 'Transition denied' },
+            reason: { type: 'string' },
+            required_scope: { type: 'string' },
+            from_status: { type: 'string' },
+            to_status: { type: 'string' },
+            blocked_by: { type: 'array', items: TASK_STATUS_REF_SCHEMA }
+        }
+    },
+    // 409: claimed elsewhere, WIP limit reached, duplicates, dependency cycles and stale reverts
+    Conflict: {
+        type: 'object',
+        required: ['error'],
+        properties: {
+            error: { type: 'string', example: 'WIP limit reached' },
+            reason: { type: 'string' },
+            wip_limit: { $ref: '#/components/schemas/WipLimit' },
+            from_status: { type: 'string' },
+            to_status: { type: 'string' },
+            blocked_by: { type: 'array', items: TASK_STATUS_REF_SCHEMA },
+            current_owner: NULLABLE_STRING,
+            statuses: { type: 'array', items: { type: 'string' }, description: 'Statuses a workflow change would orphan' },
+            fields: { type: 'array', items: { type: 'string' }, description: 'Fields changed since the reverted entry' },
+            task: { $ref: '#/components/schemas/Task' }
+        }
+    },
+    PreconditionFailed: {
+        type: 'object',
+        properties: {
+            error: { type: 'string' },
+            reason: { type: 'string' },
+            current_version: { type: 'integer', nullable: true },
+            task: { $ref: '#/components/schemas/Task' }
+        }
+    },
+    Success: { type: 'object', properties: { success: { type: 'boolean' } } },
+    Agents: { type: 'object', properties: { agents: { type: 'array', items: { type: 'string' } } } },
+    Version: { type: 'object', properties: { version: { type: 'string' } } },
+    Health: {
+        type: 'object',
+        properties: {
+            status: { type: 'string' },
+            database: { type: 'string', enum: ['postgresql', 'sqlite'] },
+            schema_version: { type: 'integer' },
+            timestamp: { type: 'string', format: 'date-time' },
+            uptime: { type: 'number' }
+        }
+    },
+    AuthDebug: {
+        type: 'object',
+        properties: {
+            headerProvided: { type: 'boolean' },
+            headerLength: { type: 'integer' },
+            envDefined: { type: 'boolean' },
+            envLength: { type: 'integer' },
+            match: { type: 'boolean' }
+        }
+    },
+    OpenApiDocument: { type: 'object', description: 'This document' },
+    EventStream: {
+        type: 'string',
+        description: 'text/event-stream frames: `event: <type>` and `data: { type, board_id, data }`'
+    },
+    User: {
+        type: 'object',
+        properties: {
+            id: NULLABLE_STRING,
+            username: { type: 'string' },
+            display_name: NULLABLE_STRING,
+            role: { type: 'string', enum: Object.values(ROLES) },
+            disabled: { type: 'boolean' },
+            created_at: { type: 'string' },
+            last_login_at: NULLABLE_STRING,
+            legacy: { type: 'boolean', description: 'Signed in with the owner password rather than a session' }
+        }
+    },
+    Session: {
+        type: 'object',
+        properties: {
+            token: { type: 'string', description: 'Send as Authorization: Bearer <token>' },
+            expires_at: { type: 'string', format: 'date-time' },
+            user: { $ref: '#/components/schemas/User' }
+        }
+    },
+    Board: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            name: { type: 'string' },
+            description: NULLABLE_STRING,
+            created_by: NULLABLE_STRING,
+            created_at: { type: 'string' },
+            role: { type: 'string', enum: Object.values(ROLES), description: 'The caller\'s role on this board' }
+        }
+    },
+    BoardMember: {
+        type: 'object',
+        properties: {
+            board_id: { type: 'string' },
+            member_id: { type: 'string' },
+            role: { type: 'string', enum: Object.values(ROLES) },
+            created_at: { type: 'string' }
+        }
+    },
+    Workflow: {
+        type: 'object',
+        properties: {
+            board_id: { type: 'string' },
+            statuses: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        name: { type: 'string' },
+                        emoji: { type: 'string' },
+                        wip_limit: { type: 'integer', nullable: true },
+                        wip_limit_scope: { type: 'string', enum: WIP_LIMIT_SCOPES },
+                        claim_lease: { type: 'boolean' }
+                    }
+                }
+            },
+            transitions: {
+                type: 'object',
+                additionalProperties: { $ref: '#/components/schemas/WorkflowTransition' },
+                description: 'The gate for entering each status, keyed by target status; statuses without a rule can be entered from anywhere'
+            }
+        }
+    },
+    // Checked by validateTransition, in this order, before the WIP limit
+    WorkflowTransition: {
+        type: 'object',
+        properties: {
+            from_statuses: { type: 'array', items: { type: 'string' }, description: 'Statuses a task may come from' },
+            requires_founder: { type: 'boolean', description: 'Only a Founder can make the move' },
+            allowed_roles: { type: 'array', items: { type: 'string', enum: Object.values(ROLES) }, description: 'Roles that can make the move' },
+            requires_ownership: { type: 'boolean', description: 'Only the task\'s owner_agent or assignee (or a Founder) can make the move' },
+            requires_unblocked: { type: 'boolean', description: 'Every task it is blocked by must be in the done status' }
+        }
+    },
+    LabelRef: LABEL_REF_SCHEMA,
+    Label: {
+        type: 'object',
+        properties: {
+            ...LABEL_REF_SCHEMA.properties,
+            board_id: { type: 'string' },
+            task_count: { type: 'integer' },
+            created_by: NULLABLE_STRING,
+            created_at: { type: 'string' }
+        }
+    },
+    Task: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            title: { type: 'string' },
+            description: NULLABLE_STRING,
+            assignee: NULLABLE_STRING,
+            owner_agent: NULLABLE_STRING,
+            status: { type: 'string' },
+            priority: { type: 'string', enum: TASK_PRIORITIES },
+            due_date: { type: 'string', format: 'date', nullable: true },
+            branch: NULLABLE_STRING,
+            repo: NULLABLE_STRING,
+            board_id: { type: 'string' },
+            rank: { type: 'number' },
+            claim_expires_at: NULLABLE_STRING,
+            version: { type: 'integer', description: 'Served as the ETag; send it back in If-Match' },
+            deleted_at: NULLABLE_STRING,
+            archived_at: NULLABLE_STRING,
+            created_at: { type: 'string' },
+            updated_at: { type: 'string' },
+            labels: { type: 'array', items: { $ref: '#/components/schemas/LabelRef' } },
+            blocked_by: { type: 'array', items: { type: 'string' }, description: 'Ids of tasks blocking this one' },
+            comments: { type: 'array', items: { $ref: '#/components/schemas/Comment' }, description: 'With ?include=comments' },
+            history: { type: 'array', items: { $ref: '#/components/schemas/TimelineEntry' }, description: 'With ?include=history' },
+            activity_id: { type: 'integer', description: 'Activity entry for this change, for POST /api/activity/{id}/revert' },
+            message: { type: 'string' }
+        }
+    },
+    TaskAction: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            owner_agent: NULLABLE_STRING,
+            status: { type: 'string' },
+            from_status: { type: 'string' },
+            to_status: { type: 'string' },
+            claim_expires_at: NULLABLE_STRING,
+            version: { type: 'integer' },
+            activity_id: { type: 'integer' },
+            message: { type: 'string' }
+        }
+    },
+    Deletion: {
+        type: 'object',
+        properties: {
+            success: { type: 'boolean' },
+            deleted_at: { type: 'string' },
+            purge_at: { type: 'string' },
+            activity_id: { type: 'integer' }
+        }
+    },
+    Trash: {
+        type: 'object',
+        properties: {
+            retention_days: { type: 'integer' },
+            tasks: { type: 'array', items: { $ref: '#/components/schemas/Task' } }
+        }
+    },
+    Rank: { type: 'object', properties: { id: { type: 'string' }, rank: { type: 'number' } } },
+    Dependency: { type: 'object', properties: { task_id: { type: 'string' }, blocked_by: { type: 'string' } } },
+    Dependencies: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            blocked: { type: 'boolean', description: 'Whether any blocker is not done yet' },
+            blocked_by: { type: 'array', items: TASK_STATUS_REF_SCHEMA },
+            blocks: { type: 'array', items: TASK_STATUS_REF_SCHEMA }
+        }
+    },
+    Comment: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            task_id: { type: 'string' },
+            content: { type: 'string' },
+            agent_id: NULLABLE_STRING,
+            agent_role: NULLABLE_STRING,
+            created_at: { type: 'string' }
+        }
+    },
+    TimelineEntry: {
+        type: 'object',
+        properties: {
+            type: { type: 'string', enum: [...TIMELINE_ACTIONS, 'change', 'comment'] },
+            details: { type: 'string' },
+            from_status: NULLABLE_STRING,
+            to_status: NULLABLE_STRING,
+            allowed: { type: 'boolean' },
+            denial_reason: NULLABLE_STRING,
+            field: { type: 'string' },
+            from: { nullable: true },
+            to: { nullable: true },
+            content: { type: 'string' },
+            agent_id: NULLABLE_STRING,
+            agent_role: NULLABLE_STRING,
+            created_at: { type: 'string' }
+        }
+    },
+    History: {
+        type: 'object',
+        properties: {
+            task_id: { type: 'string' },
+            timeline: { type: 'array', items: { $ref: '#/components/schemas/TimelineEntry' } }
+        }
+    },
+    SearchResult: {
+        allOf: [
+            { $ref: '#/components/schemas/Task' },
+            {
+                type: 'object',
+                properties: {
+                    relevance: { type: 'number' },
+                    snippets: {
+                        type: 'array',
+                        items: { type: 'object', properties: { source: { type: 'string' }, text: { type: 'string' } } }
+                    }
+                }
+            }
+        ]
+    },
+    ActivityEntry: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            action: { type: 'string' },
+            task_id: NULLABLE_STRING,
+            task_title: NULLABLE_STRING,
+            details: NULLABLE_STRING,
+            agent_id: NULLABLE_STRING,
+            agent_role: NULLABLE_STRING,
+            from_status: NULLABLE_STRING,
+            to_status: NULLABLE_STRING,
+            transition_allowed: { type: 'integer' },
+            denial_reason: NULLABLE_STRING,
+            board_id: NULLABLE_STRING,
+            changes: { type: 'object', nullable: true, additionalProperties: { type: 'object' } },
+            revertible: { type: 'boolean' },
+            reverted_at: NULLABLE_STRING,
+            created_at: { type: 'string' }
+        }
+    },
+    Revert: {
+        type: 'object',
+        properties: {
+            reverted: { type: 'integer' },
+            activity_id: { type: 'integer' },
+            task: { $ref: '#/components/schemas/Task' }
+        }
+    },
+    Stats: {
+        type: 'object',
+        properties: {
+            total: { type: 'integer' },
+            done: { type: 'integer' },
+            overdue: { type: 'integer' },
+            denied_transitions: { type: 'integer' }
+        }
+    },
+    ApiKey: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            name: NULLABLE_STRING,
+            key_prefix: { type: 'string' },
+            agent_id: { type: 'string' },
+            agent_role: { type: 'string' },
+            scopes: { type: 'array', items: { type: 'string', enum: API_KEY_SCOPES } },
+            created_by: NULLABLE_STRING,
+            created_at: { type: 'string' },
+            rotated_at: NULLABLE_STRING,
+            last_used_at: NULLABLE_STRING,
+            revoked_at: NULLABLE_STRING,
+            key: { type: 'string', description: 'Only when issued or rotated' }
+        }
+    },
+    Revocation: { type: 'object', properties: { id: { type: 'string' }, revoked: { type: 'boolean' } } },
+    Webhook: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            url: { type: 'string' },
+            events: { type: 'array', items: { type: 'string', enum: ['*', ...WEBHOOK_EVENTS] } },
+            board_id: NULLABLE_STRING,
+            description: NULLABLE_STRING,
+            active: { type: 'boolean' },
+            created_by: NULLABLE_STRING,
+            created_at: { type: 'string' },
+            updated_at: { type: 'string' },
+            secret: { type: 'string', description: 'Only when created or rotated' }
+        }
+    },
+    WebhookDelivery: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            webhook_id: { type: 'string' },
+            event_type: { type: 'string' },
+            payload: { type: 'object' },
+            status: { type: 'string', enum: ['pending', 'delivered', 'failed'] },
+            attempts: {
+                description: 'Attempt count, or the attempt log on a single delivery',
+                oneOf: [{ type: 'integer' }, { type: 'array', items: { type: 'object' } }]
+            },
+            next_attempt_at: NULLABLE_STRING,
+            last_status_code: { type: 'integer', nullable: true },
+            last_error: NULLABLE_STRING,
+            created_at: { type: 'string' },
+            delivered_at: NULLABLE_STRING
+        }
+    }
+};
+
+const SECURITY_SCHEMES = {
+    apiKey: {
+        type: 'apiKey', in: 'header', name: 'X-Api-Key',
+        description: 'Per-agent key from POST /api/keys, or the shared AGENT_API_KEY'
+    },
+    ownerPassword: {
+        type: 'apiKey', in: 'header', name: 'X-Owner-Password',
+        description: 'OWNER_PASSWORD; acts as the founder'
+    },
+    session: {
+        type: 'http', scheme: 'bearer',
+        description: 'Session token from POST /api/auth/login'
+    },
+    eventToken: {
+        type: 'apiKey', in: 'query', name: 'token',
+        description: 'Session token as a query parameter, for EventSource'
+    }
+};
+
+const ERROR_RESPONSES = {
+    400: { description: 'Invalid request body or query', schema: 'ValidationError' },
+    401: { description: 'Missing or invalid credentials', schema: 'Error' },
+    403: { description: 'Credentials lack the scope, board role or founder access this needs, or a workflow gate denied it', schema: 'Denied' },
+    404: { description: 'Not found', schema: 'Error' },
+    409: { description: 'Conflicts with the current state (claimed, WIP limit, workflow gate, duplicate)', schema: 'Conflict' },
+    412: { description: 'If-Match does not name the task\'s current version', schema: 'PreconditionFailed' }
+};
+
+const HEADER_PARAMETERS = {
+    IfMatch: {
+        name: 'If-Match', in: 'header', schema: { type: 'string' },
+        description: 'ETag from the last read; the write fails with 412 if the task changed since'
+    },
+    AgentRole: {
+        name: 'X-Agent-Role', in: 'header', schema: { type: 'string', enum: LEGACY_KEY_ROLES },
+        description: 'Caller role, only read with the shared AGENT_API_KEY (anything else acts as member)'
+    }
+};
+
+function schemaRef(name) {
+    if (name.endsWith('[]')) {
+        return { type: 'array', items: schemaRef(name.slice(0, -2)) };
+    }
+    return { $ref: `#/components/schemas/${name}` };
+}
+
+function requestSchemaName(name) {
+    return name.charAt(0).toUpperCase() + name.slice(1) + 'Request';
+}
+
+// BODY_SCHEMAS use a few validator-only keywords; map them onto OpenAPI 3.0
+function toOpenApiSchema(schema) {
+    const {
+        type, nullable, ignoreCase, commaSeparated, items, properties, minItems,
+        'x-workflow-status': workflowStatus, ...rest
+    } = schema;
+    const out = { ...rest };
+
+    if (Array.isArray(type)) {
+        out.oneOf = type.map(t => (t === 'array'
+            ? { type: 'array', items: toOpenApiSchema(items), ...(minItems ? { minItems } : {}) }
+            : { type: t, description: commaSeparated ? 'Comma-separated list' : undefined }));
+    } else {
+        out.type = type;
+        if (items) out.items = toOpenApiSchema(items);
+        if (minItems) out.minItems = minItems;
+    }
+    if (properties) {
+        out.properties = Object.fromEntries(
+            Object.entries(properties).map(([name, property]) => [name, toOpenApiSchema(property)])
+        );
+    }
+    if (nullable) out.nullable = true;
+    if (ignoreCase) out.description = 'Case-insensitive';
+    if (workflowStatus) {
+        out['x-workflow-status'] = true;
+        out.description = 'A status in the board\'s workflow (GET /api/workflow)';
+    }
+    return JSON.parse(JSON.stringify(out));
+}
+
+// '/api/cards/:id' -> '/api/cards/{id}'
+function toOpenApiPath(path) {
+    return path.replace(/:(\w+)/g, '{$1}');
+}
+
+// First path segment after /api, with board-scoped aliases grouped with their unscoped route
+// and the legacy task routes kept apart from /api/v2/tasks
+function routeTag(path, deprecated) {
+    const segments = path.split('/').filter(Boolean);
+    if (segments[1] === 'v2') {
+        segments.splice(1, 1);
+    } else if (deprecated) {
+        return `${routeTag(path)} (deprecated)`;
+    }
+    if (segments[0] !== 'api' || ['version', 'agents', 'openapi.json'].includes(segments[1])) {
+        return 'server';
+    }
+    if (segments[1] === 'boards' && segments.length > 3 && segments[3] !== 'members') {
+        return segments[3];
+    }
+    return segments[1];
+}
+
+// Security requirements for the auth middleware in a route's chain
+function routeSecurity(handles) {
+    const anyCredential = [{ session: [] }, { ownerPassword: [] }, { apiKey: [] }];
+    if (handles.includes(eventStreamTokenMiddleware)) return [...anyCredential, { eventToken: [] }];
+    if (handles.includes(anyAuthMiddleware) || handles.includes(founderAuthMiddleware)) return anyCredential;
+    if (handles.includes(authMiddleware)) return [{ session: [] }, { ownerPassword: [] }];
+    if (handles.includes(agentAuthMiddleware)) return [{ apiKey: [] }];
+    return [];
+}
+
+// One operation from a route's apiDoc() options and the rest of its middleware chain
+function buildOperation(path, method, handles) {
+    const doc = handles[0].doc;
+    const security = routeSecurity(handles);
+    const scope = handles.find(handle => handle.scope)?.scope;
+    const bodySchema = handles.find(handle => handle.schema)?.schema;
+    const bodyName = bodySchema && Object.keys(BODY_SCHEMAS).find(name => BODY_SCHEMAS[name] === bodySchema);
+    const pathParams = [...path.matchAll(/:(\w+)/g)].map(match => match[1]);
+    const query = doc.query || [];
+    const errors = doc.errors || [];
+
+    const notes = [];
+    const deprecated = handles.includes(deprecatedTaskRoute);
+    if (deprecated) {
+        notes.push(`Deprecated: use ${method === 'put' ? 'PATCH' : method.toUpperCase()} ${toOpenApiPath(v2TaskPath(path))}.`);
+    }
+    if (handles.includes(founderAuthMiddleware)) {
+        notes.push('Founder only: the owner password, a founder session, or a founder key with the `admin` scope.');
+    }
+    if (scope) notes.push(`API keys need the \`${scope}\` scope.`);
+
+    const parameters = [
+        ...pathParams.map(name => ({ name, in: 'path', required: true, schema: { type: 'string' } })),
+        ...query.map(name => {
+            const { description, ...schema } = QUERY_PARAMS[name];
+            return { name, in: 'query', description, schema };
+        })
+    ];
+    if (errors.includes(412)) parameters.push({ $ref: '#/components/parameters/IfMatch' });
+    if (handles.includes(agentAuthMiddleware)) {
+        parameters.push({ $ref: '#/components/parameters/AgentRole' });
+    }
+
+    const status = doc.status || 200;
+    const success = { description: status === 201 ? 'Created' : 'OK' };
+    if (doc.response === 'EventStream') {
+        success.content = { 'text/event-stream': { schema: schemaRef(doc.response) } };
+    } else if (doc.response) {
+        success.content = { 'application/json': { schema: schemaRef(doc.response) } };
+    }
+    const responses = { [status]: success };
+    for (const [code, description] of Object.entries(doc.responses || {})) {
+        responses[code] = { description };
+    }
+
+    const errorCodes = new Set(errors);
+    if (bodySchema || query.length) errorCodes.add(400);
+    if (security.length) errorCodes.add(401);
+    if (scope || notes.length || handles.includes(boardFounderMiddleware) ||
+        handles.includes(boardMiddleware) || handles.includes(taskBoardMiddleware)) {
+        errorCodes.add(403);
+    }
+    if (pathParams.length) errorCodes.add(404);
+    for (const code of [...errorCodes].sort()) {
+        responses[code] = { $ref: `#/components/responses/${code}` };
+    }
+
+    const operation = {
+        operationId: `${method}${path.replace(/[^A-Za-z0-9]+(.)?/g, (_, c) => (c ? c.toUpperCase() : ''))}`,
+        summary: doc.summary,
+        tags: [routeTag(path, deprecated)],
+        security
+    };
+    if (deprecated) operation.deprecated = true;
+    if (notes.length) operation.description = notes.join(' ');
+    if (scope) operation['x-required-scope'] = scope;
+    if (parameters.length) operation.parameters = parameters;
+    if (bodyName) {
+        operation.requestBody = {
+            required: true,
+            content: { 'application/json': { schema: schemaRef(requestSchemaName(bodyName)) } }
+        };
+    }
+    operation.responses = responses;
+    return operation;
+}
+
+// Walk the Express router so every registered route is described, in registration order
+function buildOpenApiDocument() {
+    const paths = {};
+    for (const layer of app._router.stack) {
+        if (!layer.route) continue;
+        const handles = layer.route.stack.map(entry => entry.handle);
+        if (!handles[0].doc) {
+            throw new Error(`Route ${layer.route.path} has no apiDoc()`);
+        }
+        for (const path of [].concat(layer.route.path)) {
+            const openApiPath = toOpenApiPath(path);
+            paths[openApiPath] = paths[openApiPath] || {};
+            for (const method of Object.keys(layer.route.methods)) {
+                paths[openApiPath][method] = buildOperation(path, method, handles);
+            }
+        }
+    }
+
+    const requestSchemas = Object.fromEntries(
+        Object.entries(BODY_SCHEMAS).map(([name, schema]) => [requestSchemaName(name), toOpenApiSchema(schema)])
+    );
+    const errorResponses = Object.fromEntries(
+        Object.entries(ERROR_RESPONSES).map(([code, { description, schema }]) => [code, {
+            description,
+            content: { 'application/json': { schema: schemaRef(schema) } }
+        }])
+    );
+
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: 'Kanban MVP API',
+            version: pkg.version,
+            description: '`/api/v2/tasks` accepts an API key (with the scope each route lists), a session token or ' +
+                'X-Owner-Password, and applies the same gates to all of them. `/api/cards` (API key only) and ' +
+                '`/api/tasks` (session or owner password) are deprecated aliases. Routes without a board id use the default board.'
+        },
+        servers: [{ url: '/' }],
+        paths,
+        components: {
+            securitySchemes: SECURITY_SCHEMES,
+            parameters: HEADER_PARAMETERS,
+            responses: errorResponses,
+            schemas: { ...RESPONSE_SCHEMAS, ...requestSchemas }
+        }
+    };
+}
+
+// Routes can't change after startup, so the document is built once
+let openApiDocument = null;
+
+// GET /api/openapi.json - OpenAPI 3 description of every route (rendered by /api-docs.html)
+app.get('/api/openapi.json', apiDoc('This OpenAPI document', { response: 'OpenApiDocument' }), (req, res) => {
+    try {
+        openApiDocument = openApiDocument || buildOpenApiDocument();
+        res.json(openApiDocument);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
 // ============ Start Server ============
 async function startServer() {
     await initDatabase();
+    await seedOwnerUser();
+    await seedDefaultBoard();
+    await backfillRanks();
+    setInterval(processWebhookQueue, WEBHOOK_POLL_MS);
+    setInterval(sweepExpiredClaims, CLAIM_SWEEP_MS);
+    purgeExpiredTrash();
+    setInterval(purgeExpiredTrash, TRASH_SWEEP_MS);
     
     app.listen(PORT, () => {
         console.log(`🚀 Kanban MVP running on http://localhost:${PORT}`);
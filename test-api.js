@@ -2,6 +2,12 @@
 // Run with: node test-api.js
 
 const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const net = require('net');
+const { spawn, spawnSync } = require('child_process');
+const { loadMigrations } = require('./migrator');
 
 const API_BASE_URL = process.env.API_BASE_URL || 'http://localhost:3000';
 const API_KEY = process.env.AGENT_API_KEY || 'test-api-key';
@@ -25,17 +31,18 @@ function fail(msg, err) {
     if (err) console.error(`   Error: ${err.message || err}`);
 }
 
-function request(method, path, body, isOwner) {
+function request(method, path, body, isOwner, extraHeaders = {}) {
     return new Promise((resolve, reject) => {
         const url = new URL(path, API_BASE_URL);
         const options = {
             hostname: url.hostname,
             port: url.port,
-            path: url.pathname,
+            path: url.pathname + url.search,
             method: method,
             headers: {
                 'Content-Type': 'application/json',
-                'X-Api-Key': API_KEY
+                'X-Api-Key': API_KEY,
+                ...extraHeaders
             }
         };
 
@@ -48,9 +55,9 @@ function request(method, path, body, isOwner) {
             res.on('data', chunk => data += chunk);
             res.on('end', () => {
                 try {
-                    resolve({ status: res.statusCode, data: JSON.parse(data) });
+                    resolve({ status: res.statusCode, headers: res.headers, data: JSON.parse(data) });
                 } catch (e) {
-                    resolve({ status: res.statusCode, data: data });
+                    resolve({ status: res.statusCode, headers: res.headers, data: data });
                 }
             });
         });
@@ -61,6 +68,80 @@ function request(method, path, body, isOwner) {
     });
 }
 
+function scratchEnv(dbPath, env = {}) {
+    return { ...process.env, DATABASE_URL: '', DB_PATH: dbPath, PORT: '0', AGENT_API_KEY: API_KEY, OWNER_PASSWORD, ...env };
+}
+
+// Run a local script against a scratch SQLite database; returns { status, output }
+function runAgainstScratchDb(script, args, dbPath) {
+    const result = spawnSync(process.execPath, [path.join(__dirname, script), ...args], {
+        env: scratchEnv(dbPath),
+        encoding: 'utf8',
+        timeout: 20000
+    });
+    return { status: result.status, output: `${result.stdout || ''}${result.stderr || ''}` };
+}
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer().listen(0, () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        }).on('error', reject);
+    });
+}
+
+// Start a second server on a migrated scratch database, for settings the main one can't use
+// (e.g. a one-second claim lease). Resolves with its base URL and a stop() for this process only.
+async function startScratchServer(dbPath, env = {}) {
+    runAgainstScratchDb('migrate.js', ['up'], dbPath);
+    const port = await freePort();
+    const child = spawn(process.execPath, [path.join(__dirname, 'server.js')], {
+        env: scratchEnv(dbPath, { ...env, PORT: String(port) }),
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('Scratch server did not start')), 15000);
+        child.stdout.on('data', chunk => {
+            if (String(chunk).includes('running on')) {
+                clearTimeout(timer);
+                resolve();
+            }
+        });
+        child.on('exit', code => {
+            clearTimeout(timer);
+            reject(new Error(`Scratch server exited with ${code}`));
+        });
+    });
+    return { baseUrl: `http://localhost:${port}`, stop: () => child.kill() };
+}
+
+// Open the SSE stream and resolve with the first event of `type` (or null on timeout)
+function waitForEvent(type, timeoutMs = 3000) {
+    return new Promise((resolve) => {
+        const url = new URL('/api/events', API_BASE_URL);
+        let buffer = '';
+        const req = http.get({
+            hostname: url.hostname,
+            port: url.port,
+            path: url.pathname,
+            headers: { 'X-Api-Key': API_KEY }
+        }, (res) => {
+            res.on('data', chunk => {
+                buffer += chunk;
+                const frame = buffer.split('\n\n').find(f => f.includes(`event: ${type}`));
+                if (frame) {
+                    clearTimeout(timer);
+                    req.destroy();
+                    resolve(JSON.parse(frame.split('data: ')[1]));
+                }
+            });
+        });
+        const timer = setTimeout(() => { req.destroy(); resolve(null); }, timeoutMs);
+        req.on('error', () => {});
+    });
+}
+
 async function runTests() {
     console.log('='.repeat(60));
     console.log('kanban-mvp Phase 1 API Validation Tests');
@@ -186,10 +267,762 @@ async function runTests() {
             }
         }
 
-        // Test 10: Health check
+        // Test 10: Per-agent API key is bound to its scopes
+        log('Issuing a read-only per-agent key...');
+        const keyRes = await request('POST', '/api/keys', {
+            agent_id: 'test-reader',
+            agent_role: 'agent',
+            scopes: ['read']
+        }, true);
+
+        if (keyRes.status === 201 && keyRes.data.key) {
+            const readerHeaders = { 'X-Api-Key': keyRes.data.key, 'X-Agent-Role': 'founder' };
+            const readRes = await request('GET', '/api/cards', null, false, readerHeaders);
+            const writeRes = await request('POST', '/api/cards', { title: 'Should be denied' }, false, readerHeaders);
+            const labelRes = await request('POST', '/api/labels', { name: 'reader-label' }, false, readerHeaders);
+            const writerKey = await request('POST', '/api/keys', { agent_id: 'test-writer', agent_role: 'agent', scopes: ['write'] }, true);
+            const writerSearch = await request('GET', '/api/search?q=test', null, false, { 'X-Api-Key': writerKey.data.key });
+            const readerSearch = await request('GET', '/api/search?q=test', null, false, readerHeaders);
+
+            if (readRes.status === 200 && writeRes.status === 403 && labelRes.status === 403 &&
+                readerSearch.status === 200 && writerSearch.status === 403) {
+                success('Per-agent key scopes enforced');
+            } else {
+                fail('Per-agent key scopes', {
+                    message: `read=${readRes.status}, write=${writeRes.status}, label=${labelRes.status}, ` +
+                        `search read=${readerSearch.status}, search without read=${writerSearch.status}`
+                });
+            }
+
+            await request('DELETE', `/api/keys/${keyRes.data.id}`, null, true);
+            await request('DELETE', `/api/keys/${writerKey.data.id}`, null, true);
+        } else {
+            fail('Issue API key', { message: `Status ${keyRes.status}` });
+        }
+
+        // Test 11: Session login as the seeded owner account
+        log('Signing in as owner...');
+        const loginRes = await request('POST', '/api/auth/login', {
+            username: 'owner',
+            password: OWNER_PASSWORD
+        });
+
+        if (loginRes.status === 200 && loginRes.data.token) {
+            const sessionHeaders = { 'Authorization': `Bearer ${loginRes.data.token}` };
+            const meRes = await request('GET', '/api/auth/me', null, false, sessionHeaders);
+            if (meRes.status === 200 && meRes.data.role === 'founder') {
+                success('Session login and /api/auth/me');
+            } else {
+                fail('Session /api/auth/me', { message: `Status ${meRes.status}` });
+            }
+            await request('POST', '/api/auth/logout', null, false, sessionHeaders);
+        } else {
+            fail('Session login', { message: `Status ${loginRes.status}` });
+        }
+
+        // Test 12: Workflow drives the statuses
+        log('Fetching board workflow...');
+        const workflowRes = await request('GET', '/api/workflow');
+        const badWorkflowRes = await request('PUT', '/api/workflow', {
+            statuses: [{ name: 'Todo' }],
+            transitions: { 'Shipped': { from_statuses: ['Todo'] } }
+        }, true);
+
+        if (workflowRes.status === 200 && workflowRes.data.statuses.some(st => st.name === 'Agent Inbox') && badWorkflowRes.status === 400) {
+            success('Workflow served and validated');
+        } else {
+            fail('Workflow', { message: `get=${workflowRes.status}, invalid put=${badWorkflowRes.status}` });
+        }
+
+        // Test 13: WIP limit blocks moves into a full column
+        let wipConflict = null;
+        if (cardId && workflowRes.status === 200) {
+            log('Testing WIP limit on Backlog...');
+            const backlogRes = await request('GET', '/api/cards?status=Backlog');
+            const limit = backlogRes.data.length + 1;
+            const original = { statuses: workflowRes.data.statuses, transitions: workflowRes.data.transitions };
+            await request('PUT', '/api/workflow', {
+                ...original,
+                statuses: original.statuses.map(st => st.name === 'Backlog' ? { ...st, wip_limit: limit } : st)
+            }, true);
+
+            const extraRes = await request('POST', '/api/cards', { title: 'WIP overflow card' });
+            const firstMove = await request('POST', `/api/cards/${cardId}/transition`, { status: 'Backlog' });
+            const secondMove = await request('POST', `/api/cards/${extraRes.data.id}/transition`, { status: 'Backlog' });
+            const createIntoFull = await request('POST', '/api/cards', { title: 'WIP create overflow', status: 'Backlog' });
+
+            wipConflict = secondMove.data;
+            if (firstMove.status === 200 && secondMove.status === 409 && secondMove.data.wip_limit &&
+                createIntoFull.status === 409 && createIntoFull.data.wip_limit) {
+                success('WIP limit enforced with 409');
+            } else {
+                fail('WIP limit', { message: `first=${firstMove.status}, second=${secondMove.status}, create=${createIntoFull.status}` });
+            }
+
+            await request('PUT', '/api/workflow', original, true);
+            await request('DELETE', `/api/tasks/${extraRes.data.id}`, null, true);
+        }
+
+        // Test 14: Live event stream
+        log('Waiting for task.created on /api/events...');
+        const eventPromise = waitForEvent('task.created');
+        await new Promise(resolve => setTimeout(resolve, 200));
+        const sseCard = await request('POST', '/api/cards', { title: 'SSE test card' });
+        const event = await eventPromise;
+
+        if (event && event.data.id === sseCard.data.id) {
+            success('task.created event streamed');
+        } else {
+            fail('Event stream', { message: 'No task.created event for the new card' });
+        }
+        await request('DELETE', `/api/tasks/${sseCard.data.id}`, null, true);
+
+        // Test 15: Webhook subscriptions
+        log('Creating a webhook subscription...');
+        const hookRes = await request('POST', '/api/webhooks', {
+            url: 'http://127.0.0.1:9/kanban-test',
+            events: ['task.transitioned']
+        }, true);
+        const badHookRes = await request('POST', '/api/webhooks', { url: 'ftp://example.com', events: ['nope'] }, true);
+
+        if (hookRes.status === 201 && hookRes.data.secret && badHookRes.status === 400) {
+            const listHooks = await request('GET', '/api/webhooks', null, true);
+            const badBoardUpdate = await request('PUT', `/api/webhooks/${hookRes.data.id}`, { board_id: 'no-such-board' }, true);
+            if (listHooks.data.some(h => h.id === hookRes.data.id && h.secret === undefined) &&
+                badBoardUpdate.status === 400 && badBoardUpdate.data.fields.board_id) {
+                success('Webhook created, listed without secret, unknown boards rejected on update');
+            } else {
+                fail('Webhook list', { message: `update with unknown board=${badBoardUpdate.status}` });
+            }
+            await request('DELETE', `/api/webhooks/${hookRes.data.id}`, null, true);
+        } else {
+            fail('Create webhook', { message: `create=${hookRes.status}, invalid=${badHookRes.status}` });
+        }
+
+        // Test 16: Full-text search
+        log('Searching tasks...');
+        const searchCard = await request('POST', '/api/cards', {
+            title: 'Searchable zephyrquartz card',
+            description: 'Found by full-text search'
+        });
+        const searchRes = await request('GET', '/api/search?q=zephyrq');
+
+        if (searchRes.status === 200 && searchRes.data.length > 0 &&
+            searchRes.data[0].id === searchCard.data.id && searchRes.data[0].snippets[0].text.includes('<mark>')) {
+            success('Search returns ranked results with snippets');
+        } else {
+            fail('Search', { message: `Status ${searchRes.status}, response: ${JSON.stringify(searchRes.data)}` });
+        }
+        await request('DELETE', `/api/tasks/${searchCard.data.id}`, null, true);
+
+        // Test 17: Labels and label filters
+        log('Creating labelled cards...');
+        const bugCard = await request('POST', '/api/cards', { title: 'Label test bug', labels: ['test-bug', 'test-ui'] });
+        const plainCard = await request('POST', '/api/cards', { title: 'Label test plain', labels: ['test-ui'] });
+        const withBug = await request('GET', '/api/cards?label=test-bug,test-ui');
+        const withoutBug = await request('GET', '/api/cards?label=test-ui&label_not=test-bug');
+
+        if (bugCard.status === 201 && bugCard.data.labels.length === 2 &&
+            withBug.data.map(t => t.id).join() === bugCard.data.id &&
+            withoutBug.data.map(t => t.id).join() === plainCard.data.id) {
+            success('Labels assigned and filtered');
+        } else {
+            fail('Labels', { message: `label=${JSON.stringify(withBug.data)}, label_not=${JSON.stringify(withoutBug.data)}` });
+        }
+        await request('DELETE', `/api/tasks/${bugCard.data.id}`, null, true);
+        await request('DELETE', `/api/tasks/${plainCard.data.id}`, null, true);
+
+        // Test 18: Dependencies gate Ongoing and reject cycles
+        log('Linking blocked cards...');
+        const blockerCard = await request('POST', '/api/cards', { title: 'Dependency blocker', status: 'To Do' });
+        const blockedCard = await request('POST', '/api/cards', { title: 'Dependency blocked', status: 'To Do' });
+        const linkRes = await request('POST', `/api/cards/${blockedCard.data.id}/dependencies`, { blocked_by: blockerCard.data.id });
+        const cycleRes = await request('POST', `/api/cards/${blockerCard.data.id}/dependencies`, { blocked_by: blockedCard.data.id });
+        const blockedMove = await request('POST', `/api/cards/${blockedCard.data.id}/transition`, { status: 'Ongoing' });
+        const unblockedList = await request('GET', '/api/cards?status=To+Do&unblocked=true');
+        const unblockedIds = unblockedList.data.map(t => t.id);
+
+        if (linkRes.status === 201 && cycleRes.status === 409 && blockedMove.status === 403 &&
+            blockedMove.data.reason.includes(blockerCard.data.id) &&
+            unblockedIds.includes(blockerCard.data.id) && !unblockedIds.includes(blockedCard.data.id)) {
+            success('Blocked card kept out of Ongoing and filtered from unblocked list');
+        } else {
+            fail('Dependencies', {
+                message: `link=${linkRes.status}, cycle=${cycleRes.status}, move=${blockedMove.status} ${JSON.stringify(blockedMove.data)}`
+            });
+        }
+        await request('DELETE', `/api/tasks/${blockerCard.data.id}`, null, true);
+        await request('DELETE', `/api/tasks/${blockedCard.data.id}`, null, true);
+
+        // Test 19: Manual ordering with reorder
+        log('Reordering cards...');
+        const firstCard = await request('POST', '/api/cards', { title: 'Rank first', status: 'To Do' });
+        const secondCard = await request('POST', '/api/cards', { title: 'Rank second', status: 'To Do' });
+        const reorderRes = await request('POST', `/api/cards/${secondCard.data.id}/reorder`, { before: firstCard.data.id });
+        const badReorder = await request('POST', `/api/cards/${secondCard.data.id}/reorder`, { before: firstCard.data.id, after: firstCard.data.id });
+        const todoIds = (await request('GET', '/api/cards?status=To+Do')).data.map(t => t.id);
+
+        if (reorderRes.status === 200 && badReorder.status === 400 &&
+            todoIds.indexOf(secondCard.data.id) < todoIds.indexOf(firstCard.data.id)) {
+            success('Card moved before another and listed in rank order');
+        } else {
+            fail('Reorder', { message: `reorder=${reorderRes.status}, invalid=${badReorder.status}, order=${todoIds.join(',')}` });
+        }
+        await request('DELETE', `/api/tasks/${firstCard.data.id}`, null, true);
+        await request('DELETE', `/api/tasks/${secondCard.data.id}`, null, true);
+
+        // Test 20: Claim leases - release, claim with expiry, heartbeat
+        log('Releasing and re-claiming with a lease...');
+        const leaseHeaders = { 'X-Agent-Id': 'lease-agent', 'X-Agent-Role': 'agent' };
+        const leaseCard = await request('POST', '/api/cards', { title: 'Lease test card', status: 'To Do' }, false, leaseHeaders);
+        const releaseRes = await request('POST', `/api/cards/${leaseCard.data.id}/release`, null, false, leaseHeaders);
+        const leaseClaim = await request('POST', `/api/cards/${leaseCard.data.id}/claim`, null, false, leaseHeaders);
+        const heartbeatRes = await request('POST', `/api/cards/${leaseCard.data.id}/heartbeat`, null, false, leaseHeaders);
+
+        if (releaseRes.status === 200 && releaseRes.data.owner_agent === null &&
+            leaseClaim.status === 200 && leaseClaim.data.claim_expires_at &&
+            heartbeatRes.status === 200 && heartbeatRes.data.claim_expires_at >= leaseClaim.data.claim_expires_at &&
+            heartbeatRes.data.version === leaseClaim.data.version + 1) {
+            success('Claim carries a lease that heartbeats extend');
+        } else {
+            fail('Claim lease', {
+                message: `release=${releaseRes.status}, claim=${JSON.stringify(leaseClaim.data)}, heartbeat=${JSON.stringify(heartbeatRes.data)}`
+            });
+        }
+        await request('DELETE', `/api/tasks/${leaseCard.data.id}`, null, true);
+
+        // Test 21: Claim-next picks the best eligible card
+        log('Claiming from the work queue...');
+        const queueCards = [];
+        for (const card of [
+            { title: 'Queue low', priority: 'Low' },
+            { title: 'Queue high gpu', priority: 'High', labels: ['claim-next-test', 'requires:gpu'] },
+            { title: 'Queue medium', priority: 'Medium' }
+        ]) {
+            const created = await request('POST', '/api/cards', { labels: ['claim-next-test'], ...card, status: 'To Do' }, false, leaseHeaders);
+            await request('POST', `/api/cards/${created.data.id}/release`, null, false, leaseHeaders);
+            queueCards.push(created.data.id);
+        }
+        const queueBody = { labels: ['claim-next-test'] };
+        const nextPlain = await request('POST', '/api/cards/claim-next', queueBody, false, leaseHeaders);
+        const nextGpu = await request('POST', '/api/cards/claim-next', { ...queueBody, capabilities: ['gpu'] }, false, leaseHeaders);
+        const nextCapped = await request('POST', '/api/cards/claim-next', { ...queueBody, max_in_flight: 2 }, false, leaseHeaders);
+
+        if (nextPlain.data.title === 'Queue medium' && nextGpu.data.title === 'Queue high gpu' &&
+            nextGpu.data.claim_expires_at && nextCapped.status === 204) {
+            success('claim-next honours priority, capabilities and max_in_flight');
+        } else {
+            fail('Claim next', {
+                message: `plain=${nextPlain.data.title}, gpu=${nextGpu.data.title}, capped=${nextCapped.status}`
+            });
+        }
+        for (const id of queueCards) {
+            await request('DELETE', `/api/tasks/${id}`, null, true);
+        }
+
+        // Test 22: Stale If-Match is rejected with 412
+        log('Testing optimistic concurrency...');
+        const etagCard = await request('POST', '/api/cards', { title: 'ETag test card' });
+        const fetched = await request('GET', `/api/cards/${etagCard.data.id}`);
+        const etag = fetched.headers.etag;
+        await request('PUT', `/api/tasks/${etagCard.data.id}`, { title: 'ETag edit one' }, true, { 'If-Match': etag });
+        const stale = await request('PUT', `/api/tasks/${etagCard.data.id}`, { title: 'ETag edit two' }, true, { 'If-Match': etag });
+        const fresh = await request('PUT', `/api/tasks/${etagCard.data.id}`, { title: 'ETag edit two' }, true,
+            { 'If-Match': `"${stale.data.current_version}"` });
+
+        if (fetched.status === 200 && etag === `"${fetched.data.version}"` && stale.status === 412 &&
+            stale.data.task && stale.data.task.title === 'ETag edit one' && fresh.status === 200 &&
+            fresh.data.version === fetched.data.version + 2) {
+            success('If-Match guards task updates');
+        } else {
+            fail('ETag concurrency', {
+                message: `etag=${etag}, stale=${stale.status}, fresh=${fresh.status}`
+            });
+        }
+        await request('DELETE', `/api/tasks/${etagCard.data.id}`, null, true);
+
+        // Test 23: PATCH clears fields and leaves absent ones alone
+        log('Patching a card...');
+        const patchCard = await request('POST', '/api/cards', {
+            title: 'Patch test card', due_date: '2030-01-15', branch: 'feature/patch', priority: 'High'
+        });
+        const cleared = await request('PATCH', `/api/tasks/${patchCard.data.id}`, { due_date: null, branch: '' }, true);
+        const badPatch = await request('PATCH', `/api/cards/${patchCard.data.id}`, { priority: 'Urgent', title: '' });
+        const patchActivity = await request('GET', `/api/activity?task_id=${patchCard.data.id}&action=update`, null, true);
+        const patchEntry = patchActivity.data[0];
+
+        if (cleared.status === 200 && cleared.data.due_date === null && cleared.data.branch === null &&
+            cleared.data.priority === 'High' && badPatch.status === 400 &&
+            badPatch.data.fields.priority && badPatch.data.fields.title &&
+            patchEntry && patchEntry.changes.due_date.from === '2030-01-15' && patchEntry.changes.due_date.to === null) {
+            success('PATCH clears fields, validates input and logs before/after values');
+        } else {
+            fail('Patch card', {
+                message: `cleared=${cleared.status} due=${cleared.data.due_date}, bad=${badPatch.status}, logged=${Boolean(patchEntry)}`
+            });
+        }
+        // Test 24: History merges field changes, transitions and comments
+        log('Reading task history...');
+        await request('POST', `/api/cards/${patchCard.data.id}/comment`, { content: 'History comment' });
+        const history = await request('GET', `/api/tasks/${patchCard.data.id}/history`, null, true);
+        const timeline = history.data.timeline || [];
+        const dueChange = timeline.find(entry => entry.type === 'change' && entry.field === 'due_date');
+        const types = timeline.map(entry => entry.type);
+
+        if (history.status === 200 && types[0] === 'create' && types[types.length - 1] === 'comment' &&
+            dueChange && dueChange.from === '2030-01-15' && dueChange.to === null) {
+            success('Task history lists changes in order');
+        } else {
+            fail('Task history', { message: `Status ${history.status}, types=${types.join(',')}` });
+        }
+        const missingHistory = await request('GET', '/api/tasks/no-such-task/history', null, true);
+        if (missingHistory.status !== 404) {
+            fail('Task history 404', { message: `Status ${missingHistory.status}` });
+        }
+        await request('DELETE', `/api/tasks/${patchCard.data.id}`, null, true);
+
+        // Test 25: Deleted tasks go to the trash and can be restored; done tasks can be archived
+        log('Trashing, restoring and archiving...');
+        const trashCard = await request('POST', '/api/cards', { title: 'Trash test card' });
+        await request('POST', `/api/cards/${trashCard.data.id}/comment`, { content: 'Keep this discussion' });
+        await request('DELETE', `/api/tasks/${trashCard.data.id}`, null, true);
+        const trashedGet = await request('GET', `/api/tasks/${trashCard.data.id}`, null, true);
+        const trashList = await request('GET', '/api/trash', null, true);
+        const inTrash = (trashList.data.tasks || []).find(t => t.id === trashCard.data.id);
+        const restored = await request('POST', `/api/trash/${trashCard.data.id}/restore`, null, true);
+        const restoredComments = await request('GET', `/api/cards/${trashCard.data.id}/comments`);
+
+        const keyDone = await request('POST', '/api/cards', { title: 'Created done by key', status: 'Done' });
+        const doneCard = await request('POST', '/api/v2/tasks', { title: 'Archive test card', status: 'Done' }, true, { 'X-Api-Key': '' });
+        const archived = await request('POST', `/api/tasks/${doneCard.data.id}/archive`, null, true);
+        const boardTasks = await request('GET', '/api/tasks', null, true);
+        const archiveList = await request('GET', '/api/tasks?archived=true', null, true);
+        const notDone = await request('POST', `/api/tasks/${trashCard.data.id}/archive`, null, true);
+
+        if (trashedGet.status === 404 && inTrash && inTrash.purge_at && restored.status === 200 &&
+            restoredComments.data.length === 1 && archived.status === 200 && notDone.status === 409 && keyDone.status === 403 &&
+            !boardTasks.data.some(t => t.id === doneCard.data.id) &&
+            archiveList.data.some(t => t.id === doneCard.data.id)) {
+            success('Trash keeps tasks restorable and the archive hides finished work');
+        } else {
+            fail('Trash and archive', {
+                message: `trashed=${trashedGet.status}, listed=${Boolean(inTrash)}, restored=${restored.status}, keyDone=${keyDone.status}, archived=${archived.status}, notDone=${notDone.status}`
+            });
+        }
+        for (const id of [trashCard.data.id, doneCard.data.id]) {
+            await request('DELETE', `/api/tasks/${id}`, null, true);
+            const purged = await request('DELETE', `/api/trash/${id}`, null, true);
+            if (purged.status !== 200) {
+                fail('Purge from trash', { message: `Status ${purged.status}` });
+            }
+        }
+
+        // Test 26: Undo reverts logged changes, refuses stale ones and keeps the safety gates
+        log('Undoing changes...');
+        const undoCard = await request('POST', '/api/v2/tasks', { title: 'Undo test card', status: 'Review' }, true, { 'X-Api-Key': '' });
+        const undoId = undoCard.data.id;
+        const edit = await request('PATCH', `/api/tasks/${undoId}`, { title: 'Undo edited' }, true);
+        const undone = await request('POST', `/api/activity/${edit.data.activity_id}/revert`, null, true);
+        const undoneTwice = await request('POST', `/api/activity/${edit.data.activity_id}/revert`, null, true);
+
+        const firstEdit = await request('PATCH', `/api/tasks/${undoId}`, { description: 'first' }, true);
+        await request('PATCH', `/api/tasks/${undoId}`, { description: 'second' }, true);
+        const staleUndo = await request('POST', `/api/activity/${firstEdit.data.activity_id}/revert`, null, true);
+
+        const raceEdit = await request('PATCH', `/api/tasks/${undoId}`, { priority: 'High' }, true);
+        const racingUndos = await Promise.all([1, 2, 3].map(() =>
+            request('POST', `/api/activity/${raceEdit.data.activity_id}/revert`, null, true)));
+        const undoWins = racingUndos.filter(r => r.status === 200).length;
+
+        // Done -> Review isn't an allowed move, so undoing the move to Done is denied
+        const toDone = await request('PATCH', `/api/tasks/${undoId}`, { status: 'Done' }, true);
+        const gatedUndo = await request('POST', `/api/activity/${toDone.data.activity_id}/revert`, null, true);
+
+        const trashed = await request('DELETE', `/api/tasks/${undoId}`, null, true);
+        const undelete = await request('POST', `/api/activity/${trashed.data.activity_id}/revert`, null, true);
+        const afterUndelete = await request('GET', `/api/tasks/${undoId}`, null, true);
+
+        if (undone.status === 200 && undone.data.task.title === 'Undo test card' && undoneTwice.status === 409 &&
+            staleUndo.status === 409 && gatedUndo.status === 403 &&
+            undoWins === 1 && racingUndos.every(r => r.status === 200 || r.status === 409) &&
+            undelete.status === 200 && afterUndelete.status === 200) {
+            success('Undo reverts changes and respects conflicts and workflow rules');
+        } else {
+            fail('Undo', {
+                message: `undo=${undone.status}, twice=${undoneTwice.status}, stale=${staleUndo.status}, ` +
+                    `racing=${racingUndos.map(r => r.status).join(',')}, gated=${gatedUndo.status}, undelete=${undelete.status}`
+            });
+        }
+        await request('DELETE', `/api/tasks/${undoId}`, null, true);
+
+        // Test 27: Concurrent claims, edits and deletes - exactly one wins
+        log('Racing claims and edits on one card...');
+        const raceCard = await request('POST', '/api/cards', { title: 'Race card', status: 'To Do' }, false, leaseHeaders);
+        await request('POST', `/api/cards/${raceCard.data.id}/release`, null, false, leaseHeaders);
+        const claims = await Promise.all([1, 2, 3, 4, 5, 6].map(n =>
+            request('POST', `/api/cards/${raceCard.data.id}/claim`, null, false,
+                { 'X-Agent-Id': `racer-${n}`, 'X-Agent-Role': 'agent' })));
+        const raceEtag = (await request('GET', `/api/cards/${raceCard.data.id}`)).headers.etag;
+        const edits = await Promise.all([1, 2, 3, 4].map(n =>
+            request('PATCH', `/api/tasks/${raceCard.data.id}`, { title: `Race edit ${n}` }, true, { 'If-Match': raceEtag })));
+        const deletes = await Promise.all([1, 2, 3].map(() => request('DELETE', `/api/tasks/${raceCard.data.id}`, null, true)));
+        const deleteLog = await request('GET', `/api/activity?action=delete&task_id=${raceCard.data.id}`, null, true);
+        const claimWins = claims.filter(r => r.status === 200).length;
+        const editWins = edits.filter(r => r.status === 200).length;
+        const deleteWins = deletes.filter(r => r.status === 200).length;
+
+        if (claimWins === 1 && claims.every(r => r.status === 200 || r.status === 409) &&
+            editWins === 1 && edits.every(r => r.status === 200 || r.status === 412) &&
+            deleteWins === 1 && deletes.every(r => r.status === 200 || r.status === 404) && deleteLog.data.length === 1) {
+            success('Concurrent claims, edits and deletes are serialized');
+        } else {
+            fail('Concurrent writes', {
+                message: `claims=${claims.map(r => r.status).join(',')}, edits=${edits.map(r => r.status).join(',')}, ` +
+                    `deletes=${deletes.map(r => r.status).join(',')}, delete log=${deleteLog.data.length}`
+            });
+        }
+
+        // Test 28: Filters and cursor pagination on task and activity lists
+        log('Paging through filtered lists...');
+        const pageCards = [];
+        for (const card of [
+            { title: 'Page one', priority: 'Low', repo: 'paging-repo', due_date: '2000-01-01' },
+            { title: 'Page two', priority: 'Low', repo: 'paging-repo', due_date: '2099-01-01' },
+            { title: 'Page three', priority: 'High', repo: 'paging-repo' }
+        ]) {
+            pageCards.push((await request('POST', '/api/cards', { ...card, status: 'To Do' })).data.id);
+        }
+        const firstPage = await request('GET', '/api/cards?repo=paging-repo&limit=2');
+        const secondPage = await request('GET', `/api/cards?repo=paging-repo&limit=2&cursor=${firstPage.headers['x-next-cursor']}`);
+        const lowOnly = await request('GET', '/api/cards?repo=paging-repo&priority=Low');
+        const overdue = await request('GET', '/api/cards?repo=paging-repo&overdue=true');
+        const dueRange = await request('GET', '/api/cards?repo=paging-repo&due_after=2050-01-01&due_before=2099-12-31');
+        const badFilter = await request('GET', '/api/cards?priority=Urgent&due_before=soon');
+        const activityPage = await request('GET', '/api/activity?action=create&limit=1', null, true);
+        const activityNext = await request('GET', `/api/activity?action=create&limit=1&cursor=${activityPage.headers['x-next-cursor']}`, null, true);
+        const pagedIds = [...firstPage.data, ...secondPage.data].map(t => t.id);
+
+        if (firstPage.data.length === 2 && secondPage.data.length === 1 && !secondPage.headers['x-next-cursor'] &&
+            pageCards.every(id => pagedIds.includes(id)) && lowOnly.data.length === 2 &&
+            overdue.data.length === 1 && overdue.data[0].title === 'Page one' &&
+            dueRange.data.length === 1 && dueRange.data[0].title === 'Page two' &&
+            badFilter.status === 400 && badFilter.data.fields.priority && badFilter.data.fields.due_before &&
+            activityPage.data.length === 1 && activityNext.data.length === 1 &&
+            activityNext.data[0].id < activityPage.data[0].id && activityNext.data[0].action === 'create') {
+            success('Lists filter and page with cursors');
+        } else {
+            fail('Filters and pagination', {
+                message: `pages=${firstPage.data.length}+${secondPage.data.length}, low=${lowOnly.data.length}, ` +
+                    `overdue=${overdue.data.length}, range=${dueRange.data.length}, bad=${badFilter.status}, activity=${activityNext.status}`
+            });
+        }
+        for (const id of pageCards) {
+            await request('DELETE', `/api/tasks/${id}`, null, true);
+        }
+
+        // Test 29: Single task with expansions, 404 for unknown ids
+        log('Fetching one task with comments and history...');
+        const detailCard = await request('POST', '/api/cards', { title: 'Detail card', status: 'To Do' });
+        await request('POST', `/api/cards/${detailCard.data.id}/comment`, { content: 'Detail comment' });
+        const plain = await request('GET', `/api/cards/${detailCard.data.id}`);
+        const expanded = await request('GET', `/api/tasks/${detailCard.data.id}?include=comments,history,labels`, null, true);
+        const badInclude = await request('GET', `/api/cards/${detailCard.data.id}?include=everything`);
+        const missing = await request('GET', '/api/cards/no-such-task?include=comments');
+
+        if (plain.status === 200 && plain.data.comments === undefined && Array.isArray(plain.data.labels) &&
+            expanded.status === 200 && expanded.data.comments.length === 1 &&
+            expanded.data.comments[0].content === 'Detail comment' &&
+            expanded.data.history.some(entry => entry.type === 'create') &&
+            badInclude.status === 400 && badInclude.data.fields.include && missing.status === 404) {
+            success('Single task expands comments and history and 404s for unknown ids');
+        } else {
+            fail('Single task', {
+                message: `plain=${plain.status}, expanded=${expanded.status}, bad=${badInclude.status}, missing=${missing.status}`
+            });
+        }
+        await request('DELETE', `/api/tasks/${detailCard.data.id}`, null, true);
+
+        // Test 30: Write routes validate their bodies and name each bad field with a code
+        log('Sending invalid request bodies...');
+        const codeOf = (response, field) => (response.data.errors || []).find(e => e.field === field)?.code;
+        const noTitle = await request('POST', '/api/cards', { description: 'No title' });
+        const badEnums = await request('POST', '/api/cards', {
+            title: 'x'.repeat(201), status: 'Todo', priority: 'Urgent', due_date: '2030-02-30'
+        });
+        const validCard = await request('POST', '/api/cards', { title: 'Validation card', status: 'To Do', priority: 'Low' });
+        const badType = await request('PATCH', `/api/cards/${validCard.data.id}`, { priority: 5, labels: ['x'.repeat(51)] });
+        const badMove = await request('POST', `/api/cards/${validCard.data.id}/transition`, { status: 'Shipped' });
+        const badKey = await request('POST', '/api/keys', { agent_id: 'validator', scopes: ['read', 'fly'] }, true);
+
+        if (noTitle.status === 400 && codeOf(noTitle, 'title') === 'required' && noTitle.data.fields.title &&
+            badEnums.status === 400 && codeOf(badEnums, 'title') === 'too_long' &&
+            codeOf(badEnums, 'status') === 'invalid_value' && codeOf(badEnums, 'priority') === 'invalid_value' &&
+            codeOf(badEnums, 'due_date') === 'invalid_format' && validCard.status === 201 &&
+            badType.status === 400 && codeOf(badType, 'priority') === 'invalid_type' && codeOf(badType, 'labels') === 'too_long' &&
+            badMove.status === 400 && codeOf(badMove, 'status') === 'invalid_value' &&
+            badKey.status === 400 && codeOf(badKey, 'scopes') === 'invalid_value') {
+            success('Invalid bodies are rejected with per-field error codes');
+        } else {
+            fail('Body validation', {
+                message: `noTitle=${noTitle.status}, enums=${badEnums.status}, type=${badType.status}, move=${badMove.status}, key=${badKey.status}`
+            });
+        }
+        await request('DELETE', `/api/tasks/${validCard.data.id}`, null, true);
+
+        // Test 31: OpenAPI document describes every route with its credentials and body schema
+        log('Fetching the OpenAPI document...');
+        const openApi = await request('GET', '/api/openapi.json');
+        const paths = openApi.data.paths || {};
+        const schemesOf = (op) => (op && op.security || []).map(requirement => Object.keys(requirement)[0]).sort().join(',');
+        const unresolved = [];
+        JSON.stringify(openApi.data, (key, value) => {
+            if (key === '$ref' && !value.slice(2).split('/').reduce((node, part) => node && node[part], openApi.data)) {
+                unresolved.push(value);
+            }
+            return value;
+        });
+        const cardCreate = paths['/api/cards'] && paths['/api/cards'].post;
+        // The real WIP 409 from Test 13 must match the documented Conflict schema field for field
+        const schemas = (openApi.data.components || {}).schemas || {};
+        const conflictProps = (schemas.Conflict || {}).properties || {};
+        const wipProps = (schemas.WipLimit || {}).properties || {};
+        const undocumented = wipConflict ? [
+            ...Object.keys(wipConflict).filter(key => !conflictProps[key]),
+            ...Object.keys(wipConflict.wip_limit || {}).filter(key => !wipProps[key]).map(key => `wip_limit.${key}`)
+        ] : ['(no WIP conflict captured)'];
+        // So must the transition rules of the workflow served in Test 12
+        const ruleProps = (schemas.WorkflowTransition || {}).properties || {};
+        for (const [target, rule] of Object.entries(workflowRes.data.transitions || {})) {
+            undocumented.push(...Object.keys(rule).filter(key => !ruleProps[key]).map(key => `transitions.${target}.${key}`));
+        }
+
+        if (openApi.status === 200 && openApi.data.openapi.startsWith('3.') &&
+            schemesOf(cardCreate) === 'apiKey' && cardCreate['x-required-scope'] === 'write' &&
+            cardCreate.requestBody.content['application/json'].schema.$ref === '#/components/schemas/TaskCreateRequest' &&
+            schemesOf(paths['/api/tasks/{id}'].patch) === 'ownerPassword,session' &&
+            paths['/api/tasks/{id}'].patch.responses['412'] &&
+            paths['/api/cards/{id}/claim'].post.parameters.some(param => param.name === 'id' && param.in === 'path') &&
+            schemesOf(paths['/health'].get) === '' && paths['/api/openapi.json'] &&
+            Object.keys(paths).length >= 70 && unresolved.length === 0 && undocumented.length === 0 &&
+            conflictProps.wip_limit.$ref === '#/components/schemas/WipLimit' && schemas.Denied.properties.blocked_by &&
+            schemas.Workflow.properties.transitions.additionalProperties.$ref === '#/components/schemas/WorkflowTransition') {
+            success('OpenAPI document covers the routes with auth, bodies and errors');
+        } else {
+            fail('OpenAPI document', {
+                message: `status=${openApi.status}, paths=${Object.keys(paths).length}, unresolved=${unresolved.join(' ')}, ` +
+                    `undocumented=${undocumented.join(' ')}`
+            });
+        }
+
+        // Test 32: /api/v2/tasks takes either credential with the same gates; old routes are deprecated aliases
+        log('Using /api/v2/tasks with the owner password and an API key...');
+        const ownerOnly = { 'X-Api-Key': '' };
+        const v2Created = await request('POST', '/api/v2/tasks', { title: 'V2 unified task' }, true, ownerOnly);
+        const v2Id = v2Created.data.id;
+        const v2ByKey = await request('GET', `/api/v2/tasks/${v2Id}`);
+        const v2Release = await request('POST', `/api/v2/tasks/${v2Id}/release`, null, true, ownerOnly);
+        const v2Claim = await request('POST', `/api/v2/tasks/${v2Id}/claim`, null, true, ownerOnly);
+        const v2Reclaim = await request('POST', `/api/v2/tasks/${v2Id}/claim`, null, false, { 'X-Agent-Id': 'v2-rival' });
+        const v2Assign = await request('POST', '/api/v2/tasks', { title: 'Assigned elsewhere', owner_agent: 'someone-else' });
+        const legacyRead = await request('GET', `/api/cards/${v2Id}`);
+        const v2Read = await request('GET', `/api/v2/tasks/${v2Id}`, null, true, ownerOnly);
+        const v2Paths = (await request('GET', '/api/openapi.json')).data.paths;
+        const legacyPage = await request('GET', '/api/cards?limit=1');
+        const legacyPageLinks = legacyPage.headers.link || '';
+
+        if (v2Created.status === 201 && v2Created.data.status === 'Backlog' &&
+            v2ByKey.status === 200 && v2ByKey.data.id === v2Id && v2Release.status === 200 &&
+            v2Claim.status === 200 && v2Claim.data.owner_agent === 'owner' && !v2Claim.data.claim_expires_at &&
+            v2Reclaim.status === 409 && v2Assign.status === 403 &&
+            /^@\d+$/.test(legacyRead.headers.deprecation || '') &&
+            (legacyRead.headers.link || '').includes(`</api/v2/tasks/${v2Id}>; rel="successor-version"`) &&
+            !v2Read.headers.deprecation && legacyPage.headers['x-next-cursor'] &&
+            legacyPageLinks.includes('rel="next"') && legacyPageLinks.includes('</api/v2/tasks>; rel="successor-version"') &&
+            v2Paths['/api/cards'].post.deprecated === true && !v2Paths['/api/v2/tasks'].post.deprecated &&
+            schemesOf(v2Paths['/api/v2/tasks/{id}/claim'].post) === 'apiKey,ownerPassword,session') {
+            success('/api/v2/tasks accepts both credentials and old routes carry Deprecation headers');
+        } else {
+            fail('Unified v2 tasks API', {
+                message: `create=${v2Created.status}, release=${v2Release.status}, claim=${v2Claim.status}, reclaim=${v2Reclaim.status}, ` +
+                    `assign=${v2Assign.status}, deprecation=${legacyRead.headers.deprecation}, page links=${legacyPageLinks}`
+            });
+        }
+        await request('DELETE', `/api/v2/tasks/${v2Id}`, null, true, ownerOnly);
+
+        // Test 33: The shared key has one fixed identity and can't assert a role beyond agent/member
+        log('Sending X-Agent-Id and an unknown X-Agent-Role with the shared key...');
+        const roleCard = await request('POST', '/api/v2/tasks', { title: 'Asserted role' }, false,
+            { 'X-Agent-Id': 'role-asserter', 'X-Agent-Role': 'overlord' });
+        const roleEntries = await request('GET', `/api/activity?task_id=${roleCard.data.id}&action=create`, null, true);
+        const roleEntry = Array.isArray(roleEntries.data) && roleEntries.data[0];
+        const victimTask = await request('POST', '/api/v2/tasks', { title: 'Owned by victim', owner_agent: 'victim-agent' }, true, { 'X-Api-Key': '' });
+        const posing = await request('PATCH', `/api/v2/tasks/${victimTask.data.id}`, { title: 'Taken over' }, false,
+            { 'X-Agent-Id': 'victim-agent', 'X-Agent-Role': 'agent' });
+        if (roleCard.status === 201 && roleCard.data.owner_agent === 'legacy-shared' &&
+            roleEntry && roleEntry.agent_role === 'member' && roleEntry.agent_id === 'legacy-shared' && posing.status === 403) {
+            success('Shared key acts as legacy-shared with an agent or member role');
+        } else {
+            fail('Shared key identity', {
+                message: `create=${roleCard.status}, owner=${roleCard.data.owner_agent}, role=${roleEntry && roleEntry.agent_role}, posing=${posing.status}`
+            });
+        }
+        await request('DELETE', `/api/v2/tasks/${roleCard.data.id}`, null, true, { 'X-Api-Key': '' });
+        await request('DELETE', `/api/v2/tasks/${victimTask.data.id}`, null, true, { 'X-Api-Key': '' });
+
+        // Test 34: Board membership comes from the credential, never from X-Agent-Id
+        log('Checking board permissions...');
+        const permBoardId = `perm-${Date.now().toString(36)}`;
+        const permBoard = await request('POST', '/api/boards', { id: permBoardId, name: 'Permissions test' }, true);
+        await request('PUT', `/api/boards/${permBoardId}/members/board-boss`, { role: 'founder' }, true);
+        await request('PUT', `/api/boards/${permBoardId}/members/board-worker`, { role: 'agent' }, true);
+        const workerKey = await request('POST', '/api/keys', { agent_id: 'board-worker', agent_role: 'member', scopes: ['read'] }, true);
+        const workerRead = await request('GET', `/api/v2/boards/${permBoardId}/tasks`, null, false, { 'X-Api-Key': workerKey.data.key });
+        const outsiderKey = await request('POST', '/api/keys', { agent_id: 'board-outsider', agent_role: 'agent', scopes: ['read'] }, true);
+        const outsiderRead = await request('GET', `/api/v2/boards/${permBoardId}/tasks`, null, false, { 'X-Api-Key': outsiderKey.data.key });
+        const impostor = { 'X-Agent-Id': 'board-boss', 'X-Agent-Role': 'agent' };
+        const impostorRead = await request('GET', `/api/boards/${permBoardId}`, null, false, impostor);
+        const impostorGrant = await request('PUT', `/api/boards/${permBoardId}/members/evil`, { role: 'founder' }, false, impostor);
+        const impostorBoards = await request('GET', '/api/boards', null, false, impostor);
+
+        if (permBoard.status === 201 && workerRead.status === 200 && outsiderRead.status === 403 &&
+            impostorRead.status === 403 && impostorGrant.status === 403 &&
+            Array.isArray(impostorBoards.data) && !impostorBoards.data.some(board => board.id === permBoardId)) {
+            success('Board roles come from keys and sessions, not from X-Agent-Id');
+        } else {
+            fail('Board permissions', {
+                message: `board=${permBoard.status}, worker=${workerRead.status}, outsider=${outsiderRead.status}, ` +
+                    `impostor read=${impostorRead.status}, grant=${impostorGrant.status}`
+            });
+        }
+        await request('DELETE', `/api/keys/${workerKey.data.id}`, null, true);
+        await request('DELETE', `/api/keys/${outsiderKey.data.id}`, null, true);
+
+        // Test 35: Only the owner or a Founder can reassign a task; agents claim unassigned ones
+        log('Reassigning a task held by someone else...');
+        const takeoverKey = await request('POST', '/api/keys', { agent_id: 'takeover-agent', agent_role: 'agent', scopes: ['read', 'write', 'transition'] }, true);
+        const takeoverHeaders = { 'X-Api-Key': takeoverKey.data.key };
+        const heldTask = await request('POST', '/api/v2/tasks', { title: 'Held by owner', status: 'To Do' }, true, { 'X-Api-Key': '' });
+        const takeover = await request('PATCH', `/api/v2/tasks/${heldTask.data.id}`, { owner_agent: 'takeover-agent' }, false, takeoverHeaders);
+        const handOn = await request('PATCH', `/api/v2/tasks/${heldTask.data.id}`, { owner_agent: 'takeover-agent' }, true, { 'X-Api-Key': '' });
+        const ownerHandsBack = await request('PATCH', `/api/v2/tasks/${heldTask.data.id}`, { owner_agent: 'owner' }, false, takeoverHeaders);
+        await request('POST', `/api/v2/tasks/${heldTask.data.id}/release`, null, true, { 'X-Api-Key': '' });
+        const selfAssign = await request('PATCH', `/api/v2/tasks/${heldTask.data.id}`, { owner_agent: 'takeover-agent' }, false, takeoverHeaders);
+
+        if (takeover.status === 403 && takeover.data.error === 'Assignment denied' &&
+            handOn.status === 200 && handOn.data.owner_agent === 'takeover-agent' && ownerHandsBack.status === 200 &&
+            selfAssign.status === 403 && selfAssign.data.reason.includes('/claim')) {
+            success('Non-owners cannot take over assigned tasks through PATCH');
+        } else {
+            fail('Reassignment gate', {
+                message: `takeover=${takeover.status}, founder=${handOn.status}, owner=${ownerHandsBack.status}, self-assign=${selfAssign.status}`
+            });
+        }
+        await request('DELETE', `/api/v2/tasks/${heldTask.data.id}`, null, true, { 'X-Api-Key': '' });
+        await request('DELETE', `/api/keys/${takeoverKey.data.id}`, null, true);
+
+        // Test 36: Editing, reordering, deleting, archiving and restoring are for the owner or a Founder
+        log('Writing to a task owned by someone else...');
+        const intruderKey = await request('POST', '/api/keys', { agent_id: 'intruder-agent', agent_role: 'agent', scopes: ['read', 'write'] }, true);
+        const intruder = { 'X-Api-Key': intruderKey.data.key };
+        const guarded = await request('POST', '/api/v2/tasks', { title: 'Guarded task' }, true, { 'X-Api-Key': '' });
+        const guardedPath = `/api/v2/tasks/${guarded.data.id}`;
+        const intruderWrites = [
+            await request('PATCH', guardedPath, { title: 'Defaced' }, false, intruder),
+            await request('POST', `${guardedPath}/reorder`, { before: cardId }, false, intruder),
+            await request('POST', `${guardedPath}/archive`, null, false, intruder),
+            await request('POST', `${guardedPath}/unarchive`, null, false, intruder),
+            await request('DELETE', guardedPath, null, false, intruder)
+        ];
+        const ownedByIntruder = await request('POST', '/api/v2/tasks', { title: 'Intruder\'s own task' }, false, intruder);
+        const ownEdit = await request('PATCH', `/api/v2/tasks/${ownedByIntruder.data.id}`, { title: 'Renamed by owner' }, false, intruder);
+        const ownDelete = await request('DELETE', `/api/v2/tasks/${ownedByIntruder.data.id}`, null, false, intruder);
+        const stillThere = await request('GET', guardedPath, null, true, { 'X-Api-Key': '' });
+
+        // Restoring from the trash is gated the same way, and honours If-Match
+        const memberName = `restorer-${Date.now().toString(36)}`;
+        await request('POST', '/api/users', { username: memberName, password: 'restorer-pass', role: 'member' }, true);
+        const memberLogin = await request('POST', '/api/auth/login', { username: memberName, password: 'restorer-pass' });
+        const memberSession = { 'Authorization': `Bearer ${memberLogin.data.token}`, 'X-Api-Key': '' };
+        await request('DELETE', guardedPath, null, true, { 'X-Api-Key': '' });
+        const memberRestore = await request('POST', `/api/trash/${guarded.data.id}/restore`, null, false, memberSession);
+        const staleRestore = await request('POST', `/api/trash/${guarded.data.id}/restore`, null, true, { 'X-Api-Key': '', 'If-Match': '"1"' });
+        const ownerRestore = await request('POST', `/api/trash/${guarded.data.id}/restore`, null, true, { 'X-Api-Key': '' });
+        await request('POST', '/api/auth/logout', null, false, memberSession);
+
+        if (intruderWrites.every(r => r.status === 403) && ownEdit.status === 200 && ownDelete.status === 200 &&
+            stillThere.status === 200 && stillThere.data.title === 'Guarded task' &&
+            memberRestore.status === 403 && staleRestore.status === 412 && ownerRestore.status === 200) {
+            success('Non-owners get 403 on edit, reorder, archive, unarchive, delete and restore');
+        } else {
+            fail('Owner-only task writes', {
+                message: `intruder=${intruderWrites.map(r => r.status).join(',')}, own edit=${ownEdit.status}, own delete=${ownDelete.status}, ` +
+                    `restore member=${memberRestore.status}, stale=${staleRestore.status}, owner=${ownerRestore.status}`
+            });
+        }
+        await request('DELETE', guardedPath, null, true, { 'X-Api-Key': '' });
+        await request('DELETE', `/api/keys/${intruderKey.data.id}`, null, true);
+
+        // Test 37: Versioned migrations - dry run, status, apply, and the server's startup check
+        log('Running migrate.js against a scratch database...');
+        const latestVersion = loadMigrations().slice(-1)[0].version;
+        const scratchDb = path.join(os.tmpdir(), `kanban-migrate-test-${process.pid}.db`);
+        try {
+            const refused = runAgainstScratchDb('server.js', [], scratchDb);
+            const dryRun = runAgainstScratchDb('migrate.js', ['--dry-run'], scratchDb);
+            const pending = runAgainstScratchDb('migrate.js', ['status'], scratchDb);
+            const applied = runAgainstScratchDb('migrate.js', ['up'], scratchDb);
+            const current = runAgainstScratchDb('migrate.js', ['status'], scratchDb);
+            const served = await request('GET', '/health');
+
+            if (refused.status === 1 && refused.output.includes('Pending migrations') &&
+                dryRun.status === 0 && dryRun.output.includes('nothing applied') &&
+                pending.output.includes('⏳') &&
+                applied.status === 0 && applied.output.includes(`Applied ${latestVersion} migration(s)`) &&
+                current.status === 0 && current.output.includes('Database is up to date') && !current.output.includes('⏳') &&
+                served.data.schema_version === latestVersion) {
+                success('Migrations dry-run, apply and report status; the server refuses a stale schema');
+            } else {
+                fail('Versioned migrations', {
+                    message: `server=${refused.status}, dry-run=${dryRun.status}, up=${applied.status}, ` +
+                        `status=${current.status}, schema_version=${served.data.schema_version} (latest ${latestVersion})`
+                });
+            }
+        } finally {
+            fs.rmSync(scratchDb, { force: true });
+        }
+
+        // Test 38: A heartbeat can't revive a lease that has already run out
+        log('Letting a one-second lease expire on a scratch server...');
+        const leaseDb = path.join(os.tmpdir(), `kanban-lease-test-${process.pid}.db`);
+        let leaseServer = null;
+        try {
+            leaseServer = await startScratchServer(leaseDb, { CLAIM_LEASE_SECONDS: '1' });
+            const at = (route) => `${leaseServer.baseUrl}${route}`;
+            const agentHeaders = { 'X-Agent-Role': 'agent' };
+            const shortCard = await request('POST', at('/api/v2/tasks'), { title: 'Short lease', status: 'To Do' }, false, agentHeaders);
+            await request('POST', at(`/api/v2/tasks/${shortCard.data.id}/release`), null, false, agentHeaders);
+            const shortClaim = await request('POST', at(`/api/v2/tasks/${shortCard.data.id}/claim`), null, false, agentHeaders);
+            await new Promise(resolve => setTimeout(resolve, 1500));
+            const lateBeat = await request('POST', at(`/api/v2/tasks/${shortCard.data.id}/heartbeat`), null, false, agentHeaders);
+            const afterBeat = await request('GET', at(`/api/v2/tasks/${shortCard.data.id}`), null, false, agentHeaders);
+
+            if (shortClaim.status === 200 && lateBeat.status === 409 && lateBeat.data.error === 'Claim lost' &&
+                afterBeat.data.claim_expires_at === shortClaim.data.claim_expires_at) {
+                success('Heartbeats after expiry are refused with 409');
+            } else {
+                fail('Expired lease heartbeat', { message: `claim=${shortClaim.status}, heartbeat=${lateBeat.status}` });
+            }
+        } catch (err) {
+            fail('Expired lease heartbeat', err);
+        } finally {
+            if (leaseServer) leaseServer.stop();
+            fs.rmSync(leaseDb, { force: true });
+        }
+
+        // Test 39: Health check
         log('Checking health endpoint...');
         const healthRes = await request('GET', '/health');
-        if (healthRes.status === 200 && healthRes.data.status === 'ok') {
+        if (healthRes.status === 200 && healthRes.data.status === 'ok' && healthRes.data.schema_version > 0) {
             success('Health check passed');
         } else {
             fail('Health check', { message: `Status ${healthRes.status}` });